@@ -0,0 +1,76 @@
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import { verifyCognito } from './middleware/verifyCognito.js';
+import { LOG_TIMINGS, nowMs } from './lib/util.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createMemberRouter } from './routes/member.js';
+import { createLeaderRouter } from './routes/leader.js';
+import { createManagerRouter } from './routes/manager.js';
+import { createVerificationRouter } from './routes/verification.js';
+import { createNotificationsRouter } from './routes/notifications.js';
+import { createImportRouter } from './routes/import.js';
+import { createSearchRouter } from './routes/search.js';
+import { createAttachmentsRouter } from './routes/attachments.js';
+import { createNotificationEvents } from './lib/notifications.js';
+import { attachExternalDelivery } from './lib/delivery.js';
+import { createTransportsFromEnv } from './lib/transports.js';
+import { createStorageFromEnv } from './lib/storage.js';
+
+const SLOW_MS = Number(process.env.SLOW_MS || 800);
+
+/**
+ * Build the Express app without binding a port or opening a pool.
+ * @param {object} deps
+ * @param {{ q: Function, q1: Function, withTransaction: Function }} deps.db handle from createDb() in db.js
+ * @param {Function} [deps.authenticate] auth middleware that sets req.user (defaults to Cognito JWT verification)
+ * @param {Record<string, object>} [deps.transports] email/webhook transports keyed by kind (defaults to lib/transports.js env config)
+ * @param {import('node:events').EventEmitter} [deps.events] review/verification event bus (defaults to in-app + external delivery)
+ * @param {{ kind: string, put: Function, get: Function, remove: Function }} [deps.storage] attachment storage (defaults to lib/storage.js env config)
+ */
+export function createApp({
+  db,
+  authenticate = verifyCognito,
+  transports = createTransportsFromEnv(),
+  events = attachExternalDelivery(createNotificationEvents({ db }), { db, transports }),
+  storage = createStorageFromEnv(),
+}) {
+  const app = express();
+  app.use(cors());
+  app.use(bodyParser.json());
+
+  if (LOG_TIMINGS) {
+    app.use((req, res, next) => {
+      const start = nowMs();
+      res.on('finish', () => {
+        const ms = nowMs() - start;
+        const line = `${req.method} ${req.originalUrl} -> ${res.statusCode} (${ms.toFixed(1)}ms)`;
+        if (ms >= SLOW_MS) console.warn('[SLOW]', line);
+        else console.log('[REQ]', line);
+      });
+      next();
+    });
+  }
+
+  app.get('/healthz', (req, res) => {
+    res.json({
+      ok: true,
+      service: 'idp-okr-backend',
+      variant: 'goal_mysql_v1 (direct-mysql)',
+      ts: new Date().toISOString(),
+    });
+  });
+
+  const deps = { db, authenticate, events, transports, storage };
+  app.use(createAuthRouter(deps));
+  app.use(createManagerRouter(deps));
+  app.use(createMemberRouter(deps));
+  app.use(createLeaderRouter(deps));
+  app.use(createVerificationRouter(deps));
+  app.use(createNotificationsRouter(deps));
+  app.use(createImportRouter(deps));
+  app.use(createSearchRouter(deps));
+  app.use(createAttachmentsRouter(deps));
+
+  return app;
+}
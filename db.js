@@ -0,0 +1,82 @@
+import mysql from 'mysql2/promise';
+
+export function parseMysqlUrl(urlStr) {
+  const u = new URL(urlStr);
+  const sslEnabled = u.searchParams.get('ssl') === '1' || u.searchParams.get('sslmode') === 'require';
+  return {
+    host: u.hostname,
+    port: u.port ? Number(u.port) : 3306,
+    user: decodeURIComponent(u.username || ''),
+    password: decodeURIComponent(u.password || ''),
+    database: (u.pathname || '').replace(/^\//, ''),
+    ssl: sslEnabled ? { rejectUnauthorized: false } : undefined,
+  };
+}
+
+// Reads RDS_MYSQL_URL (or MYSQL_URL) + RDS_SSL from env. Shared by the API and the migration runner.
+export function getMysqlConfig() {
+  const url = process.env.RDS_MYSQL_URL || process.env.MYSQL_URL;
+  if (!url) {
+    throw new Error('Missing RDS_MYSQL_URL (or MYSQL_URL) env var for goal_mysql_v1.js');
+  }
+
+  const cfg = parseMysqlUrl(url);
+  if (process.env.RDS_SSL === '1' && !cfg.ssl) cfg.ssl = { rejectUnauthorized: false };
+  return cfg;
+}
+
+export function createMysqlPool(mysqlCfg, overrides = {}) {
+  return mysql.createPool({
+    ...mysqlCfg,
+    waitForConnections: true,
+    connectionLimit: Number(process.env.MYSQL_MAX || 10),
+    connectTimeout: Number(process.env.MYSQL_CONNECT_TIMEOUT_MS || 10_000),
+    acquireTimeout: Number(process.env.MYSQL_ACQUIRE_TIMEOUT_MS || 10_000),
+    enableKeepAlive: true,
+    keepAliveInitialDelay: 0,
+    // Keep DATE columns as YYYY-MM-DD strings (avoid JS Date -> timezone shifts)
+    dateStrings: ['DATE'],
+    // Numbers like DECIMAL should come back as JS numbers where possible
+    decimalNumbers: true,
+    ...overrides,
+  });
+}
+
+function bindQueries(runner) {
+  async function q(sqlText, params = []) {
+    const [rows] = await runner.query(sqlText, params);
+    return rows;
+  }
+
+  async function q1(sqlText, params = []) {
+    const rows = await q(sqlText, params);
+    return Array.isArray(rows) ? rows[0] || null : null;
+  }
+
+  return { q, q1 };
+}
+
+// Wraps a pool with the q/q1 helpers used by the routes, plus withTransaction(fn) which hands fn a
+// { q, q1 } pair bound to a single connection and commits (or rolls back on throw) when fn settles.
+// Routes that check a row's state and then write it (review requests, lock transitions, approvals)
+// re-read that row with `select ... for update` inside the transaction so concurrent requests serialise.
+export function createDb(pool) {
+  const { q, q1 } = bindQueries(pool);
+
+  async function withTransaction(fn) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const out = await fn(bindQueries(conn));
+      await conn.commit();
+      return out;
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { pool, q, q1, withTransaction };
+}
@@ -0,0 +1,139 @@
+import { isLeaderUser } from './roles.js';
+
+// Access helpers take the db handle (or a transaction) as their first argument, like the rest of lib/.
+// Soft-deleted goals, action plans and weekly reports are reported as not found.
+
+export async function getLeaderTeamScope(db, req) {
+  const leaderId = req.user?.sub;
+  if (!leaderId) return { ok: false, status: 401, message: 'Missing leader identity' };
+  if (process.env.LOG_AUTH === '1') console.log('[AUTH]', 'getLeaderTeamScope leaderId=', leaderId);
+
+  try {
+    const data = await db.q1(
+      `
+        select u.id, u.team_id, t.name as team_name, u.is_leader
+        from users u
+        left join teams t on t.id = u.team_id
+        where u.id = ?
+        limit 1
+      `,
+      [leaderId]
+    );
+    if (!data) {
+      return { ok: false, status: 403, message: `Leader not found in users (id=${leaderId}). Please insert/sync leader into users table with team_id.` };
+    }
+    if (!data.team_id) {
+      return { ok: false, status: 403, message: `Leader is not assigned to a team (users.team_id is null for id=${leaderId})` };
+    }
+    // Leaders synced without /auth/ensure-user still get team-leader notifications (users.is_leader).
+    if (isLeaderUser(req) && !Number(data.is_leader)) await db.q(`update users set is_leader = 1 where id = ?`, [leaderId]);
+    return { ok: true, teamId: data.team_id, teamName: data.team_name ?? null };
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    if (process.env.LOG_AUTH === '1') console.warn('[AUTH]', 'getLeaderTeamScope failed:', msg);
+    return { ok: false, status: 500, message: `Leader team scope query failed: ${msg}` };
+  }
+}
+
+// Leaders may act on their own records and on records owned by members of their team.
+export async function assertLeaderTeamAccess(db, req, ownerId, ownerTeamId) {
+  if (ownerId && ownerId === req.user?.sub) return { ok: true };
+  const scope = await getLeaderTeamScope(db, req);
+  if (!scope.ok) return scope;
+  if (!ownerTeamId || ownerTeamId !== scope.teamId) return { ok: false, status: 403, message: 'Forbidden (team scope)' };
+  return { ok: true };
+}
+
+// Review routes must not take the "own records" shortcut above: nobody approves or rejects their own work.
+export function assertNotSelfReview(req, ownerId) {
+  if (ownerId && ownerId === req.user?.sub) return { ok: false, status: 403, message: 'Forbidden (cannot review your own record)' };
+  return { ok: true };
+}
+
+// `includeDeleted` lets the restore route reach a goal that is in the trash.
+export async function assertCanAccessGoal(db, req, goalId, { includeDeleted = false } = {}) {
+  const goal = await db.q1(
+    `
+      select g.id, g.user_id, g.status, g.is_locked, g.review_status, g.deleted_at, u.team_id as owner_team_id
+      from goals g
+      left join users u on u.id = g.user_id
+      where g.id = ?
+      limit 1
+    `,
+    [goalId]
+  );
+  if (!goal || (goal.deleted_at && !includeDeleted)) return { ok: false, status: 404, message: 'Goal not found' };
+  if (isLeaderUser(req)) {
+    const team = await assertLeaderTeamAccess(db, req, goal.user_id, goal.owner_team_id);
+    return team.ok ? { ok: true, goal } : team;
+  }
+  if (goal.user_id !== req.user.sub) return { ok: false, status: 403, message: 'Forbidden' };
+  return { ok: true, goal };
+}
+
+export async function assertCanAccessActionPlan(db, req, actionPlanId) {
+  const row = await db.q1(
+    `
+      select ap.id, ap.goal_id, g.user_id, u.team_id as owner_team_id
+      from action_plans ap
+      left join goals g on g.id = ap.goal_id and g.deleted_at is null
+      left join users u on u.id = g.user_id
+      where ap.id = ?
+        and ap.deleted_at is null
+      limit 1
+    `,
+    [actionPlanId]
+  );
+  if (!row) return { ok: false, status: 404, message: 'Action plan not found' };
+  if (!row.user_id) return { ok: false, status: 404, message: 'Goal not found' };
+  const plan = { id: row.id, goal_id: row.goal_id };
+  const goal = { id: row.goal_id, user_id: row.user_id };
+  if (isLeaderUser(req)) {
+    const team = await assertLeaderTeamAccess(db, req, row.user_id, row.owner_team_id);
+    return team.ok ? { ok: true, plan, goal } : team;
+  }
+  if (row.user_id !== req.user.sub) return { ok: false, status: 403, message: 'Forbidden' };
+  return { ok: true, plan, goal };
+}
+
+export async function assertCanAccessWeeklyReport(db, req, weeklyReportId) {
+  const report = await db.q1(`select id, action_plan_id from weekly_reports where id = ? and deleted_at is null limit 1`, [weeklyReportId]);
+  if (!report) return { ok: false, status: 404, message: 'Weekly report not found' };
+  const accessPlan = await assertCanAccessActionPlan(db, req, report.action_plan_id);
+  if (!accessPlan.ok) return accessPlan;
+  return { ok: true, report };
+}
+
+// Requester, assigned reviewers (lib/verificationReviewers.js) and leaders of the requester's team.
+export async function assertCanAccessVerificationRequest(db, req, requestId) {
+  const request = await db.q1(
+    `
+      select vr.id, vr.requester_id, vr.status, u.team_id as requester_team_id
+      from verification_requests vr
+      join goals g on g.id = vr.goal_id
+      left join users u on u.id = vr.requester_id
+      where vr.id = ?
+        and g.deleted_at is null
+      limit 1
+    `,
+    [requestId]
+  );
+  if (!request) return { ok: false, status: 404, message: 'Verification request not found' };
+  if (request.requester_id === req.user?.sub) return { ok: true, request };
+  const reviewer = await db.q1(`select reviewer_id from verification_request_reviewers where request_id = ? and reviewer_id = ? limit 1`, [requestId, req.user?.sub]);
+  if (reviewer) return { ok: true, request };
+  if (!isLeaderUser(req)) return { ok: false, status: 403, message: 'Forbidden' };
+  const team = await assertLeaderTeamAccess(db, req, request.requester_id, request.requester_team_id);
+  return team.ok ? { ok: true, request } : team;
+}
+
+export async function getReviewerIdentity(db, req) {
+  const reviewerId = req.user?.sub ?? null;
+  if (!reviewerId) return { id: null, email: null, name: null };
+  try {
+    const data = await db.q1(`select id, email, name from users where id = ? limit 1`, [reviewerId]);
+    return { id: reviewerId, email: data?.email ?? null, name: data?.name ?? null };
+  } catch {
+    return { id: reviewerId, email: null, name: null };
+  }
+}
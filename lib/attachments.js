@@ -0,0 +1,195 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { buildInsert } from './sql.js';
+import { isLeaderUser } from './roles.js';
+import { assertCanAccessActionPlan, assertCanAccessWeeklyReport, assertCanAccessVerificationRequest, assertLeaderTeamAccess } from './access.js';
+
+// Evidence attachments. Metadata lives in `attachments`; the bytes go to the storage backend from lib/storage.js
+// under "<entity_type>/<entity_id>/<attachment id>". Whoever can see the owning record can list and download its
+// attachments, using the same checks as the record's own routes.
+//
+//   action_plan           owner, or a leader of the owner's team
+//   weekly_report         same as its action plan
+//   verification_request  read: requester, assigned reviewers, leaders of the requester's team; upload: requester
+//
+// Deleting is for the uploader, or a leader of the owning record's team (assigned reviewers only read).
+//
+// Configuration (env):
+//   ATTACHMENT_MAX_BYTES       per-file limit (default 10485760, 10 MB)
+//   ATTACHMENT_MAX_PER_ENTITY  attachments per record (default 20)
+//   ATTACHMENT_MIME_TYPES      comma-separated allowlist (default: PDF, images, plain text/CSV, Office documents, zip)
+
+export const ATTACHMENT_ENTITY_TYPES = ['action_plan', 'weekly_report', 'verification_request'];
+
+export const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+export const ATTACHMENT_MAX_PER_ENTITY = Number(process.env.ATTACHMENT_MAX_PER_ENTITY || 20);
+export const ATTACHMENT_MIME_TYPES = (
+  process.env.ATTACHMENT_MIME_TYPES ||
+  [
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip',
+  ].join(',')
+)
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+// Keeps the last path segment and drops control characters and quotes; the result is only ever used as a label.
+export function sanitizeFilename(name) {
+  const base = path.basename(`${name ?? ''}`.replace(/\\/g, '/'));
+  const clean = base.replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, 255);
+  return clean && clean !== '.' && clean !== '..' ? clean : 'attachment';
+}
+
+/**
+ * Validate an upload: the raw request body, its Content-Type and the client's filename.
+ * @returns {{ ok: true, value: { filename: string, mimeType: string, buffer: Buffer } } | { ok: false, errors: { field: string, message: string }[] }}
+ */
+export function parseUpload({ body, contentType, filename }) {
+  const errors = [];
+  const mimeType = `${contentType ?? ''}`.split(';')[0].trim().toLowerCase();
+  if (!mimeType) errors.push({ field: 'content-type', message: 'is required' });
+  else if (!ATTACHMENT_MIME_TYPES.includes(mimeType)) errors.push({ field: 'content-type', message: `${mimeType} is not an allowed attachment type` });
+  if (!Buffer.isBuffer(body) || body.length === 0) errors.push({ field: 'body', message: 'must be the non-empty file contents' });
+  else if (body.length > ATTACHMENT_MAX_BYTES) errors.push({ field: 'body', message: `must be at most ${ATTACHMENT_MAX_BYTES} bytes` });
+  if (typeof filename !== 'string' || !filename.trim()) errors.push({ field: 'filename', message: 'is required' });
+  return errors.length ? { ok: false, errors } : { ok: true, value: { filename: sanitizeFilename(filename), mimeType, buffer: body } };
+}
+
+/**
+ * Access check for the record an attachment belongs to.
+ * @returns {Promise<{ ok: true, entityId: string } | { ok: false, status: number, message: string }>}
+ */
+export async function assertCanAccessAttachmentEntity(db, req, entityType, entityId, { upload = false } = {}) {
+  if (entityType === 'action_plan') {
+    const a = await assertCanAccessActionPlan(db, req, entityId);
+    return a.ok ? { ok: true, entityId: a.plan.id } : a;
+  }
+  if (entityType === 'weekly_report') {
+    const a = await assertCanAccessWeeklyReport(db, req, entityId);
+    return a.ok ? { ok: true, entityId: a.report.id } : a;
+  }
+  if (entityType === 'verification_request') {
+    const a = await assertCanAccessVerificationRequest(db, req, entityId);
+    if (!a.ok) return a;
+    if (upload && a.request.requester_id !== req.user.sub) return { ok: false, status: 403, message: 'Only the requester can attach evidence' };
+    return { ok: true, entityId: a.request.id };
+  }
+  return { ok: false, status: 404, message: 'Not found' };
+}
+
+// The API shape: storage details stay server-side.
+export function presentAttachment(row) {
+  if (!row) return row;
+  const { storage_backend, storage_key, ...rest } = row;
+  return { ...rest, size_bytes: Number(row.size_bytes), download_url: `/attachments/${row.id}/download` };
+}
+
+export async function listAttachments(db, entityType, entityId) {
+  const rows = await db.q(`select * from attachments where entity_type = ? and entity_id = ? order by created_at asc, id asc`, [entityType, entityId]);
+  return (rows || []).map(presentAttachment);
+}
+
+const ENTITY_TABLES = { action_plan: 'action_plans', weekly_report: 'weekly_reports', verification_request: 'verification_requests' };
+
+/**
+ * Store the file, then record it. The per-record limit is counted under a lock on the owning record, so concurrent
+ * uploads cannot exceed it; the stored file is removed again when the record is full or the insert fails.
+ * @returns {Promise<{ data: object } | { status: number, message: string }>}
+ */
+export async function createAttachment(db, storage, { entityType, entityId, filename, mimeType, buffer, uploadedBy }) {
+  const id = crypto.randomUUID();
+  const row = {
+    id,
+    entity_type: entityType,
+    entity_id: entityId,
+    filename,
+    mime_type: mimeType,
+    size_bytes: buffer.length,
+    checksum_sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    storage_backend: storage.kind,
+    storage_key: `${entityType}/${entityId}/${id}`,
+    uploaded_by: uploadedBy,
+  };
+  // Written before the transaction so a slow upload never holds the record lock.
+  await storage.put(row.storage_key, buffer, { contentType: mimeType });
+  let out;
+  try {
+    out = await db.withTransaction(async (tx) => {
+      const owner = await tx.q1(`select id from ${ENTITY_TABLES[entityType]} where id = ? limit 1 for update`, [entityId]);
+      if (!owner) return { status: 404, message: 'Not found' };
+      const n = await tx.q1(`select count(*) as n from attachments where entity_type = ? and entity_id = ?`, [entityType, entityId]);
+      if (Number(n?.n || 0) >= ATTACHMENT_MAX_PER_ENTITY) return { status: 409, message: `At most ${ATTACHMENT_MAX_PER_ENTITY} attachments per record` };
+
+      const ins = buildInsert('attachments', row);
+      await tx.q(ins.sql, ins.params);
+      return { data: presentAttachment(await tx.q1(`select * from attachments where id = ? limit 1`, [id])) };
+    });
+  } catch (e) {
+    await storage.remove(row.storage_key).catch(() => {});
+    throw e;
+  }
+  if (out.status) await storage.remove(row.storage_key).catch(() => {});
+  return out;
+}
+
+// Owner and owner's team of the record an attachment belongs to (goal owner, or the verification requester).
+async function attachmentOwner(db, entityType, entityId) {
+  if (entityType === 'action_plan') {
+    return db.q1(
+      `select g.user_id as owner_id, u.team_id as owner_team_id from action_plans ap join goals g on g.id = ap.goal_id left join users u on u.id = g.user_id where ap.id = ? limit 1`,
+      [entityId]
+    );
+  }
+  if (entityType === 'weekly_report') {
+    return db.q1(
+      `
+        select g.user_id as owner_id, u.team_id as owner_team_id
+        from weekly_reports wr
+        join action_plans ap on ap.id = wr.action_plan_id
+        join goals g on g.id = ap.goal_id
+        left join users u on u.id = g.user_id
+        where wr.id = ?
+        limit 1
+      `,
+      [entityId]
+    );
+  }
+  return db.q1(`select vr.requester_id as owner_id, u.team_id as owner_team_id from verification_requests vr left join users u on u.id = vr.requester_id where vr.id = ? limit 1`, [entityId]);
+}
+
+/**
+ * Delete an attachment and its stored file. The caller has already passed assertCanAccessAttachmentEntity, which
+ * also admits assigned verification reviewers; they (like everyone but the uploader) also need to be a leader of
+ * the owning record's team, so reviewer access stays read-only.
+ * @returns {Promise<{ data: { id: string } } | { status: number, message: string }>}
+ */
+export async function deleteAttachment(db, storage, req, attachment) {
+  if (attachment.uploaded_by !== req.user.sub) {
+    const forbidden = { status: 403, message: 'Only the uploader or a leader of the record\'s team can delete this attachment' };
+    if (!isLeaderUser(req)) return forbidden;
+    const owner = await attachmentOwner(db, attachment.entity_type, attachment.entity_id);
+    if (!owner) return { status: 404, message: 'Not found' };
+    const team = await assertLeaderTeamAccess(db, req, owner.owner_id, owner.owner_team_id);
+    if (!team.ok) return team.status === 403 ? forbidden : team;
+  }
+  await db.q(`delete from attachments where id = ?`, [attachment.id]);
+  try {
+    await storage.remove(attachment.storage_key);
+  } catch (e) {
+    console.warn('[ATTACHMENTS]', `stored file ${attachment.storage_key} was not removed:`, e instanceof Error ? e.message : String(e));
+  }
+  return { data: { id: attachment.id } };
+}
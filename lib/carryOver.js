@@ -0,0 +1,97 @@
+import crypto from 'node:crypto';
+import { buildInsert, buildVersionedUpdate, hydrateRow, hydrateRows } from './sql.js';
+
+// Year rollover. carryOverGoal copies an unfinished goal into year+1 together with its non-completed
+// action plans:
+//   - the copy keeps progress/status, starts unreviewed and unlocked, and points back via carried_over_from
+//   - plan dates that fall before the new year are moved to Jan 1 (start) or cleared (end)
+//   - the original is stamped carried_over_to/carried_over_at and locked; year-scoped dashboards
+//     (manager overview/summary, leader summary, insights, weekly-report coverage, digest) skip it
+// Weekly reports and verifications stay on the original goal. A goal whose copy was later deleted can
+// be carried over again. Call inside a transaction; the goal row is locked here.
+
+const GOAL_COPY_FIELDS = ['name', 'description', 'type', 'specific', 'measurable', 'achievable', 'relevant', 'progress', 'status'];
+const PLAN_COPY_FIELDS = ['activity', 'description', 'start_date', 'end_date', 'status', 'evidence_link'];
+
+function pick(row, fields) {
+  const out = {};
+  for (const f of fields) if (typeof row[f] !== 'undefined') out[f] = row[f];
+  return out;
+}
+
+/**
+ * @returns {Promise<{ data: { goal: object, action_plans: object[], carried_over_from: string } } | { status: number, message: string }>}
+ */
+export async function carryOverGoal(tx, goalId) {
+  const goal = await tx.q1(`select * from goals where id = ? and deleted_at is null limit 1 for update`, [goalId]);
+  if (!goal) return { status: 404, message: 'Goal not found' };
+  if (goal.status === 'Completed') return { status: 409, message: 'Completed goals are not carried over' };
+  if (goal.carried_over_to) {
+    const successor = await tx.q1(`select id from goals where id = ? and deleted_at is null limit 1`, [goal.carried_over_to]);
+    if (successor) return { status: 409, message: `Goal was already carried over (goal ${successor.id})` };
+  }
+
+  const nextYear = Number(goal.year) + 1;
+  const nextStart = `${nextYear}-01-01`;
+  const nowIso = new Date().toISOString();
+  const copy = {
+    ...pick(goal, GOAL_COPY_FIELDS),
+    id: crypto.randomUUID(),
+    user_id: goal.user_id,
+    year: nextYear,
+    start_date: nextStart,
+    time_bound: goal.time_bound && `${goal.time_bound}`.slice(0, 10) >= nextStart ? goal.time_bound : `${nextYear}-12-31`,
+    carried_over_from: goal.id,
+  };
+  const gi = buildInsert('goals', copy);
+  await tx.q(gi.sql, gi.params);
+
+  const plans = await tx.q(`select * from action_plans where goal_id = ? and deleted_at is null and status <> 'Completed'`, [goal.id]);
+  for (const p of plans || []) {
+    const plan = { ...pick(p, PLAN_COPY_FIELDS), id: crypto.randomUUID(), goal_id: copy.id };
+    // Dates from the old year would make the copy overdue on day one: start it on Jan 1 and let the owner re-plan the end.
+    if (plan.start_date && `${plan.start_date}`.slice(0, 10) < nextStart) plan.start_date = nextStart;
+    if (plan.end_date && `${plan.end_date}`.slice(0, 10) < nextStart) plan.end_date = null;
+    const pi = buildInsert('action_plans', plan);
+    await tx.q(pi.sql, pi.params);
+  }
+
+  const upd = buildVersionedUpdate('goals', { carried_over_to: copy.id, carried_over_at: nowIso, is_locked: 1, updated_at: nowIso }, 'where id = ?', [goal.id]);
+  await tx.q(upd.sql, upd.params);
+
+  return {
+    data: {
+      goal: hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [copy.id])),
+      action_plans: hydrateRows(await tx.q(`select * from action_plans where goal_id = ?`, [copy.id])) || [],
+      carried_over_from: goal.id,
+    },
+  };
+}
+
+// Team goals in `fromYear` that a bulk rollover would carry over.
+export async function listRolloverCandidates(db, { teamId, fromYear, userId = null }) {
+  const params = [teamId, fromYear];
+  let whereUser = '';
+  if (userId) {
+    whereUser = 'and g.user_id = ?';
+    params.push(userId);
+  }
+  return (
+    (await db.q(
+      `
+        select g.id, g.name, g.user_id, g.year, g.status, g.progress, u.name as member_name, u.email as member_email,
+          (select count(*) from action_plans ap where ap.goal_id = g.id and ap.deleted_at is null and ap.status <> 'Completed') as open_action_plans
+        from goals g
+        join users u on u.id = g.user_id
+        where u.team_id = ?
+          and g.year = ?
+          and g.deleted_at is null
+          and g.status <> 'Completed'
+          and (g.carried_over_to is null or not exists (select 1 from goals s where s.id = g.carried_over_to and s.deleted_at is null))
+          ${whereUser}
+        order by u.name asc, g.name asc
+      `,
+      params
+    )) || []
+  );
+}
@@ -0,0 +1,74 @@
+import crypto from 'node:crypto';
+import { buildInsert, buildVersionedUpdate } from './sql.js';
+
+export const DEFAULT_MAX_DEADLINE_CHANGES = Number(process.env.MAX_DEADLINE_CHANGES || 3);
+
+// Per-team cap on deadline changes per action plan (teams.max_deadline_changes), keyed off the goal owner's team.
+// Teams without their own value (null) use MAX_DEADLINE_CHANGES.
+export async function getDeadlineChangeLimit(tx, goalId) {
+  const row = await tx.q1(
+    `
+      select t.max_deadline_changes
+      from goals g
+      join users u on u.id = g.user_id
+      left join teams t on t.id = u.team_id
+      where g.id = ?
+      limit 1
+    `,
+    [goalId]
+  );
+  if (row?.max_deadline_changes == null) return DEFAULT_MAX_DEADLINE_CHANGES;
+  const n = Number(row.max_deadline_changes);
+  return Number.isInteger(n) && n >= 0 ? n : DEFAULT_MAX_DEADLINE_CHANGES;
+}
+
+// Opens a Pending deadline-change request for `plan` and locks the plan for leader review.
+// A still-pending earlier request for the same plan is marked Superseded. Returns { data } or { status, message }.
+export async function submitDeadlineChange(tx, plan, { requestedEndDate, reason, requestedBy }) {
+  const currentEffective = plan.request_deadline_date || plan.end_date || null;
+  if (requestedEndDate === currentEffective) return { status: 409, message: 'Requested deadline matches the current deadline' };
+  if (plan.start_date && requestedEndDate < `${plan.start_date}`.slice(0, 10)) {
+    return { status: 400, message: 'Requested deadline must be on or after start_date' };
+  }
+
+  const limit = await getDeadlineChangeLimit(tx, plan.goal_id);
+  const count = Number(plan.deadline_change_count || 0);
+  if (count >= limit) return { status: 409, message: `Deadline can only be changed ${limit} times` };
+
+  const nowIso = new Date().toISOString();
+  await tx.q(
+    `update action_plan_deadline_requests set status = 'Superseded', decided_by = ?, decided_at = ? where action_plan_id = ? and status = 'Pending'`,
+    [requestedBy, nowIso, plan.id]
+  );
+
+  const request = {
+    id: crypto.randomUUID(),
+    action_plan_id: plan.id,
+    requested_by: requestedBy,
+    previous_end_date: plan.end_date || null,
+    requested_end_date: requestedEndDate,
+    reason: reason || null,
+    status: 'Pending',
+    created_at: nowIso,
+  };
+  const ins = buildInsert('action_plan_deadline_requests', request);
+  await tx.q(ins.sql, ins.params);
+
+  const upd = buildVersionedUpdate(
+    'action_plans',
+    { request_deadline_date: requestedEndDate, deadline_change_count: count + 1, review_status: 'Pending', is_locked: 1, leader_review_notes: null },
+    'where id = ?',
+    [plan.id]
+  );
+  await tx.q(upd.sql, upd.params);
+
+  return { data: await tx.q1(`select * from action_plan_deadline_requests where id = ? limit 1`, [request.id]) };
+}
+
+// Marks a Pending deadline-change request Approved/Rejected. The caller updates the action plan itself.
+export async function decideDeadlineChange(tx, requestId, { approved, decidedBy, notes }) {
+  await tx.q(
+    `update action_plan_deadline_requests set status = ?, decided_by = ?, decided_at = ?, decision_notes = ? where id = ? and status = 'Pending'`,
+    [approved ? 'Approved' : 'Rejected', decidedBy, new Date().toISOString(), typeof notes === 'string' ? notes : null, requestId]
+  );
+}
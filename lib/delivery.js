@@ -0,0 +1,171 @@
+import crypto from 'node:crypto';
+import { buildInsert, hydrateRows } from './sql.js';
+import { NOTIFICATION_TYPES, buildNotification, getOptedOutUserIds } from './notifications.js';
+import { createTransportsFromEnv } from './transports.js';
+
+// External delivery for the review/verification events in lib/notifications.js.
+//
+// Channels are configured per team (team_notification_channels, managed under /leader/notification-channels):
+//   email    target null  -> one mail per recipient in the team (users.email, honouring the email opt-out)
+//            target set   -> one mail to that address (e.g. a team list)
+//   webhook  target = URL -> one signed POST per event (see signWebhookBody in lib/transports.js)
+// A channel with event_types = null receives every type.
+//
+// Each delivery is retried with exponential backoff in-process; once DELIVERY_MAX_ATTEMPTS is used up (or at
+// once, for permanent failures such as an unsigned webhook) it is written to notification_dead_letters, from
+// where a leader can retry it.
+
+export const CHANNEL_KINDS = ['email', 'webhook'];
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.DELIVERY_MAX_ATTEMPTS || 5));
+const BACKOFF_MS = Number(process.env.DELIVERY_BACKOFF_MS || 1000);
+const APP_BASE_URL = process.env.APP_BASE_URL || null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// base, 2x base, 4x base, ... with +/-20% jitter so a burst of failures does not retry in lockstep.
+export function backoffDelay(attempt, baseMs = BACKOFF_MS) {
+  return Math.round(baseMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+}
+
+function channelWants(channel, type) {
+  const types = channel.event_types;
+  return !Array.isArray(types) || types.length === 0 || types.includes(type);
+}
+
+function formatEmailText(msg) {
+  const lines = [msg.title];
+  if (msg.body) lines.push('', msg.body);
+  if (APP_BASE_URL && msg.entity_type && msg.entity_id) lines.push('', `${APP_BASE_URL.replace(/\/$/, '')}/${msg.entity_type}/${msg.entity_id}`);
+  return lines.join('\n');
+}
+
+// Webhook secrets are attached at send time so they never end up in notification_dead_letters.
+function toTransportMessage(channel, delivery) {
+  return channel.kind === 'webhook' ? { ...delivery, secret: channel.secret || null } : delivery;
+}
+
+async function planDeliveries(db, transports, type, payload) {
+  const msg = await buildNotification(db, type, payload);
+  if (!msg) return [];
+
+  const users = (await db.q(`select id, email, team_id from users where id in (?)`, [msg.recipients])) || [];
+  const teamIds = Array.from(new Set(users.map((u) => u.team_id).filter(Boolean)));
+  if (teamIds.length === 0) return [];
+
+  const channels = hydrateRows(await db.q(`select * from team_notification_channels where team_id in (?) and enabled = 1`, [teamIds])).filter(
+    (c) => transports[c.kind] && channelWants(c, type)
+  );
+  if (channels.length === 0) return [];
+
+  const emailOptOut = await getOptedOutUserIds(db, type, msg.recipients, 'email');
+  const createdAt = new Date().toISOString();
+  const out = [];
+  for (const channel of channels) {
+    const teamUsers = users.filter((u) => u.team_id === channel.team_id);
+    if (teamUsers.length === 0) continue;
+
+    if (channel.kind === 'email') {
+      const text = formatEmailText(msg);
+      const to = channel.target ? [channel.target] : teamUsers.filter((u) => u.email && !emailOptOut.has(u.id)).map((u) => u.email);
+      for (const addr of to) out.push({ channel, delivery: { to: addr, subject: msg.title, text } });
+    } else if (channel.kind === 'webhook') {
+      const body = JSON.stringify({
+        id: crypto.randomUUID(),
+        type,
+        created_at: createdAt,
+        team_id: channel.team_id,
+        title: msg.title,
+        body: msg.body,
+        entity_type: msg.entity_type,
+        entity_id: msg.entity_id,
+        recipients: teamUsers.map((u) => u.id),
+        payload,
+      });
+      out.push({ channel, delivery: { url: channel.target, event: type, body } });
+    }
+  }
+  return out;
+}
+
+async function recordDeadLetter(db, { channel, type, delivery, attempts, lastError }) {
+  const ins = buildInsert('notification_dead_letters', {
+    id: crypto.randomUUID(),
+    channel_id: channel.id,
+    team_id: channel.team_id,
+    kind: channel.kind,
+    event_type: type,
+    delivery,
+    attempts,
+    last_error: lastError,
+    created_at: new Date().toISOString(),
+  });
+  await db.q(ins.sql, ins.params);
+}
+
+async function deliverWithRetry(db, transports, type, { channel, delivery }) {
+  const transport = transports[channel.kind];
+  let lastError = null;
+  let attempts = 0;
+  while (attempts < MAX_ATTEMPTS) {
+    attempts++;
+    try {
+      await transport.send(toTransportMessage(channel, delivery));
+      return;
+    } catch (e) {
+      lastError = e instanceof Error ? e.message : String(e);
+      // Unsigned or disallowed webhooks fail the same way every time: dead-letter them straight away.
+      if (e?.permanent) break;
+      if (attempts < MAX_ATTEMPTS) await sleep(backoffDelay(attempts));
+    }
+  }
+  console.warn('[NOTIFY]', `${type} ${channel.kind} delivery dead-lettered after ${attempts} attempt(s): ${lastError}`);
+  await recordDeadLetter(db, { channel, type, delivery, attempts, lastError });
+}
+
+async function dispatch(db, transports, type, payload) {
+  const planned = await planDeliveries(db, transports, type, payload);
+  await Promise.all(planned.map((p) => deliverWithRetry(db, transports, type, p)));
+}
+
+/**
+ * One manual attempt at a dead-lettered delivery, using the channel's current secret.
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, message: string }>}
+ */
+export async function retryDeadLetter(db, transports, deadLetter) {
+  const channel = deadLetter.channel_id
+    ? await db.q1(`select id, team_id, kind, secret from team_notification_channels where id = ? limit 1`, [deadLetter.channel_id])
+    : null;
+  if (!channel) return { ok: false, status: 409, message: 'The channel for this delivery no longer exists' };
+  const transport = transports[channel.kind];
+  if (!transport) return { ok: false, status: 409, message: `No ${channel.kind} transport is configured` };
+
+  try {
+    await transport.send(toTransportMessage(channel, deadLetter.delivery));
+    await db.q(`update notification_dead_letters set attempts = attempts + 1, resolved_at = ? where id = ?`, [new Date().toISOString(), deadLetter.id]);
+    return { ok: true };
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    await db.q(`update notification_dead_letters set attempts = attempts + 1, last_error = ? where id = ?`, [msg, deadLetter.id]);
+    return { ok: false, status: 502, message: `Delivery failed again: ${msg}` };
+  }
+}
+
+/**
+ * Subscribe email/webhook delivery to the notification event bus.
+ * @param {import('node:events').EventEmitter} events bus from createNotificationEvents()
+ * @param {{ db: object, transports?: Record<string, { kind: string, send: Function }> }} deps
+ * @returns {import('node:events').EventEmitter} the same bus, for chaining
+ */
+export function attachExternalDelivery(events, { db, transports = createTransportsFromEnv() }) {
+  for (const type of NOTIFICATION_TYPES) {
+    events.on(type, (payload) => {
+      dispatch(db, transports, type, payload).catch((e) => {
+        console.warn('[NOTIFY]', `${type} external delivery failed:`, e instanceof Error ? e.message : String(e));
+      });
+    });
+  }
+  return events;
+}
@@ -0,0 +1,348 @@
+import { hydrateRows } from './sql.js';
+import { addDaysDateOnly } from './util.js';
+
+// Leader weekly digest: one team, one ISO week (Monday..Sunday).
+//
+//   new_reports           weekly reports dated inside the week
+//   blockers              reports from the week that list blockers, plus plans currently marked Blocked
+//   overdue_plans         unfinished plans whose end date passed before the end of the week (or today, if earlier)
+//   pending_reviews       goals, action plans, deadline changes and verifications still waiting on a leader (as of now)
+//   verification_outcomes verification reviews recorded during the week
+//
+// Shared by GET /leader/digest (JSON / HTML / Markdown).
+
+const SNIPPET_LENGTH = 280;
+
+function snippet(text) {
+  const s = typeof text === 'string' ? text.trim() : '';
+  if (!s) return null;
+  return s.length > SNIPPET_LENGTH ? `${s.slice(0, SNIPPET_LENGTH - 1)}…` : s;
+}
+
+function dateOnly(v) {
+  return v ? `${v instanceof Date ? v.toISOString() : v}`.slice(0, 10) : null;
+}
+
+/**
+ * Assemble the digest for `teamId` over [from, to] (YYYY-MM-DD, inclusive).
+ * @returns {Promise<object>}
+ */
+export async function buildLeaderDigest(db, { teamId, teamName, week, from, to, today = new Date().toISOString().slice(0, 10) }) {
+  const nextMonday = addDaysDateOnly(to, 1);
+  const overdueBefore = today < nextMonday ? today : nextMonday;
+
+  const reports = hydrateRows(
+    await db.q(
+      `
+        select
+          wr.id, wr.date, wr.work_done, wr.blockers_challenges, wr.next_week_plan,
+          ap.id as action_plan_id, ap.activity, ap.status as action_plan_status,
+          g.id as goal_id, g.name as goal_name,
+          u.id as user_id, u.name as member_name, u.email as member_email
+        from weekly_reports wr
+        join action_plans ap on ap.id = wr.action_plan_id
+        join goals g on g.id = wr.goal_id
+        join users u on u.id = g.user_id
+        where u.team_id = ?
+          and wr.deleted_at is null
+          and ap.deleted_at is null
+          and g.deleted_at is null
+          and wr.date >= ?
+          and wr.date <= ?
+        order by wr.date asc, u.name asc
+      `,
+      [teamId, from, to]
+    )
+  );
+
+  const blockedPlans = hydrateRows(
+    await db.q(
+      `
+        select ap.id as action_plan_id, ap.activity, ap.end_date, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+        from action_plans ap
+        join goals g on g.id = ap.goal_id
+        join users u on u.id = g.user_id
+        where u.team_id = ?
+          and ap.status = 'Blocked'
+          and ap.deleted_at is null
+          and g.deleted_at is null
+          and g.carried_over_to is null
+      `,
+      [teamId]
+    )
+  );
+
+  const overdue = hydrateRows(
+    await db.q(
+      `
+        select ap.id as action_plan_id, ap.activity, ap.status, ap.end_date, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+        from action_plans ap
+        join goals g on g.id = ap.goal_id
+        join users u on u.id = g.user_id
+        where u.team_id = ?
+          and ap.status <> 'Completed'
+          and g.status <> 'Completed'
+          and ap.end_date is not null
+          and ap.end_date < ?
+          and ap.deleted_at is null
+          and g.deleted_at is null
+          and g.carried_over_to is null
+        order by ap.end_date asc
+      `,
+      [teamId, overdueBefore]
+    )
+  );
+
+  const pendingGoals = await db.q(
+    `
+      select g.id as goal_id, g.name as goal_name, g.updated_at, u.id as user_id, u.name as member_name, u.email as member_email
+      from goals g
+      join users u on u.id = g.user_id
+      where u.team_id = ? and g.review_status = 'Pending' and g.deleted_at is null
+      order by g.updated_at asc
+    `,
+    [teamId]
+  );
+
+  const pendingPlans = await db.q(
+    `
+      select ap.id as action_plan_id, ap.activity, ap.updated_at, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+      from action_plans ap
+      join goals g on g.id = ap.goal_id
+      join users u on u.id = g.user_id
+      where u.team_id = ? and ap.review_status = 'Pending' and ap.deleted_at is null and g.deleted_at is null
+      order by ap.updated_at asc
+    `,
+    [teamId]
+  );
+
+  const pendingDeadlines = await db.q(
+    `
+      select dr.id, dr.requested_end_date, dr.previous_end_date, dr.reason, dr.created_at, ap.id as action_plan_id, ap.activity, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+      from action_plan_deadline_requests dr
+      join action_plans ap on ap.id = dr.action_plan_id
+      join goals g on g.id = ap.goal_id
+      join users u on u.id = g.user_id
+      where u.team_id = ? and dr.status = 'Pending' and ap.deleted_at is null and g.deleted_at is null
+      order by dr.created_at asc
+    `,
+    [teamId]
+  );
+
+  const pendingVerifications = await db.q(
+    `
+      select vr.id, vr.scope, vr.created_at, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+      from verification_requests vr
+      join goals g on g.id = vr.goal_id
+      join users u on u.id = vr.requester_id
+      where u.team_id = ? and vr.status in ('Pending', 'InReview') and g.deleted_at is null
+      order by vr.created_at asc
+    `,
+    [teamId]
+  );
+
+  const outcomes = await db.q(
+    `
+      select vr.id, vr.scope, vrv.result, vrv.leader_feedback, vrv.reviewed_at, g.id as goal_id, g.name as goal_name, u.id as user_id, u.name as member_name, u.email as member_email
+      from verification_reviews vrv
+      join verification_requests vr on vr.id = vrv.request_id
+      join goals g on g.id = vr.goal_id
+      join users u on u.id = vr.requester_id
+      where u.team_id = ?
+        and g.deleted_at is null
+        and vrv.reviewed_at >= ?
+        and vrv.reviewed_at < ?
+      order by vrv.reviewed_at asc
+    `,
+    [teamId, from, nextMonday]
+  );
+
+  const member = (r) => ({ user_id: r.user_id, name: r.member_name ?? null, email: r.member_email ?? null });
+
+  const newReports = (reports || []).map((r) => ({
+    id: r.id,
+    date: dateOnly(r.date),
+    member: member(r),
+    goal: { id: r.goal_id, name: r.goal_name },
+    action_plan: { id: r.action_plan_id, activity: r.activity, status: r.action_plan_status },
+    work_done: snippet(r.work_done),
+    blockers: snippet(r.blockers_challenges),
+    next_week_plan: snippet(r.next_week_plan),
+  }));
+
+  const blockers = newReports
+    .filter((r) => r.blockers)
+    .map((r) => ({ source: 'report', reported_on: r.date, member: r.member, goal: r.goal, action_plan: r.action_plan, blockers: r.blockers }));
+  const reportedPlanIds = new Set(blockers.map((b) => b.action_plan.id));
+  for (const p of blockedPlans || []) {
+    if (reportedPlanIds.has(p.action_plan_id)) continue;
+    blockers.push({
+      source: 'status',
+      reported_on: null,
+      member: member(p),
+      goal: { id: p.goal_id, name: p.goal_name },
+      action_plan: { id: p.action_plan_id, activity: p.activity, status: 'Blocked' },
+      blockers: null,
+    });
+  }
+
+  const msDay = 24 * 3600 * 1000;
+  const overduePlans = (overdue || []).map((p) => ({
+    member: member(p),
+    goal: { id: p.goal_id, name: p.goal_name },
+    action_plan: { id: p.action_plan_id, activity: p.activity, status: p.status },
+    end_date: dateOnly(p.end_date),
+    days_overdue: Math.round((Date.parse(overdueBefore) - Date.parse(dateOnly(p.end_date))) / msDay),
+  }));
+
+  const pendingReviews = {
+    goals: (pendingGoals || []).map((r) => ({ member: member(r), goal: { id: r.goal_id, name: r.goal_name }, since: r.updated_at ?? null })),
+    action_plans: (pendingPlans || []).map((r) => ({
+      member: member(r),
+      goal: { id: r.goal_id, name: r.goal_name },
+      action_plan: { id: r.action_plan_id, activity: r.activity },
+      since: r.updated_at ?? null,
+    })),
+    deadline_requests: (pendingDeadlines || []).map((r) => ({
+      id: r.id,
+      member: member(r),
+      goal: { id: r.goal_id, name: r.goal_name },
+      action_plan: { id: r.action_plan_id, activity: r.activity },
+      previous_end_date: dateOnly(r.previous_end_date),
+      requested_end_date: dateOnly(r.requested_end_date),
+      reason: snippet(r.reason),
+      since: r.created_at ?? null,
+    })),
+    verifications: (pendingVerifications || []).map((r) => ({
+      id: r.id,
+      member: member(r),
+      goal: { id: r.goal_id, name: r.goal_name },
+      scope: snippet(r.scope),
+      since: r.created_at ?? null,
+    })),
+  };
+
+  const verificationOutcomes = (outcomes || []).map((r) => ({
+    id: r.id,
+    member: member(r),
+    goal: { id: r.goal_id, name: r.goal_name },
+    scope: snippet(r.scope),
+    result: r.result,
+    feedback: snippet(r.leader_feedback),
+    reviewed_at: r.reviewed_at ?? null,
+  }));
+
+  const byResult = {};
+  for (const o of verificationOutcomes) byResult[o.result] = (byResult[o.result] || 0) + 1;
+
+  return {
+    team: { id: teamId, name: teamName ?? null },
+    week,
+    from,
+    to,
+    generated_at: new Date().toISOString(),
+    summary: {
+      new_reports: newReports.length,
+      reporting_members: new Set(newReports.map((r) => r.member.user_id)).size,
+      blockers: blockers.length,
+      overdue_plans: overduePlans.length,
+      pending_reviews:
+        pendingReviews.goals.length + pendingReviews.action_plans.length + pendingReviews.deadline_requests.length + pendingReviews.verifications.length,
+      verification_outcomes: byResult,
+    },
+    new_reports: newReports,
+    blockers,
+    overdue_plans: overduePlans,
+    pending_reviews: pendingReviews,
+    verification_outcomes: verificationOutcomes,
+  };
+}
+
+// --- Rendering ---
+
+function who(m) {
+  return m?.name || m?.email || m?.user_id || 'Unknown member';
+}
+
+function escapeHtml(s) {
+  return `${s ?? ''}`.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Markdown inline text: keep user input from turning into formatting or links.
+function escapeMd(s) {
+  return `${s ?? ''}`.replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+// Each section is [title, items, line(item) -> { text, detail? }]; both renderers walk the same list.
+function digestSections(d) {
+  const pr = d.pending_reviews;
+  return [
+    ['New weekly reports', d.new_reports, (r) => ({ text: `${r.date} · ${who(r.member)} · ${r.action_plan.activity} (${r.goal.name})`, detail: r.work_done })],
+    [
+      'Blockers',
+      d.blockers,
+      (b) => ({ text: `${who(b.member)} · ${b.action_plan.activity} (${b.goal.name})${b.source === 'status' ? ' · marked Blocked' : ''}`, detail: b.blockers }),
+    ],
+    ['Overdue action plans', d.overdue_plans, (p) => ({ text: `${who(p.member)} · ${p.action_plan.activity} (${p.goal.name}) · due ${p.end_date}, ${p.days_overdue} day(s) overdue` })],
+    ['Goals awaiting review', pr.goals, (r) => ({ text: `${who(r.member)} · ${r.goal.name}` })],
+    ['Action plans awaiting review', pr.action_plans, (r) => ({ text: `${who(r.member)} · ${r.action_plan.activity} (${r.goal.name})` })],
+    [
+      'Deadline change requests',
+      pr.deadline_requests,
+      (r) => ({ text: `${who(r.member)} · ${r.action_plan.activity}: ${r.previous_end_date ?? '—'} → ${r.requested_end_date}`, detail: r.reason }),
+    ],
+    ['Verifications awaiting review', pr.verifications, (r) => ({ text: `${who(r.member)} · ${r.goal.name}`, detail: r.scope })],
+    ['Verification outcomes', d.verification_outcomes, (r) => ({ text: `${r.result} · ${who(r.member)} · ${r.goal.name}`, detail: r.feedback })],
+  ];
+}
+
+function summaryLine(d) {
+  const s = d.summary;
+  return `${s.new_reports} report(s) from ${s.reporting_members} member(s), ${s.blockers} blocker(s), ${s.overdue_plans} overdue plan(s), ${s.pending_reviews} pending review(s)`;
+}
+
+export function renderDigestMarkdown(d) {
+  const lines = [`# Weekly digest: ${escapeMd(d.team.name || d.team.id)} — ${d.week}`, '', `_${d.from} to ${d.to}_`, '', summaryLine(d), ''];
+  for (const [title, items, line] of digestSections(d)) {
+    lines.push(`## ${title} (${items.length})`, '');
+    if (items.length === 0) lines.push('_None._');
+    for (const item of items) {
+      const { text, detail } = line(item);
+      lines.push(`- ${escapeMd(text)}`);
+      if (detail) lines.push(`  > ${escapeMd(detail)}`);
+    }
+    lines.push('');
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+// Inline styles only: most mail clients drop <style> blocks.
+export function renderDigestHtml(d) {
+  const sections = digestSections(d)
+    .map(([title, items, line]) => {
+      const body =
+        items.length === 0
+          ? '<p style="color:#888;margin:4px 0 12px">None.</p>'
+          : `<ul style="margin:4px 0 12px;padding-left:20px">${items
+              .map((item) => {
+                const { text, detail } = line(item);
+                const extra = detail ? `<div style="color:#555;font-size:13px;margin-top:2px">${escapeHtml(detail)}</div>` : '';
+                return `<li style="margin-bottom:6px">${escapeHtml(text)}${extra}</li>`;
+              })
+              .join('')}</ul>`;
+      return `<h2 style="font-size:16px;margin:20px 0 4px">${escapeHtml(title)} (${items.length})</h2>${body}`;
+    })
+    .join('\n');
+
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Weekly digest ${escapeHtml(d.week)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:720px;margin:0 auto;padding:16px">
+<h1 style="font-size:20px;margin:0 0 4px">Weekly digest: ${escapeHtml(d.team.name || d.team.id)} — ${escapeHtml(d.week)}</h1>
+<p style="color:#666;margin:0 0 12px">${escapeHtml(d.from)} to ${escapeHtml(d.to)}</p>
+<p style="margin:0 0 12px">${escapeHtml(summaryLine(d))}</p>
+${sections}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,155 @@
+import ExcelJS from 'exceljs';
+
+// Spreadsheet exports for the dashboard routes (`?format=csv|xlsx`, default json).
+//
+// A route builds its usual payload, then hands sendExport a list of sheets: [{ name, rows }].
+// Nested objects in a row are flattened into underscore-joined columns (goals.total -> goals_total);
+// arrays are dropped, so sheet builders turn them into rows or columns first.
+// XLSX carries every sheet; CSV carries one, picked with `?sheet=<name>` (default: the first sheet).
+
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Returns the requested format, or null when `format` is present but not one of EXPORT_FORMATS.
+export function exportFormatOf(req) {
+  const raw = typeof req.query.format === 'string' && req.query.format.trim() ? req.query.format.trim().toLowerCase() : 'json';
+  return EXPORT_FORMATS.includes(raw) ? raw : null;
+}
+
+export function flattenRow(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}_${k}` : k;
+    if (Array.isArray(v)) continue;
+    if (v && typeof v === 'object' && !(v instanceof Date)) flattenRow(v, key, out);
+    else out[key] = v ?? null;
+  }
+  return out;
+}
+
+function columnsOf(rows) {
+  const seen = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) seen.add(k);
+  return Array.from(seen);
+}
+
+function slug(s) {
+  return `${s}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// CSV cells starting with these are evaluated as formulas by spreadsheet apps; prefix them so user text stays text.
+// XLSX needs no prefix: ExcelJS writes strings as string cells, which are never evaluated.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v === null || typeof v === 'undefined') return '';
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v !== 'string') return String(v);
+  const s = FORMULA_PREFIX.test(v) ? `'${v}` : v;
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) await new Promise((resolve) => res.once('drain', resolve));
+}
+
+/**
+ * Stream `sheets` to the client as CSV or XLSX.
+ * @param {{ filename: string, sheets: Array<{ name: string, rows: object[] }> }} opts
+ */
+export async function sendExport(req, res, format, { filename, sheets }) {
+  const flatSheets = sheets.map((s) => {
+    const rows = (s.rows || []).map((r) => flattenRow(r));
+    return { name: s.name, rows, columns: columnsOf(rows) };
+  });
+  const base = slug(filename) || 'export';
+
+  if (format === 'csv') {
+    const wanted = typeof req.query.sheet === 'string' && req.query.sheet.trim() ? slug(req.query.sheet) : null;
+    const sheet = wanted ? flatSheets.find((s) => slug(s.name) === wanted) : flatSheets[0];
+    if (!sheet) return res.status(400).json({ error: `Unknown sheet; expected one of: ${flatSheets.map((s) => slug(s.name)).join(', ')}` });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}${flatSheets.length > 1 ? `-${slug(sheet.name)}` : ''}.csv"`);
+    // BOM so Excel opens the file as UTF-8.
+    await writeChunk(res, `\ufeff${sheet.columns.map(csvCell).join(',')}\r\n`);
+    for (let i = 0; i < sheet.rows.length; i += 500) {
+      const lines = sheet.rows.slice(i, i + 500).map((r) => `${sheet.columns.map((c) => csvCell(r[c])).join(',')}\r\n`);
+      await writeChunk(res, lines.join(''));
+    }
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${base}.xlsx"`);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  for (const sheet of flatSheets) {
+    // Excel sheet names: max 31 chars, no []:*?/\
+    const ws = workbook.addWorksheet(sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    ws.columns = sheet.columns.map((c) => ({ header: c, key: c, width: Math.min(40, Math.max(10, c.length + 2)) }));
+    ws.getRow(1).font = { bold: true };
+    ws.getRow(1).commit();
+    for (const r of sheet.rows) {
+      const row = {};
+      for (const c of sheet.columns) row[c] = r[c] ?? null;
+      ws.addRow(row).commit();
+    }
+    ws.commit();
+  }
+  await workbook.commit();
+}
+
+// --- Sheet builders ---
+
+// One row per action plan, goal columns repeated; goals without plans still get a row.
+export function goalsWithPlansRows(goals) {
+  const rows = [];
+  for (const g of goals || []) {
+    const goal = {
+      goal_id: g.id,
+      goal_name: g.name,
+      member_name: g.user_name ?? null,
+      member_email: g.user_email ?? null,
+      team: g.team ?? null,
+      year: g.year,
+      goal_type: g.type ?? null,
+      goal_status: g.status ?? null,
+      goal_review_status: g.review_status ?? null,
+      goal_progress: g.progress === null || typeof g.progress === 'undefined' ? null : Number(g.progress),
+      goal_start_date: g.start_date ?? null,
+      goal_time_bound: g.time_bound ?? null,
+      verification_status: g.verification_status ?? null,
+      verification_result: g.verification_result ?? null,
+    };
+    const plans = Array.isArray(g.action_plans) ? g.action_plans : [];
+    if (plans.length === 0) {
+      rows.push({ ...goal, action_plan_id: null, activity: null, plan_status: null, plan_review_status: null, plan_start_date: null, plan_end_date: null, evidence_link: null });
+      continue;
+    }
+    for (const p of plans) {
+      rows.push({
+        ...goal,
+        action_plan_id: p.id,
+        activity: p.activity,
+        plan_status: p.status ?? null,
+        plan_review_status: p.review_status ?? null,
+        plan_start_date: p.start_date ?? null,
+        plan_end_date: p.end_date ?? null,
+        evidence_link: p.evidence_link ?? null,
+      });
+    }
+  }
+  return rows;
+}
+
+// Member x week matrix: one row per member, one column per week key.
+export function weeklyMatrixRows(weeks, members, valuesKey) {
+  return (members || []).map((m) => {
+    const row = { user_id: m.user_id, name: m.name ?? null, email: m.email ?? null };
+    weeks.forEach((wk, i) => {
+      row[wk] = m[valuesKey]?.[i] ?? 0;
+    });
+    return row;
+  });
+}
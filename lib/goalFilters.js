@@ -0,0 +1,156 @@
+import { GOAL_STATUSES } from './schemas.js';
+import { GOAL_REVIEW_STATUSES } from './goalLifecycle.js';
+import { isValidDateOnly, addDaysDateOnly } from './util.js';
+
+// Goal filters shared by GET /leader/goals and GET /leader/goals/summary, so the summary counts always
+// describe the same goals as the list. Everything is applied in SQL against `goals g`:
+//
+//   review_status=Pending,Approved      comma list; Pending also matches goals never sent for review
+//   status=In Progress,Completed         comma list of goal statuses
+//   progress_min=20&progress_max=80      inclusive, 0-100
+//   verification_status=Pending          latest verification request (same rule as lib/verificationSummary.js):
+//                                        NotRequested | Pending | InReview | Reviewed
+//   verification_result=NeedsWork        final result of the latest request: Pass | NeedsWork | Fail
+//   has_overdue_plans=1|0                any unfinished action plan whose end_date is before today
+//   missing_reports_weeks=2              has an In Progress/Blocked plan without a weekly report in the last N weeks
+//   time_bound_before / time_bound_after YYYY-MM-DD, exclusive
+
+export const VERIFICATION_STATUSES = ['NotRequested', 'Pending', 'InReview', 'Reviewed'];
+export const VERIFICATION_RESULTS = ['Pass', 'NeedsWork', 'Fail'];
+
+function listParam(raw, allowed, field, errors) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const values = raw
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = values.filter((v) => !allowed.includes(v));
+  if (unknown.length) {
+    errors.push({ field, message: `unknown value(s) ${unknown.join(', ')} (allowed: ${allowed.join(', ')})` });
+    return null;
+  }
+  return values;
+}
+
+function numberParam(raw, field, { min, max, integer = false }, errors) {
+  if (typeof raw === 'undefined' || `${raw}`.trim() === '') return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    errors.push({ field, message: `must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` });
+    return null;
+  }
+  return n;
+}
+
+function dateParam(raw, field, errors) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  if (!isValidDateOnly(raw.trim())) {
+    errors.push({ field, message: 'must be a date (YYYY-MM-DD)' });
+    return null;
+  }
+  return raw.trim();
+}
+
+/**
+ * Read the filter query params. Unset filters are null.
+ * @returns {{ ok: true, filters: object } | { ok: false, errors: { field: string, message: string }[] }}
+ */
+export function parseGoalFilters(query) {
+  const errors = [];
+  const filters = {
+    review_status: listParam(query.review_status, GOAL_REVIEW_STATUSES, 'review_status', errors),
+    status: listParam(query.status, GOAL_STATUSES, 'status', errors),
+    progress_min: numberParam(query.progress_min, 'progress_min', { min: 0, max: 100 }, errors),
+    progress_max: numberParam(query.progress_max, 'progress_max', { min: 0, max: 100 }, errors),
+    verification_status: listParam(query.verification_status, VERIFICATION_STATUSES, 'verification_status', errors),
+    verification_result: listParam(query.verification_result, VERIFICATION_RESULTS, 'verification_result', errors),
+    has_overdue_plans: null,
+    missing_reports_weeks: numberParam(query.missing_reports_weeks, 'missing_reports_weeks', { min: 1, max: 52, integer: true }, errors),
+    time_bound_before: dateParam(query.time_bound_before, 'time_bound_before', errors),
+    time_bound_after: dateParam(query.time_bound_after, 'time_bound_after', errors),
+  };
+
+  if (typeof query.has_overdue_plans === 'string' && query.has_overdue_plans.trim()) {
+    const v = query.has_overdue_plans.trim().toLowerCase();
+    if (['1', 'true'].includes(v)) filters.has_overdue_plans = true;
+    else if (['0', 'false'].includes(v)) filters.has_overdue_plans = false;
+    else errors.push({ field: 'has_overdue_plans', message: 'must be 1/true or 0/false' });
+  }
+  if (filters.progress_min !== null && filters.progress_max !== null && filters.progress_min > filters.progress_max) {
+    errors.push({ field: 'progress_max', message: 'must be greater than or equal to progress_min' });
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, filters };
+}
+
+/**
+ * SQL for parsed filters, to append to a where clause over `goals g`.
+ * @param {string} today YYYY-MM-DD used for overdue plans and the weekly-report window
+ * @returns {{ sql: string, params: any[] }} sql starts with `and` (or is empty)
+ */
+export function goalFilterSql(filters, { today }) {
+  const parts = [];
+  const params = [];
+
+  if (filters.review_status) {
+    const withNull = filters.review_status.includes('Pending') ? ' or g.review_status is null' : '';
+    parts.push(`(g.review_status in (?)${withNull})`);
+    params.push(filters.review_status);
+  }
+  if (filters.status) {
+    parts.push('g.status in (?)');
+    params.push(filters.status);
+  }
+  if (filters.progress_min !== null) {
+    parts.push('g.progress >= ?');
+    params.push(filters.progress_min);
+  }
+  if (filters.progress_max !== null) {
+    parts.push('g.progress <= ?');
+    params.push(filters.progress_max);
+  }
+  if (filters.verification_status) {
+    parts.push(`coalesce((select lv.status from verification_requests lv where lv.goal_id = g.id order by lv.created_at desc limit 1), 'NotRequested') in (?)`);
+    params.push(filters.verification_status);
+  }
+  if (filters.verification_result) {
+    parts.push(`(select lv.final_result from verification_requests lv where lv.goal_id = g.id order by lv.created_at desc limit 1) in (?)`);
+    params.push(filters.verification_result);
+  }
+  if (filters.has_overdue_plans !== null) {
+    parts.push(`${filters.has_overdue_plans ? '' : 'not '}exists (
+      select 1 from action_plans ap
+      where ap.goal_id = g.id
+        and ap.deleted_at is null
+        and ap.status <> 'Completed'
+        and ap.end_date is not null
+        and ap.end_date < ?
+    )`);
+    params.push(today);
+  }
+  if (filters.missing_reports_weeks !== null) {
+    parts.push(`exists (
+      select 1 from action_plans ap
+      where ap.goal_id = g.id
+        and ap.deleted_at is null
+        and ap.status in ('In Progress', 'Blocked')
+        and not exists (
+          select 1 from weekly_reports wr
+          where wr.action_plan_id = ap.id
+            and wr.deleted_at is null
+            and wr.date > ?
+        )
+    )`);
+    params.push(addDaysDateOnly(today, -7 * filters.missing_reports_weeks));
+  }
+  if (filters.time_bound_before) {
+    parts.push('g.time_bound < ?');
+    params.push(filters.time_bound_before);
+  }
+  if (filters.time_bound_after) {
+    parts.push('g.time_bound > ?');
+    params.push(filters.time_bound_after);
+  }
+
+  return { sql: parts.map((p) => `and ${p}`).join(' '), params };
+}
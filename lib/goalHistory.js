@@ -0,0 +1,63 @@
+import crypto from 'node:crypto';
+import { buildInsert, buildVersionedUpdate } from './sql.js';
+import { planGoalTransition } from './goalLifecycle.js';
+
+// Appends a goal_progress_history row when progress or status changed between `before` and `after`.
+// Pass the transaction the goal update ran in so the history row commits (or rolls back) with it.
+export async function recordGoalProgressChange(tx, { before, after, recordedBy, source }) {
+  const prevProgress = before?.progress == null ? null : Number(before.progress);
+  const nextProgress = Number(after?.progress ?? 0);
+  const prevStatus = before?.status ?? null;
+  const nextStatus = after?.status ?? null;
+  if (prevProgress === nextProgress && prevStatus === nextStatus) return;
+
+  const ins = buildInsert('goal_progress_history', {
+    goal_id: after.id,
+    progress: nextProgress,
+    previous_progress: prevProgress,
+    status: nextStatus,
+    previous_status: prevStatus,
+    recorded_by: recordedBy ?? null,
+    source: source ?? null,
+    recorded_at: new Date().toISOString(),
+  });
+  await tx.q(ins.sql, ins.params);
+}
+
+// --- Goal review lifecycle (see lib/goalLifecycle.js) ---
+
+// Applies a lifecycle action to `goal` inside `tx` and appends the matching goal_review_events row.
+// `patch` carries extra columns to write alongside the transition (e.g. reviewer audit fields).
+export async function applyGoalReviewAction(tx, goal, { action, actor, actorId, comment = null, patch = {} }) {
+  const t = planGoalTransition(goal, action, actor, actorId);
+  if (!t.ok) return t;
+
+  const updates = { ...t.patch, ...patch };
+  if (Object.keys(updates).length > 0) {
+    const upd = buildVersionedUpdate('goals', { ...updates, updated_at: new Date().toISOString() }, 'where id = ?', [goal.id]);
+    await tx.q(upd.sql, upd.params);
+  }
+
+  const ins = buildInsert('goal_review_events', {
+    id: crypto.randomUUID(),
+    goal_id: goal.id,
+    action,
+    from_review_status: t.from,
+    to_review_status: t.to,
+    actor_id: actorId ?? null,
+    actor_role: actor,
+    comment: typeof comment === 'string' && comment.trim() ? comment : null,
+    created_at: new Date().toISOString(),
+  });
+  await tx.q(ins.sql, ins.params);
+
+  if (t.patch.status && t.patch.status !== goal.status) {
+    await recordGoalProgressChange(tx, {
+      before: goal,
+      after: { ...goal, status: t.patch.status },
+      recordedBy: actorId,
+      source: 'review',
+    });
+  }
+  return t;
+}
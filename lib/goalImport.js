@@ -0,0 +1,225 @@
+import crypto from 'node:crypto';
+import { parse } from 'csv-parse/sync';
+import { buildInsert } from './sql.js';
+import { goalSchema, actionPlanSchema, validateBody } from './schemas.js';
+
+// Bulk goal import (POST /import/goals).
+//
+// JSON: { goals: [{ ...goal fields, member_email? | user_id?, action_plans: [{ ...action plan fields }] }] }
+// CSV:  one row per action plan, goal columns repeated on every row of the same goal:
+//   goal_ref                optional label grouping rows into one goal (default: owner + goal_name + goal_year)
+//   member_email | user_id  goal owner; defaults to the caller, other members are leader-only
+//   goal_<field>            goalSchema fields (goal_name, goal_year, goal_time_bound, ...)
+//   plan_<field>            actionPlanSchema fields (plan_activity, plan_end_date, ...); leave empty for a goal without plans
+// Empty CSV cells count as "not provided".
+//
+// Both shapes normalise to [{ at, owner, goal, plans: [{ at, plan }] }] where `at` points back at the
+// input (CSV line or JSON path) so every validation error can be reported against the row it came from.
+
+export const IMPORT_MAX_GOALS = Number(process.env.IMPORT_MAX_GOALS || 500);
+
+const OWNER_COLUMNS = ['member_email', 'user_id'];
+
+function writableFields(schema) {
+  return new Set(Object.entries(schema.fields).filter(([, def]) => !def.readOnly).map(([k]) => k));
+}
+
+const GOAL_FIELDS = writableFields(goalSchema);
+const PLAN_FIELDS = writableFields(actionPlanSchema);
+
+function columnTarget(col) {
+  if (col === 'goal_ref' || OWNER_COLUMNS.includes(col)) return { kind: col };
+  if (col.startsWith('goal_') && GOAL_FIELDS.has(col.slice(5))) return { kind: 'goal', field: col.slice(5) };
+  if (col.startsWith('plan_') && PLAN_FIELDS.has(col.slice(5))) return { kind: 'plan', field: col.slice(5) };
+  return null;
+}
+
+function ownerOf(src) {
+  const userId = typeof src.user_id === 'string' && src.user_id.trim() ? src.user_id.trim() : null;
+  const email = typeof src.member_email === 'string' && src.member_email.trim() ? src.member_email.trim().toLowerCase() : null;
+  return userId || email ? { userId, email } : null;
+}
+
+// Unreadable input is { ok: false, errors }; row-level problems come back as { ok: true, entries, errors }
+// so a dry run can report them together with the validation errors.
+
+/**
+ * @returns {{ ok: true, entries: object[], errors: object[] } | { ok: false, errors: object[] }}
+ */
+export function parseCsvImport(text) {
+  let records;
+  try {
+    records = parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true, info: true });
+  } catch (e) {
+    return { ok: false, errors: [{ at: e?.lines ? `line ${e.lines}` : null, field: null, message: `Invalid CSV: ${e instanceof Error ? e.message : String(e)}` }] };
+  }
+  if (records.length === 0) return { ok: false, errors: [{ at: null, field: null, message: 'CSV has no data rows' }] };
+
+  const columns = Object.keys(records[0].record);
+  const unknown = columns.filter((c) => !columnTarget(c));
+  if (unknown.length) return { ok: false, errors: unknown.map((c) => ({ at: 'line 1', field: c, message: 'is not a known column' })) };
+
+  const errors = [];
+  const groups = new Map();
+  for (const { record, info } of records) {
+    const at = `line ${info.lines}`;
+    const goal = {};
+    const plan = {};
+    for (const [col, raw] of Object.entries(record)) {
+      if (raw === '' || raw === null || typeof raw === 'undefined') continue;
+      const t = columnTarget(col);
+      if (t.kind === 'goal') goal[t.field] = raw;
+      else if (t.kind === 'plan') plan[t.field] = raw;
+    }
+    const owner = ownerOf(record);
+    const key = record.goal_ref ? `ref:${record.goal_ref}` : `auto:${owner?.userId || owner?.email || ''}|${goal.name ?? ''}|${goal.year ?? ''}`;
+
+    let entry = groups.get(key);
+    if (!entry) {
+      entry = { at, owner, goal, plans: [] };
+      groups.set(key, entry);
+    } else {
+      for (const [field, value] of Object.entries(goal)) {
+        if (typeof entry.goal[field] === 'undefined') entry.goal[field] = value;
+        else if (entry.goal[field] !== value) errors.push({ at, field: `goal_${field}`, message: `differs from ${entry.at} for the same goal` });
+      }
+    }
+    if (Object.keys(plan).length > 0) entry.plans.push({ at, plan });
+  }
+
+  return { ok: true, entries: Array.from(groups.values()), errors };
+}
+
+export function parseJsonImport(body) {
+  const goals = body?.goals;
+  if (!Array.isArray(goals) || goals.length === 0) return { ok: false, errors: [{ at: null, field: 'goals', message: 'must be a non-empty array' }] };
+
+  const errors = [];
+  const entries = [];
+  goals.forEach((g, i) => {
+    const at = `goals[${i}]`;
+    if (!g || typeof g !== 'object' || Array.isArray(g)) {
+      errors.push({ at, field: null, message: 'must be an object' });
+      return;
+    }
+    const { action_plans, member_email, user_id, ...goal } = g;
+    if (typeof action_plans !== 'undefined' && !Array.isArray(action_plans)) {
+      errors.push({ at, field: 'action_plans', message: 'must be an array' });
+      return;
+    }
+    entries.push({
+      at,
+      owner: ownerOf({ member_email, user_id }),
+      goal,
+      plans: (action_plans || []).map((plan, j) => ({ at: `${at}.action_plans[${j}]`, plan })),
+    });
+  });
+  return { ok: true, entries, errors };
+}
+
+/**
+ * Validate parsed entries and resolve their owners. Never writes.
+ * @param {{ callerId: string, isLeader: boolean, leaderTeamId: string | null, role: 'member' | 'leader', csv: boolean }} ctx
+ * @returns {Promise<{ entries: object[], errors: object[] }>} entries carry `ownerId`, validated `goal` and `plans` values
+ */
+export async function validateImport(db, entries, ctx) {
+  const errors = [];
+  const fieldName = (prefix, field) => (ctx.csv && field ? `${prefix}_${field}` : field);
+
+  if (entries.length > IMPORT_MAX_GOALS) {
+    return { entries: [], errors: [{ at: null, field: null, message: `At most ${IMPORT_MAX_GOALS} goals can be imported at once (got ${entries.length})` }] };
+  }
+
+  const userIds = new Set();
+  const emails = new Set();
+  for (const e of entries) {
+    if (e.owner?.userId) userIds.add(e.owner.userId);
+    else if (e.owner?.email) emails.add(e.owner.email);
+  }
+  const users = [];
+  if (userIds.size) users.push(...((await db.q(`select id, email, team_id from users where id in (?)`, [Array.from(userIds)])) || []));
+  if (emails.size) users.push(...((await db.q(`select id, email, team_id from users where lower(email) in (?)`, [Array.from(emails)])) || []));
+  const byId = new Map(users.map((u) => [u.id, u]));
+  const byEmail = new Map(users.filter((u) => u.email).map((u) => [u.email.toLowerCase(), u]));
+
+  const goalIds = [];
+  const planIds = [];
+  const out = [];
+  for (const e of entries) {
+    let ownerId = ctx.callerId;
+    if (e.owner) {
+      const u = e.owner.userId ? byId.get(e.owner.userId) : byEmail.get(e.owner.email);
+      const ownerField = e.owner.userId ? 'user_id' : 'member_email';
+      if (!u) {
+        errors.push({ at: e.at, field: ownerField, message: 'does not match a known user' });
+        continue;
+      }
+      if (u.id !== ctx.callerId) {
+        if (!ctx.isLeader) {
+          errors.push({ at: e.at, field: ownerField, message: 'members can only import their own goals' });
+          continue;
+        }
+        if (!ctx.leaderTeamId || u.team_id !== ctx.leaderTeamId) {
+          errors.push({ at: e.at, field: ownerField, message: 'is not a member of your team' });
+          continue;
+        }
+      }
+      ownerId = u.id;
+    }
+
+    const gv = validateBody(goalSchema, e.goal, { mode: 'create', role: ctx.role });
+    if (!gv.ok) for (const err of gv.errors) errors.push({ at: e.at, field: fieldName('goal', err.field), message: err.message });
+
+    const plans = [];
+    for (const p of e.plans) {
+      const pv = validateBody(actionPlanSchema, p.plan, { mode: 'create', role: ctx.role });
+      if (!pv.ok) for (const err of pv.errors) errors.push({ at: p.at, field: fieldName('plan', err.field), message: err.message });
+      else {
+        plans.push({ at: p.at, value: pv.value });
+        if (pv.value.id) planIds.push({ at: p.at, id: pv.value.id });
+      }
+    }
+
+    if (gv.ok) {
+      out.push({ at: e.at, ownerId, goal: gv.value, plans });
+      if (gv.value.id) goalIds.push({ at: e.at, id: gv.value.id });
+    }
+  }
+
+  // Client-supplied ids must be unique within the file and unused in the database.
+  for (const [table, list, prefix] of [
+    ['goals', goalIds, 'goal'],
+    ['action_plans', planIds, 'plan'],
+  ]) {
+    if (list.length === 0) continue;
+    const seen = new Map();
+    for (const { at, id } of list) {
+      if (seen.has(id)) errors.push({ at, field: fieldName(prefix, 'id'), message: `duplicates ${seen.get(id)}` });
+      else seen.set(id, at);
+    }
+    const existing = await db.q(`select id from ${table} where id in (?)`, [Array.from(seen.keys())]);
+    for (const r of existing || []) errors.push({ at: seen.get(r.id), field: fieldName(prefix, 'id'), message: 'already exists' });
+  }
+
+  return { entries: out, errors };
+}
+
+// Inserts validated entries; run inside withTransaction so a failure leaves nothing behind.
+export async function insertImport(tx, entries) {
+  const created = [];
+  for (const e of entries) {
+    const goal = { ...e.goal, id: e.goal.id || crypto.randomUUID(), user_id: e.ownerId };
+    const gi = buildInsert('goals', goal);
+    await tx.q(gi.sql, gi.params);
+
+    const actionPlanIds = [];
+    for (const p of e.plans) {
+      const plan = { ...p.value, id: p.value.id || crypto.randomUUID(), goal_id: goal.id };
+      const pi = buildInsert('action_plans', plan);
+      await tx.q(pi.sql, pi.params);
+      actionPlanIds.push(plan.id);
+    }
+    created.push({ at: e.at, id: goal.id, user_id: goal.user_id, name: goal.name, year: goal.year, action_plan_ids: actionPlanIds });
+  }
+  return created;
+}
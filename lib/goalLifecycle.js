@@ -0,0 +1,61 @@
+// Goal review lifecycle: which review_status transitions are legal and who may trigger them.
+//
+//   (none) --request--> Pending --approve--> Approved --reject--> Rejected
+//                          |  \--reject---> Rejected --request--> Pending
+//                          \--cancel--> Cancelled --request--> Pending
+//
+// `comment` records leader feedback without changing state. is_locked follows review_status:
+// members cannot edit a goal while it is Pending, and only progress/status once Approved.
+
+export const GOAL_REVIEW_STATUSES = ['Pending', 'Approved', 'Rejected', 'Cancelled'];
+
+const LOCKED_STATUSES = new Set(['Pending', 'Approved']);
+
+const ACTIONS = {
+  request: { actor: 'owner', from: [null, 'Rejected', 'Cancelled'], to: 'Pending' },
+  cancel: { actor: 'owner', from: ['Pending'], to: 'Cancelled' },
+  approve: { actor: 'leader', from: ['Pending'], to: 'Approved' },
+  reject: { actor: 'leader', from: ['Pending', 'Approved'], to: 'Rejected' },
+  comment: { actor: 'leader', from: null, to: null },
+};
+
+// Maps the `status` a leader/member sends in a body to the lifecycle action it represents.
+const ACTION_BY_STATUS = { Pending: 'request', Cancelled: 'cancel', Approved: 'approve', Rejected: 'reject' };
+
+export function reviewActionForStatus(status) {
+  return ACTION_BY_STATUS[status] ?? null;
+}
+
+export function isReviewLocked(reviewStatus) {
+  return LOCKED_STATUSES.has(reviewStatus);
+}
+
+// Decisions a goal's owner may never take on their own goal, even when they are also a leader.
+const DECISIONS = new Set(['approve', 'reject']);
+
+/**
+ * Work out the next state for `action` on `goal` performed by `actor` ('owner' | 'leader').
+ * `actorId` is checked against goal.user_id so an owner who is also a leader cannot approve or reject their own goal.
+ * @returns {{ ok: true, from: string|null, to: string|null, patch: object } | { ok: false, status: number, message: string }}
+ */
+export function planGoalTransition(goal, action, actor, actorId = null) {
+  const def = ACTIONS[action];
+  if (!def) return { ok: false, status: 400, message: `Unknown review action "${action}"` };
+  if (def.actor !== actor) {
+    return { ok: false, status: 403, message: `Forbidden (only the goal ${def.actor} can ${action} a review)` };
+  }
+  if (DECISIONS.has(action) && (!actorId || actorId === goal.user_id)) {
+    return { ok: false, status: 403, message: `Forbidden (the goal owner cannot ${action} their own goal)` };
+  }
+
+  const from = goal.review_status || null;
+  if (def.from && !def.from.includes(from)) {
+    return { ok: false, status: 409, message: `Cannot ${action} a goal whose review status is ${from ?? 'not requested'}` };
+  }
+
+  if (!def.to) return { ok: true, from, to: from, patch: {} };
+
+  const patch = { review_status: def.to, is_locked: isReviewLocked(def.to) ? 1 : 0 };
+  if (action === 'approve' && (goal.status === 'Not started' || goal.status === 'Draft')) patch.status = 'In Progress';
+  return { ok: true, from, to: def.to, patch };
+}
@@ -0,0 +1,194 @@
+import { hydrateRows } from './sql.js';
+import { isValidDateOnly, toDateOnly, parseDateOnly, startOfWeekMonday, weekKey } from './util.js';
+
+export async function computeMemberInsights(db, { userId, targetYear, lookbackWeeks }) {
+  const now = new Date();
+  const thisWeekStart = startOfWeekMonday(now);
+  const from = new Date(thisWeekStart);
+  from.setDate(from.getDate() - (lookbackWeeks - 1) * 7);
+  const fromStr = toDateOnly(from);
+  const toStr = toDateOnly(now);
+
+  const goals = hydrateRows(
+    await db.q(
+      `
+        select id, user_id, year, progress, status, review_status, start_date, time_bound, updated_at
+        from goals
+        where user_id = ?
+          and year = ?
+          and deleted_at is null
+          and carried_over_to is null
+      `,
+      [userId, targetYear]
+    )
+  );
+
+  const goalIds = (goals || []).map((g) => g.id).filter(Boolean);
+  const goalProgressById = new Map((goals || []).map((g) => [g.id, Number(g.progress || 0)]));
+
+  const plans = hydrateRows(
+    await db.q(
+      `
+        select ap.id, ap.goal_id, ap.status, ap.start_date, ap.end_date, ap.evidence_link
+        from action_plans ap
+        join goals g on g.id = ap.goal_id
+        where g.user_id = ?
+          and g.year = ?
+          and g.deleted_at is null
+          and g.carried_over_to is null
+          and ap.deleted_at is null
+      `,
+      [userId, targetYear]
+    )
+  );
+
+  const reports = hydrateRows(
+    await db.q(
+      `
+        select wr.goal_id, wr.action_plan_id, wr.date, wr.blockers_challenges
+        from weekly_reports wr
+        join goals g on g.id = wr.goal_id
+        where g.user_id = ?
+          and g.year = ?
+          and g.deleted_at is null
+          and wr.deleted_at is null
+          and wr.date >= ?
+          and wr.date <= ?
+      `,
+      [userId, targetYear, fromStr, toStr]
+    )
+  );
+
+  let progressDelta = null;
+  try {
+    if (goalIds.length > 0) {
+      const curCutoff = now;
+      const prevCutoff = new Date(thisWeekStart);
+      prevCutoff.setMilliseconds(prevCutoff.getMilliseconds() - 1);
+      const historyFrom = new Date(prevCutoff);
+      historyFrom.setDate(historyFrom.getDate() - Math.max(14, lookbackWeeks * 7));
+
+      const hist = hydrateRows(
+        await db.q(
+          `
+            select goal_id, progress, recorded_at
+            from goal_progress_history
+            where goal_id in (?)
+              and recorded_at >= ?
+              and recorded_at <= ?
+            order by recorded_at desc
+          `,
+          [goalIds, historyFrom.toISOString(), curCutoff.toISOString()]
+        )
+      );
+
+      const cur = new Map();
+      const prev = new Map();
+      for (const row of hist || []) {
+        const gid = row.goal_id;
+        if (!gid) continue;
+        const recAt = row.recorded_at ? new Date(row.recorded_at) : null;
+        if (!recAt || Number.isNaN(recAt.getTime())) continue;
+        const p = Number(row.progress || 0);
+        if (!cur.has(gid)) cur.set(gid, p);
+        if (!prev.has(gid) && recAt.getTime() <= prevCutoff.getTime()) prev.set(gid, p);
+        if (cur.size === goalIds.length && prev.size === goalIds.length) break;
+      }
+
+      const curVals = [];
+      const prevVals = [];
+      for (const gid of goalIds) {
+        const curP = cur.has(gid) ? cur.get(gid) : goalProgressById.get(gid) ?? 0;
+        const prevP = prev.has(gid) ? prev.get(gid) : curP;
+        curVals.push(curP);
+        prevVals.push(prevP);
+      }
+      const avg = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+      progressDelta = Number((avg(curVals) - avg(prevVals)).toFixed(2));
+    }
+  } catch {
+    progressDelta = null;
+  }
+
+  const totalGoals = (goals || []).length;
+  const approvedGoals = (goals || []).filter((g) => g.review_status === 'Approved').length;
+  const pendingGoals = (goals || []).filter((g) => !g.review_status || g.review_status === 'Pending').length;
+
+  const msDay = 24 * 3600 * 1000;
+  const goalHealth = { onTrack: 0, atRisk: 0, highRisk: 0, stagnant: 0 };
+  for (const g of goals || []) {
+    const start = g.start_date ? new Date(g.start_date) : null;
+    const end = g.time_bound ? new Date(g.time_bound) : null;
+    const progress = Number(g.progress || 0);
+    if (g.review_status === 'Approved' && progress <= 0 && start) {
+      const days = Math.floor((now.getTime() - start.getTime()) / msDay);
+      if (days > 10) goalHealth.stagnant += 1;
+    }
+    if (!start || !end) continue;
+    const total = end.getTime() - start.getTime();
+    if (total <= 0) continue;
+    const elapsed = now.getTime() - start.getTime();
+    const expected = Math.min(100, Math.round((elapsed / total) * 100));
+    if (progress < expected - 20) goalHealth.highRisk += 1;
+    else if (progress < expected - 10) goalHealth.atRisk += 1;
+    else goalHealth.onTrack += 1;
+  }
+
+  const allPlans = plans || [];
+  const totalPlans = allPlans.length;
+  const completedPlans = allPlans.filter((p) => p.status === 'Completed');
+  const completedWithEvidence = completedPlans.filter((p) => (typeof p.evidence_link === 'string' ? p.evidence_link.trim() : '').length > 0);
+  const evidenceRate = completedPlans.length > 0 ? completedWithEvidence.length / completedPlans.length : 0;
+
+  const todayStart = new Date(now);
+  todayStart.setHours(0, 0, 0, 0);
+  const overduePlans = allPlans.filter((p) => {
+    if (!p.end_date) return false;
+    const end = parseDateOnly(p.end_date);
+    if (Number.isNaN(end.getTime())) return false;
+    if (p.status === 'Completed') return false;
+    return end.getTime() < todayStart.getTime();
+  });
+
+  const weeksWithActivity = new Set();
+  const blockersCount = new Map();
+  for (const r of reports || []) {
+    const dateOnly = typeof r.date === 'string' ? r.date.slice(0, 10) : null;
+    if (!isValidDateOnly(dateOnly)) continue;
+    weeksWithActivity.add(weekKey(parseDateOnly(dateOnly)));
+    const b = typeof r.blockers_challenges === 'string' ? r.blockers_challenges.trim() : '';
+    if (b) blockersCount.set(b, (blockersCount.get(b) || 0) + 1);
+  }
+
+  let streakWeeks = 0;
+  for (let i = 0; i < lookbackWeeks; i++) {
+    const d = new Date(thisWeekStart);
+    d.setDate(d.getDate() - i * 7);
+    if (weeksWithActivity.has(weekKey(d))) streakWeeks += 1;
+    else break;
+  }
+
+  const topBlockers = Array.from(blockersCount.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([text, count]) => ({ text, count }));
+
+  return {
+    window: { from: fromStr, to: toStr, weeks: lookbackWeeks },
+    goals: { total: totalGoals, approved: approvedGoals, pending: pendingGoals, health: goalHealth },
+    action_plans: {
+      total: totalPlans,
+      overdue: overduePlans.length,
+      completed: completedPlans.length,
+      completed_with_evidence: completedWithEvidence.length,
+      evidence_rate: evidenceRate,
+    },
+    weekly_reports: {
+      reports_in_window: (reports || []).length,
+      weeks_with_activity: weeksWithActivity.size,
+      streak_weeks: streakWeeks,
+      top_blockers: topBlockers,
+    },
+    progress_delta: progressDelta,
+  };
+}
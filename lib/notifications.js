@@ -0,0 +1,244 @@
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { buildInsert } from './sql.js';
+
+// Review, verification and weekly-reminder events. Routes emit these once their transaction has committed:
+//
+//   events.emit('goal.reviewed', { goalId, actorId, action, comment })
+//
+// The in-app listener below turns each event into one notifications row per recipient, skipping the
+// actor and anyone who opted out of that type in notification_preferences. Delivery is fire-and-forget:
+// a failure is logged and never affects the response that raised the event.
+
+// Each recipe loads what the message needs and returns { recipients, title, body, entity_type, entity_id },
+// or null when the entity has gone away in the meantime.
+const RECIPES = {
+  'goal.review_requested': async (db, { goalId }) => {
+    const goal = await db.q1(
+      `select g.id, g.name, u.name as owner_name, u.email as owner_email, u.team_id from goals g join users u on u.id = g.user_id where g.id = ? limit 1`,
+      [goalId]
+    );
+    if (!goal) return null;
+    return {
+      recipients: await getTeamLeaderIds(db, goal.team_id),
+      title: `${goal.owner_name || goal.owner_email || 'A team member'} requested review of "${goal.name}"`,
+      body: null,
+      entity_type: 'goal',
+      entity_id: goal.id,
+    };
+  },
+
+  'goal.reviewed': async (db, { goalId, action, comment }) => {
+    const goal = await db.q1(`select id, name, user_id from goals where id = ? limit 1`, [goalId]);
+    if (!goal) return null;
+    const verb = { approve: 'was approved', reject: 'was rejected' }[action];
+    return {
+      recipients: [goal.user_id],
+      title: verb ? `Your goal "${goal.name}" ${verb}` : `New leader feedback on your goal "${goal.name}"`,
+      body: comment || null,
+      entity_type: 'goal',
+      entity_id: goal.id,
+    };
+  },
+
+  'action_plan.reviewed': async (db, { actionPlanId, status, comment }) => {
+    const plan = await db.q1(
+      `select ap.id, ap.activity, g.user_id from action_plans ap join goals g on g.id = ap.goal_id where ap.id = ? limit 1`,
+      [actionPlanId]
+    );
+    if (!plan) return null;
+    return {
+      recipients: [plan.user_id],
+      title: `Your action plan "${plan.activity}" was marked ${status}`,
+      body: comment || null,
+      entity_type: 'action_plan',
+      entity_id: plan.id,
+    };
+  },
+
+  'deadline_request.decided': async (db, { deadlineRequestId }) => {
+    const dr = await db.q1(
+      `
+        select dr.id, dr.status, dr.requested_end_date, dr.decision_notes, dr.requested_by, ap.id as action_plan_id, ap.activity
+        from action_plan_deadline_requests dr
+        join action_plans ap on ap.id = dr.action_plan_id
+        where dr.id = ?
+        limit 1
+      `,
+      [deadlineRequestId]
+    );
+    if (!dr) return null;
+    return {
+      recipients: [dr.requested_by],
+      title: `Your deadline change to ${`${dr.requested_end_date}`.slice(0, 10)} for "${dr.activity}" was ${String(dr.status).toLowerCase()}`,
+      body: dr.decision_notes || null,
+      entity_type: 'action_plan',
+      entity_id: dr.action_plan_id,
+    };
+  },
+
+  'verification.requested': async (db, { verificationRequestId }) => {
+    const vr = await db.q1(
+      `
+        select vr.id, g.name as goal_name, u.name as requester_name, u.email as requester_email, u.team_id
+        from verification_requests vr
+        join goals g on g.id = vr.goal_id
+        join users u on u.id = vr.requester_id
+        where vr.id = ?
+        limit 1
+      `,
+      [verificationRequestId]
+    );
+    if (!vr) return null;
+    return {
+      recipients: await getTeamLeaderIds(db, vr.team_id),
+      title: `${vr.requester_name || vr.requester_email || 'A team member'} requested verification of "${vr.goal_name}"`,
+      body: null,
+      entity_type: 'verification_request',
+      entity_id: vr.id,
+    };
+  },
+
+  'verification.resubmitted': async (db, { verificationRequestId, round }) => {
+    const vr = await db.q1(
+      `
+        select vr.id, g.name as goal_name, u.name as requester_name, u.email as requester_email, u.team_id
+        from verification_requests vr
+        join goals g on g.id = vr.goal_id
+        join users u on u.id = vr.requester_id
+        where vr.id = ?
+        limit 1
+      `,
+      [verificationRequestId]
+    );
+    if (!vr) return null;
+    return {
+      recipients: await getTeamLeaderIds(db, vr.team_id),
+      title: `${vr.requester_name || vr.requester_email || 'A team member'} resubmitted verification of "${vr.goal_name}" (round ${round})`,
+      body: null,
+      entity_type: 'verification_request',
+      entity_id: vr.id,
+    };
+  },
+
+  'verification.reviewers_assigned': async (db, { verificationRequestId, reviewerIds }) => {
+    const vr = await db.q1(
+      `
+        select vr.id, g.name as goal_name, u.name as requester_name, u.email as requester_email
+        from verification_requests vr
+        join goals g on g.id = vr.goal_id
+        join users u on u.id = vr.requester_id
+        where vr.id = ?
+        limit 1
+      `,
+      [verificationRequestId]
+    );
+    if (!vr) return null;
+    return {
+      recipients: reviewerIds,
+      title: `You were asked to review ${vr.requester_name || vr.requester_email || 'a team member'}'s verification of "${vr.goal_name}"`,
+      body: null,
+      entity_type: 'verification_request',
+      entity_id: vr.id,
+    };
+  },
+
+  'verification.reviewed': async (db, { verificationRequestId, result, feedback }) => {
+    const vr = await db.q1(
+      `select vr.id, vr.requester_id, g.name as goal_name from verification_requests vr join goals g on g.id = vr.goal_id where vr.id = ? limit 1`,
+      [verificationRequestId]
+    );
+    if (!vr) return null;
+    return {
+      recipients: [vr.requester_id],
+      title: `Verification of "${vr.goal_name}" was reviewed: ${result}`,
+      body: feedback || null,
+      entity_type: 'verification_request',
+      entity_id: vr.id,
+    };
+  },
+
+  // Raised by the weekly reminder job (lib/reminders.js); the payload already carries everything needed.
+  'weekly_report.reminder': async (db, { runId, userId, from, to, plans }) => ({
+    recipients: [userId],
+    title: `Weekly report due: ${plans.length} action plan${plans.length === 1 ? '' : 's'} without a report for ${from} – ${to}`,
+    body: plans.map((p) => `- ${p.activity} (${p.goal_name})${p.last_report_date ? `, last report ${p.last_report_date}` : ', no reports yet'}`).join('\n'),
+    entity_type: 'reminder_run',
+    entity_id: runId,
+  }),
+
+  'weekly_report.digest': async (db, { runId, teamId, from, to, members }) => ({
+    recipients: await getTeamLeaderIds(db, teamId),
+    title: `${members.length} team member${members.length === 1 ? ' is' : 's are'} missing weekly reports for ${from} – ${to}`,
+    body: members.map((m) => `- ${m.name || m.email || m.user_id}: ${m.plans_missing} plan${m.plans_missing === 1 ? '' : 's'}`).join('\n'),
+    entity_type: 'reminder_run',
+    entity_id: runId,
+  }),
+};
+
+export const NOTIFICATION_TYPES = Object.keys(RECIPES);
+
+// Members of the Cognito leader group (users.is_leader), the same group the leader routes authorize; users.role
+// does not say so for manager+leader users.
+async function getTeamLeaderIds(db, teamId) {
+  if (!teamId) return [];
+  const rows = await db.q(`select id from users where team_id = ? and is_leader = 1`, [teamId]);
+  return (rows || []).map((r) => r.id);
+}
+
+// Recipients who switched `type` off for `channel` (a notification_preferences column).
+export async function getOptedOutUserIds(db, type, userIds, channel) {
+  if (userIds.length === 0) return new Set();
+  const rows = await db.q(`select user_id from notification_preferences where type = ? and user_id in (?) and \`${channel}\` = 0`, [type, userIds]);
+  return new Set((rows || []).map((r) => r.user_id));
+}
+
+// Resolves the recipe for `type` into a message plus its recipients (actor excluded). Returns null when there is nobody to tell.
+export async function buildNotification(db, type, payload) {
+  const recipe = RECIPES[type];
+  if (!recipe) return null;
+  const msg = await recipe(db, payload);
+  if (!msg) return null;
+  const recipients = Array.from(new Set(msg.recipients.filter(Boolean))).filter((id) => id !== payload.actorId);
+  return recipients.length ? { ...msg, recipients } : null;
+}
+
+async function storeInAppNotifications(db, type, payload) {
+  const msg = await buildNotification(db, type, payload);
+  if (!msg) return;
+  const optedOut = await getOptedOutUserIds(db, type, msg.recipients, 'in_app');
+  const nowIso = new Date().toISOString();
+  for (const userId of msg.recipients) {
+    if (optedOut.has(userId)) continue;
+    const ins = buildInsert('notifications', {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      type,
+      title: msg.title.slice(0, 255),
+      body: msg.body,
+      entity_type: msg.entity_type,
+      entity_id: msg.entity_id,
+      actor_id: payload.actorId ?? null,
+      payload,
+      created_at: nowIso,
+    });
+    await db.q(ins.sql, ins.params);
+  }
+}
+
+/**
+ * Build the app-wide event emitter with the in-app notification listener attached.
+ * @param {{ db: { q: Function, q1: Function } }} deps
+ * @returns {EventEmitter}
+ */
+export function createNotificationEvents({ db }) {
+  const events = new EventEmitter();
+  for (const type of NOTIFICATION_TYPES) {
+    events.on(type, (payload) => {
+      storeInAppNotifications(db, type, payload).catch((e) => {
+        console.warn('[NOTIFY]', `${type} in-app delivery failed:`, e instanceof Error ? e.message : String(e));
+      });
+    });
+  }
+  return events;
+}
@@ -0,0 +1,147 @@
+// Keyset pagination for the list routes.
+//
+//   ?limit=50&sort=-created_at,name&cursor=<next_cursor from the previous page>
+//
+// Each route declares a list spec: its sortable keys (SQL expression + the row field holding the value),
+// a default sort, limits and a unique tie-breaker column that is always appended, so the order is total
+// and a cursor resumes exactly after the last row even while rows are being inserted or deleted.
+// Nullable columns are sorted through a coalesce() and carry the same `nullAs` here so cursor values compare
+// like the database does. Cursors are opaque to clients and remember the sort they were issued for; a cursor
+// without `sort` continues in that order, a cursor with a different sort is rejected.
+// `offset` is still accepted when no cursor is given (and ignored otherwise).
+//
+// Responses carry page: { limit, offset, sort, total, returned, has_more, next_cursor }.
+
+const MAX_SORT_KEYS = 3;
+
+/**
+ * @typedef {{ sql: string, field: string, nullAs?: string|number }} SortKey
+ * @typedef {{ sorts: Record<string, SortKey>, defaultSort: string, tieBreaker: { sql: string, field: string }, defaultLimit: number, maxLimit: number }} ListSpec
+ */
+
+function encodeValue(v) {
+  return v instanceof Date ? { d: v.toISOString() } : v;
+}
+
+function decodeValue(v) {
+  return v && typeof v === 'object' && typeof v.d === 'string' ? new Date(v.d) : v;
+}
+
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values.map(encodeValue) })).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (c && typeof c.s === 'string' && Array.isArray(c.v)) return { sort: c.s, values: c.v.map(decodeValue) };
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+function parseSort(raw, spec) {
+  const keys = raw
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (keys.length === 0 || keys.length > MAX_SORT_KEYS) return { error: `sort must name 1 to ${MAX_SORT_KEYS} keys` };
+
+  const out = [];
+  for (const k of keys) {
+    const desc = k.startsWith('-');
+    const name = desc ? k.slice(1) : k;
+    const def = spec.sorts[name];
+    if (!def) return { error: `Unknown sort key "${name}" (allowed: ${Object.keys(spec.sorts).join(', ')})` };
+    if (out.some((o) => o.name === name)) return { error: `sort key "${name}" is repeated` };
+    out.push({ name, desc, ...def });
+  }
+  return { keys: out, signature: out.map((o) => `${o.desc ? '-' : ''}${o.name}`).join(',') };
+}
+
+// (k1 > v1) or (k1 = v1 and k2 > v2) or ... with < for descending keys; the tie-breaker sorts ascending.
+function buildAfter(columns, values) {
+  const ors = [];
+  const params = [];
+  columns.forEach((col, i) => {
+    const ands = [];
+    for (let j = 0; j < i; j++) {
+      ands.push(`${columns[j].sql} = ?`);
+      params.push(values[j]);
+    }
+    ands.push(`${col.sql} ${col.desc ? '<' : '>'} ?`);
+    params.push(values[i]);
+    ors.push(`(${ands.join(' and ')})`);
+  });
+  return { sql: `and (${ors.join(' or ')})`, params };
+}
+
+/**
+ * Parse limit/offset/sort/cursor for one list route.
+ * @param {object} query req.query
+ * @param {ListSpec} spec
+ * @returns {{ ok: false, error: string } | { ok: true, limit: number, offset: number, sort: string, orderBy: string, afterSql: string, afterParams: any[], columns: object[] }}
+ *   Use as `${where} ${page.afterSql} order by ${page.orderBy} limit ? offset ?` with [...params, ...page.afterParams, page.limit + 1, page.offset].
+ */
+export function parseListParams(query, spec) {
+  const limit = Math.max(1, Math.min(spec.maxLimit, Number(query.limit || spec.defaultLimit) || spec.defaultLimit));
+
+  let cursor = null;
+  if (typeof query.cursor === 'string' && query.cursor.trim()) {
+    cursor = decodeCursor(query.cursor.trim());
+    if (!cursor) return { ok: false, error: 'cursor is invalid' };
+  }
+
+  const rawSort = typeof query.sort === 'string' && query.sort.trim() ? query.sort : cursor ? cursor.sort : spec.defaultSort;
+  const sort = parseSort(rawSort, spec);
+  if (sort.error) return { ok: false, error: sort.error };
+
+  const columns = [...sort.keys, { name: 'id', desc: false, ...spec.tieBreaker }];
+  const orderBy = columns.map((c) => `${c.sql} ${c.desc ? 'desc' : 'asc'}`).join(', ');
+
+  let after = { sql: '', params: [] };
+  if (cursor) {
+    if (cursor.sort !== sort.signature) return { ok: false, error: 'cursor was issued for a different sort' };
+    if (cursor.values.length !== columns.length) return { ok: false, error: 'cursor is invalid' };
+    after = buildAfter(columns, cursor.values);
+  }
+
+  return {
+    ok: true,
+    limit,
+    offset: cursor ? 0 : Math.max(0, Number(query.offset || 0) || 0),
+    sort: sort.signature,
+    orderBy,
+    afterSql: after.sql,
+    afterParams: after.params,
+    columns,
+  };
+}
+
+/**
+ * Trim the extra look-ahead row and build the page metadata.
+ * @param {object[]} rows raw query rows (fetched with limit + 1), still carrying every sort field
+ * @param {number} total matching rows without the cursor condition
+ * @returns {{ rows: object[], page: object }}
+ */
+export function finishPage(rows, page, total) {
+  const list = Array.isArray(rows) ? rows : [];
+  const hasMore = list.length > page.limit;
+  const pageRows = hasMore ? list.slice(0, page.limit) : list;
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(page.sort, page.columns.map((c) => last[c.field] ?? c.nullAs ?? null)) : null;
+
+  return {
+    rows: pageRows,
+    page: {
+      limit: page.limit,
+      offset: page.offset,
+      sort: page.sort,
+      total: Number(total || 0),
+      returned: pageRows.length,
+      has_more: hasMore,
+      next_cursor: nextCursor,
+    },
+  };
+}
@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import { CronExpressionParser } from 'cron-parser';
+import { dateOnlyInTimeZone, mondayOfDateOnly } from './util.js';
+import { getWeeklyReportCoverage } from './weeklyReportStats.js';
+
+// Weekly report reminders.
+//
+// Every team has a cron expression + IANA timezone (teams.reminder_cron / reminder_timezone, falling back
+// to the defaults below). On each tick the scheduler takes every enabled team's latest slot at or before
+// now and claims it in weekly_report_reminder_runs; the unique (team_id, scheduled_for) key means a slot
+// is claimed once no matter how many instances are running or how often the process restarts.
+// Slots older than WEEKLY_REMINDER_CATCHUP_HOURS are skipped rather than sent late.
+//
+// A run looks at the slot's week (Monday through the slot's local date), finds active plans with no
+// weekly report in that range (same rules as GET /leader/action-plans/weekly-report-stats), and emits
+// `weekly_report.reminder` per member plus one `weekly_report.digest` for the team's leaders.
+// Failed runs are recorded with their error and not retried automatically. A run still 'Running' after
+// WEEKLY_REMINDER_STALE_MINUTES is assumed to belong to a process that died mid-run: the next tick takes it
+// over (attempts + 1, reclaimed_at) and processes the slot again, so members may see a reminder twice rather
+// than never. Each claim carries a token, and only the current claimant can finish the run.
+
+export const DEFAULT_REMINDER_CRON = process.env.WEEKLY_REMINDER_CRON || '0 15 * * 5';
+export const DEFAULT_REMINDER_TIMEZONE = process.env.WEEKLY_REMINDER_TIMEZONE || 'UTC';
+const TICK_MS = Number(process.env.WEEKLY_REMINDER_TICK_MS || 60_000);
+const CATCHUP_MS = Number(process.env.WEEKLY_REMINDER_CATCHUP_HOURS || 24) * 60 * 60 * 1000;
+const STALE_MS = Number(process.env.WEEKLY_REMINDER_STALE_MINUTES || 30) * 60 * 1000;
+
+export function isValidCron(expr) {
+  if (typeof expr !== 'string' || !expr.trim()) return false;
+  try {
+    CronExpressionParser.parse(expr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function latestReminderSlot(cron, timeZone, now = new Date()) {
+  return CronExpressionParser.parse(cron, { tz: timeZone, currentDate: now }).prev().toDate();
+}
+
+export function nextReminderSlot(cron, timeZone, now = new Date()) {
+  return CronExpressionParser.parse(cron, { tz: timeZone, currentDate: now }).next().toDate();
+}
+
+function teamSchedule(team) {
+  return { cron: team.reminder_cron || DEFAULT_REMINDER_CRON, timeZone: team.reminder_timezone || DEFAULT_REMINDER_TIMEZONE };
+}
+
+// Returns the claimed run ({ id, token, attempts }) or null when another process holds the slot or finished it.
+async function claimRun(db, { teamId, slot, fromStr, toStr, now = new Date() }) {
+  const token = crypto.randomUUID();
+  const slotIso = slot.toISOString();
+  const nowIso = now.toISOString();
+  const inserted = await db.q(
+    `
+      insert ignore into weekly_report_reminder_runs (id, team_id, scheduled_for, status, range_from, range_to, started_at, claim_token)
+      values (?, ?, ?, 'Running', ?, ?, ?, ?)
+    `,
+    [crypto.randomUUID(), teamId, slotIso, fromStr, toStr, nowIso, token]
+  );
+  if (!inserted?.affectedRows) {
+    // Conditional on status and age, so of several instances seeing the same stale run only one takes it over.
+    const taken = await db.q(
+      `
+        update weekly_report_reminder_runs
+        set claim_token = ?, started_at = ?, reclaimed_at = ?, attempts = attempts + 1
+        where team_id = ?
+          and scheduled_for = ?
+          and status = 'Running'
+          and started_at < ?
+      `,
+      [token, nowIso, nowIso, teamId, slotIso, new Date(now.getTime() - STALE_MS).toISOString()]
+    );
+    if (!taken?.affectedRows) return null;
+  }
+  const run = await db.q1(`select id, attempts from weekly_report_reminder_runs where team_id = ? and scheduled_for = ? and claim_token = ? limit 1`, [
+    teamId,
+    slotIso,
+    token,
+  ]);
+  return run ? { id: run.id, token, attempts: Number(run.attempts || 1) } : null;
+}
+
+async function finishRun(db, run, fields) {
+  await db.q(
+    `update weekly_report_reminder_runs set status = ?, plans_missing = ?, members_notified = ?, error = ?, finished_at = ? where id = ? and claim_token = ?`,
+    [fields.status, fields.plansMissing ?? 0, fields.membersNotified ?? 0, fields.error ?? null, new Date().toISOString(), run.id, run.token]
+  );
+}
+
+/**
+ * Process one team's reminder slot. Returns null when the slot was already claimed (and is not stale).
+ * @returns {Promise<{ runId: string, attempts: number, plansMissing: number, membersNotified: number } | null>}
+ */
+export async function runTeamReminder(db, events, team, slot) {
+  const { timeZone } = teamSchedule(team);
+  const toStr = dateOnlyInTimeZone(slot, timeZone);
+  const fromStr = mondayOfDateOnly(toStr);
+
+  const run = await claimRun(db, { teamId: team.id, slot, fromStr, toStr });
+  if (!run) return null;
+  const runId = run.id;
+
+  try {
+    const coverage = await getWeeklyReportCoverage(db, { teamId: team.id, targetYear: Number(toStr.slice(0, 4)), fromStr, toStr });
+    const missing = coverage.filter((p) => !p.hasReportInRange);
+
+    const byMember = new Map();
+    for (const p of missing) {
+      if (!byMember.has(p.user_id)) byMember.set(p.user_id, { user_id: p.user_id, name: p.member_name, email: p.member_email, plans: [] });
+      byMember.get(p.user_id).plans.push({ action_plan_id: p.action_plan_id, activity: p.activity, goal_id: p.goal_id, goal_name: p.goal_name, last_report_date: p.lastReportDate });
+    }
+
+    for (const member of byMember.values()) {
+      events.emit('weekly_report.reminder', { runId, teamId: team.id, userId: member.user_id, from: fromStr, to: toStr, plans: member.plans });
+    }
+    if (byMember.size > 0) {
+      const members = Array.from(byMember.values()).map((m) => ({ user_id: m.user_id, name: m.name, email: m.email, plans_missing: m.plans.length }));
+      events.emit('weekly_report.digest', { runId, teamId: team.id, from: fromStr, to: toStr, members });
+    }
+
+    await finishRun(db, run, { status: 'Completed', plansMissing: missing.length, membersNotified: byMember.size });
+    return { runId, attempts: run.attempts, plansMissing: missing.length, membersNotified: byMember.size };
+  } catch (e) {
+    await finishRun(db, run, { status: 'Failed', error: e instanceof Error ? e.message : String(e) }).catch(() => {});
+    throw e;
+  }
+}
+
+async function tick(db, events, now) {
+  const teams = await db.q(`select id, name, reminder_cron, reminder_timezone from teams where reminder_enabled = 1`);
+  for (const team of teams || []) {
+    try {
+      const { cron, timeZone } = teamSchedule(team);
+      const slot = latestReminderSlot(cron, timeZone, now);
+      if (now.getTime() - slot.getTime() > CATCHUP_MS) continue;
+      const r = await runTeamReminder(db, events, team, slot);
+      if (r && r.attempts > 1) console.warn('[REMINDERS]', `team=${team.id} slot=${slot.toISOString()} took over a stale run (attempt ${r.attempts})`);
+      if (r) console.log('[REMINDERS]', `team=${team.id} slot=${slot.toISOString()} plans_missing=${r.plansMissing} members=${r.membersNotified}`);
+    } catch (e) {
+      console.warn('[REMINDERS]', `team=${team.id} failed:`, e instanceof Error ? e.message : String(e));
+    }
+  }
+}
+
+/**
+ * Start the in-process reminder scheduler (disable with WEEKLY_REMINDERS=0).
+ * @param {{ db: object, events: import('node:events').EventEmitter }} deps
+ * @returns {{ stop: () => void }}
+ */
+export function startWeeklyReminderScheduler({ db, events }) {
+  if (process.env.WEEKLY_REMINDERS === '0') return { stop() {} };
+
+  let running = false;
+  const onTick = () => {
+    if (running) return;
+    running = true;
+    tick(db, events, new Date())
+      .catch((e) => console.warn('[REMINDERS]', 'tick failed:', e instanceof Error ? e.message : String(e)))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  const timer = setInterval(onTick, TICK_MS);
+  timer.unref();
+  onTick();
+  return { stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,21 @@
+export function isLeaderUser(req) {
+  const groups = req.user?.['cognito:groups'];
+  const groupList = Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [];
+  return groupList.includes('leader');
+}
+
+// Role used for field-level write permissions in lib/schemas.js.
+export function requestRole(req) {
+  return isLeaderUser(req) ? 'leader' : 'member';
+}
+
+export function getGroupList(groups) {
+  return Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [];
+}
+
+export function deriveRoleFromGroups(groups) {
+  const list = getGroupList(groups);
+  if (list.includes('manager')) return 'manager';
+  if (list.includes('leader')) return 'leader';
+  return 'member';
+}
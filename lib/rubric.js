@@ -0,0 +1,112 @@
+// Server-side scoring of verification reviews against the request's rubric_snapshot (lib/verificationTemplates.js).
+//
+// criteria: [{ id, label?, weight? = 1, min?, max?, required? = true }]; a plain string is shorthand for
+//   { id: <string>, label: <string> }. Scales default to 1-5 for scoring_type "rubric" and 0-1 for "pass_fail"
+//   (where true/false are accepted as 1/0).
+// minimum_bar: { pass?: number, needs_work?: number, criteria?: { [id]: number } }
+//   pass        weighted total (0-100) needed for Pass; defaults to 100 for pass_fail, no default for rubric
+//   needs_work  weighted total below which the result is Fail; without it, anything short of Pass is NeedsWork
+//   criteria    per-criterion minimum raw score; missing one caps the result at NeedsWork
+//
+// The weighted total is sum(weight * (score - min) / (max - min)) / sum(weight) * 100, over the scored criteria.
+// Rubrics without criteria, or with another scoring_type, are not scored: scores are stored as sent, like before.
+
+export const REVIEW_RESULTS = ['Pass', 'NeedsWork', 'Fail'];
+
+const SCALES = { rubric: { min: 1, max: 5 }, pass_fail: { min: 0, max: 1 } };
+
+function isNum(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+/**
+ * Normalise a snapshot's criteria. Returns null when the rubric cannot be scored.
+ * @returns {{ scoringType: string, criteria: { id: string, label: string, weight: number, min: number, max: number, required: boolean }[] } | null}
+ */
+export function rubricCriteria(snapshot) {
+  const scoringType = snapshot?.scoring_type || 'rubric';
+  const scale = SCALES[scoringType];
+  const list = Array.isArray(snapshot?.criteria) ? snapshot.criteria : [];
+  if (!scale || list.length === 0) return null;
+
+  const criteria = [];
+  for (const c of list) {
+    const def = typeof c === 'string' ? { id: c, label: c } : c;
+    if (!def || typeof def !== 'object' || typeof def.id !== 'string' || !def.id) return null;
+    if (criteria.some((x) => x.id === def.id)) return null;
+    const min = isNum(def.min) ? def.min : scale.min;
+    const max = isNum(def.max) ? def.max : scale.max;
+    if (max <= min) return null;
+    criteria.push({
+      id: def.id,
+      label: typeof def.label === 'string' ? def.label : def.id,
+      weight: isNum(def.weight) && def.weight >= 0 ? def.weight : 1,
+      min,
+      max,
+      required: def.required !== false,
+    });
+  }
+  return { scoringType, criteria };
+}
+
+// For template saves: a scorable scoring_type with criteria that cannot be scored is a mistake worth a 400.
+export function rubricProblem(template) {
+  const list = Array.isArray(template?.criteria) ? template.criteria : [];
+  if (!SCALES[template?.scoring_type || 'rubric'] || list.length === 0) return null;
+  return rubricCriteria(template) ? null : 'criteria must be strings or objects with a unique "id" (and min < max when given)';
+}
+
+/**
+ * Validate `scores` against the snapshot and compute the weighted total and suggested result.
+ * @returns {{ ok: false, errors: { field: string, message: string }[] } |
+ *   { ok: true, scored: false, scores: object } |
+ *   { ok: true, scored: true, scores: Record<string, number>, total: number, suggested_result: string | null, breakdown: object[] }}
+ */
+export function scoreReview(snapshot, scores) {
+  const raw = scores && typeof scores === 'object' && !Array.isArray(scores) ? scores : {};
+  const rubric = rubricCriteria(snapshot);
+  if (!rubric) return { ok: true, scored: false, scores: raw };
+
+  const errors = [];
+  const byId = new Map(rubric.criteria.map((c) => [c.id, c]));
+  for (const k of Object.keys(raw)) {
+    if (!byId.has(k)) errors.push({ field: `scores.${k}`, message: 'is not a criterion of this rubric' });
+  }
+
+  const out = {};
+  const breakdown = [];
+  let weighted = 0;
+  let weights = 0;
+  for (const c of rubric.criteria) {
+    let v = raw[c.id];
+    if (typeof v === 'undefined' || v === null) {
+      if (c.required) errors.push({ field: `scores.${c.id}`, message: 'is required' });
+      continue;
+    }
+    if (rubric.scoringType === 'pass_fail' && typeof v === 'boolean') v = v ? 1 : 0;
+    if (!isNum(v) || v < c.min || v > c.max) {
+      errors.push({ field: `scores.${c.id}`, message: `must be a number between ${c.min} and ${c.max}` });
+      continue;
+    }
+    const normalized = (v - c.min) / (c.max - c.min);
+    out[c.id] = v;
+    weighted += c.weight * normalized;
+    weights += c.weight;
+    breakdown.push({ id: c.id, label: c.label, score: v, min: c.min, max: c.max, weight: c.weight });
+  }
+  if (errors.length) return { ok: false, errors };
+
+  const total = weights > 0 ? Math.round((weighted / weights) * 10000) / 100 : 0;
+  return { ok: true, scored: true, scores: out, total, suggested_result: suggestResult(rubric, snapshot?.minimum_bar, out, total), breakdown };
+}
+
+function suggestResult(rubric, bar, scores, total) {
+  const minimumBar = bar && typeof bar === 'object' ? bar : {};
+  const pass = isNum(minimumBar.pass) ? minimumBar.pass : rubric.scoringType === 'pass_fail' ? 100 : null;
+  if (pass === null) return null;
+
+  if (isNum(minimumBar.needs_work) && total < minimumBar.needs_work) return 'Fail';
+  const perCriterion = minimumBar.criteria && typeof minimumBar.criteria === 'object' ? minimumBar.criteria : {};
+  const belowCriterion = Object.entries(perCriterion).some(([id, min]) => isNum(min) && (!isNum(scores[id]) || scores[id] < min));
+  return total >= pass && !belowCriterion ? 'Pass' : 'NeedsWork';
+}
@@ -0,0 +1,226 @@
+// Declarative field schemas for the member/leader create + update bodies.
+//
+// Each field: { type, required?, nullable?, maxLength?, min?, max?, values?, writableBy?, readOnly?, createOnly? }
+//   type       string | text | url | uuid | date | integer | number | boolean | enum
+//   writableBy roles allowed to set the field (default: member + leader)
+//   readOnly   server-managed; rejected on every body
+//   createOnly accepted on create, rejected on update
+// Keys not listed in `fields` are rejected as unknown so they never reach buildInsert/buildVersionedUpdate.
+
+export const GOAL_STATUSES = ['Draft', 'Not started', 'In Progress', 'Completed'];
+export const ACTION_PLAN_STATUSES = ['Not Started', 'In Progress', 'Blocked', 'Completed'];
+
+const REVIEW_AUDIT_FIELDS = {
+  review_status: { readOnly: true },
+  is_locked: { readOnly: true },
+  reviewed_by: { readOnly: true },
+  reviewed_by_email: { readOnly: true },
+  reviewed_by_name: { readOnly: true },
+  reviewed_at: { readOnly: true },
+  approved_at: { readOnly: true },
+  rejected_at: { readOnly: true },
+};
+
+// `version` is bumped by the server on every write; clients send it back as If-Match instead.
+const ROW_META_FIELDS = {
+  created_at: { readOnly: true },
+  updated_at: { readOnly: true },
+  version: { readOnly: true },
+  deleted_at: { readOnly: true },
+  deleted_by: { readOnly: true },
+};
+
+function checkDateOrder(startKey, endKey) {
+  return (value) => {
+    const start = value[startKey];
+    const end = value[endKey];
+    if (typeof start === 'string' && typeof end === 'string' && start > end) {
+      return [{ field: endKey, message: `must be on or after ${startKey}` }];
+    }
+    return [];
+  };
+}
+
+export const goalSchema = {
+  name: 'goal',
+  fields: {
+    id: { type: 'uuid', createOnly: true },
+    user_id: { readOnly: true },
+    name: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'text', nullable: true },
+    type: { type: 'string', nullable: true, maxLength: 64 },
+    specific: { type: 'text', nullable: true },
+    measurable: { type: 'text', nullable: true },
+    achievable: { type: 'text', nullable: true },
+    relevant: { type: 'text', nullable: true },
+    time_bound: { type: 'date', nullable: true },
+    start_date: { type: 'date', nullable: true },
+    year: { type: 'integer', required: true, min: 2000, max: 2100 },
+    progress: { type: 'number', min: 0, max: 100 },
+    status: { type: 'enum', values: GOAL_STATUSES },
+    leader_review_notes: { type: 'text', nullable: true, writableBy: ['leader'] },
+    carried_over_from: { readOnly: true },
+    carried_over_to: { readOnly: true },
+    carried_over_at: { readOnly: true },
+    ...REVIEW_AUDIT_FIELDS,
+    ...ROW_META_FIELDS,
+  },
+  check: checkDateOrder('start_date', 'time_bound'),
+};
+
+export const actionPlanSchema = {
+  name: 'action_plan',
+  fields: {
+    id: { type: 'uuid', createOnly: true },
+    goal_id: { readOnly: true },
+    activity: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'text', nullable: true },
+    start_date: { type: 'date', nullable: true },
+    end_date: { type: 'date', nullable: true },
+    status: { type: 'enum', values: ACTION_PLAN_STATUSES },
+    evidence_link: { type: 'url', nullable: true, maxLength: 2048 },
+    leader_review_notes: { type: 'text', nullable: true, writableBy: ['leader'] },
+    request_deadline_date: { readOnly: true },
+    deadline_change_count: { readOnly: true },
+    ...REVIEW_AUDIT_FIELDS,
+    ...ROW_META_FIELDS,
+  },
+  check: checkDateOrder('start_date', 'end_date'),
+};
+
+export const weeklyReportSchema = {
+  name: 'weekly_report',
+  fields: {
+    id: { type: 'uuid', createOnly: true },
+    action_plan_id: { readOnly: true },
+    goal_id: { readOnly: true },
+    date: { type: 'date', required: true },
+    work_done: { type: 'text', nullable: true },
+    blockers_challenges: { type: 'text', nullable: true },
+    next_week_plan: { type: 'text', nullable: true },
+    lead_feedback: { type: 'text', nullable: true, writableBy: ['leader'] },
+    ...ROW_META_FIELDS,
+  },
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isRealDate(s) {
+  if (!DATE_RE.test(s)) return false;
+  const [y, m, d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// Returns { value } with the coerced value, or { error } with a message.
+function coerceField(def, raw) {
+  if (raw === null) return def.nullable ? { value: null } : { error: 'must not be null' };
+
+  switch (def.type) {
+    case 'string':
+    case 'text': {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      if (def.required && !raw.trim()) return { error: 'must not be empty' };
+      if (def.maxLength && raw.length > def.maxLength) return { error: `must be at most ${def.maxLength} characters` };
+      return { value: raw };
+    }
+    case 'url': {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      const s = raw.trim();
+      if (!s) return def.nullable ? { value: null } : { error: 'must not be empty' };
+      if (def.maxLength && s.length > def.maxLength) return { error: `must be at most ${def.maxLength} characters` };
+      try {
+        const u = new URL(s);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') return { error: 'must be an http(s) URL' };
+      } catch {
+        return { error: 'must be a valid URL' };
+      }
+      return { value: s };
+    }
+    case 'uuid':
+      return typeof raw === 'string' && UUID_RE.test(raw) ? { value: raw } : { error: 'must be a UUID' };
+    case 'date': {
+      // Accept full ISO timestamps from date pickers but store the date part only.
+      const s = typeof raw === 'string' ? raw.slice(0, 10) : null;
+      return s && isRealDate(s) ? { value: s } : { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    case 'integer':
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+      if (!Number.isFinite(n)) return { error: 'must be a number' };
+      if (def.type === 'integer' && !Number.isInteger(n)) return { error: 'must be an integer' };
+      if (typeof def.min === 'number' && n < def.min) return { error: `must be >= ${def.min}` };
+      if (typeof def.max === 'number' && n > def.max) return { error: `must be <= ${def.max}` };
+      return { value: n };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 1 || raw === '1') return { value: 1 };
+      if (raw === false || raw === 0 || raw === '0') return { value: 0 };
+      return { error: 'must be a boolean' };
+    }
+    case 'enum':
+      return def.values.includes(raw) ? { value: raw } : { error: `must be one of: ${def.values.join(', ')}` };
+    default:
+      return { error: 'is not supported' };
+  }
+}
+
+/**
+ * Validate a create/update body against an entity schema.
+ * @param {object} schema one of the *Schema exports
+ * @param {object} body request body
+ * @param {{ mode: 'create' | 'update', role: 'member' | 'leader' }} opts
+ * @returns {{ ok: true, value: object } | { ok: false, errors: { field: string | null, message: string }[] }}
+ */
+export function validateBody(schema, body, { mode, role }) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { ok: false, errors: [{ field: null, message: 'Body must be a JSON object' }] };
+  }
+
+  for (const [key, raw] of Object.entries(body)) {
+    if (typeof raw === 'undefined') continue;
+    const def = schema.fields[key];
+    if (!def) {
+      errors.push({ field: key, message: 'is not a known field' });
+      continue;
+    }
+    if (def.readOnly) {
+      errors.push({ field: key, message: 'is read-only' });
+      continue;
+    }
+    if (def.createOnly && mode !== 'create') {
+      errors.push({ field: key, message: 'can only be set on create' });
+      continue;
+    }
+    const writableBy = def.writableBy || ['member', 'leader'];
+    if (!writableBy.includes(role)) {
+      errors.push({ field: key, message: `is not writable by ${role}` });
+      continue;
+    }
+    const r = coerceField(def, raw);
+    if (r.error) errors.push({ field: key, message: r.error });
+    else value[key] = r.value;
+  }
+
+  if (mode === 'create') {
+    for (const [key, def] of Object.entries(schema.fields)) {
+      if (def.required && (typeof body[key] === 'undefined' || body[key] === null)) {
+        errors.push({ field: key, message: 'is required' });
+      }
+    }
+  } else if (errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: null, message: 'No updatable fields provided' });
+  }
+
+  if (errors.length === 0 && typeof schema.check === 'function') errors.push(...schema.check(value));
+
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+export function sendValidationError(res, errors) {
+  return res.status(400).json({ message: 'Validation failed', errors });
+}
@@ -0,0 +1,173 @@
+// Full-text search over goals, action plans and weekly reports (GET /search).
+//
+// Uses the FULLTEXT indexes from migrations/012_fulltext_search; each MATCH() names exactly the indexed
+// columns. The user's text becomes a BOOLEAN MODE query where every word (or "quoted phrase") is
+// required and words match by prefix, so `kube deploy` finds "Kubernetes deployment".
+// Results are ranked by MySQL relevance across all three tables; snippets are cut around the first hit.
+
+export const SEARCH_TYPES = ['goal', 'action_plan', 'weekly_report'];
+
+// Which columns each result type carries (text_1..text_3 in the union below), in snippet-preference order.
+const TEXT_FIELDS = {
+  goal: ['name', 'description'],
+  action_plan: ['activity', 'description'],
+  weekly_report: ['work_done', 'blockers_challenges', 'next_week_plan'],
+};
+
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Turn free text into a BOOLEAN MODE query plus the plain terms used for highlighting.
+ * Operator characters are dropped so user input can never change the query's meaning.
+ * @returns {{ query: string, terms: string[] } | null} null when nothing searchable is left
+ */
+export function parseSearchText(text) {
+  const parts = [];
+  const terms = [];
+  const re = /"([^"]+)"|([\p{L}\p{N}_]+)/gu;
+  let m;
+  while ((m = re.exec(`${text ?? ''}`)) !== null) {
+    if (m[1]) {
+      const words = m[1].match(/[\p{L}\p{N}_]+/gu) || [];
+      if (words.length === 0) continue;
+      parts.push(`+"${words.join(' ')}"`);
+      terms.push(words.join(' '));
+    } else {
+      // Single characters are below any FULLTEXT token size and would only make the query match nothing.
+      if (m[2].length < 2) continue;
+      parts.push(`+${m[2]}*`);
+      terms.push(m[2]);
+    }
+    if (parts.length >= 10) break;
+  }
+  return parts.length ? { query: parts.join(' '), terms } : null;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Picks the first field containing a term and returns { field, snippet, highlights: [[start, length], ...] }
+// with offsets into `snippet`. Falls back to the start of the first non-empty field.
+export function buildSnippet(type, texts, terms) {
+  const fields = TEXT_FIELDS[type] || [];
+  // Words match as prefixes (like the `word*` query), so highlight the whole word; phrases match as written.
+  const W = '[\\p{L}\\p{N}_]';
+  const re = new RegExp(
+    terms.map((t) => (t.includes(' ') ? `(?<!${W})${escapeRegExp(t).replace(/ /g, '\\s+')}(?!${W})` : `(?<!${W})${escapeRegExp(t)}${W}*`)).join('|'),
+    'giu'
+  );
+
+  let chosen = null;
+  for (let i = 0; i < fields.length; i++) {
+    const text = typeof texts[i] === 'string' ? texts[i] : '';
+    re.lastIndex = 0;
+    const hit = text ? re.exec(text) : null;
+    if (hit) {
+      chosen = { field: fields[i], text, at: hit.index };
+      break;
+    }
+    if (!chosen && text) chosen = { field: fields[i], text, at: 0, fallback: true };
+  }
+  if (!chosen) return { field: null, snippet: '', highlights: [] };
+
+  const start = chosen.fallback ? 0 : Math.max(0, chosen.at - SNIPPET_RADIUS);
+  const end = Math.min(chosen.text.length, (chosen.fallback ? 0 : chosen.at) + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < chosen.text.length ? '…' : '';
+  const body = chosen.text.slice(start, end).replace(/\s+/g, ' ');
+  const snippet = `${prefix}${body}${suffix}`;
+
+  const highlights = [];
+  re.lastIndex = 0;
+  let h;
+  while ((h = re.exec(snippet)) !== null) {
+    if (h[0].length === 0) break;
+    highlights.push([h.index, h[0].length]);
+  }
+  return { field: chosen.field, snippet, highlights };
+}
+
+/**
+ * Ranked search across goals, action plans and weekly reports.
+ * @param {{ query: string, scope: { userId?: string, teamId?: string }, types: string[], year?: number|null, limit: number, offset: number }} opts
+ * @returns {Promise<{ total: number, rows: object[] }>}
+ */
+export async function searchRecords(db, { query, scope, types, year = null, limit, offset }) {
+  const scopeSql = [];
+  const scopeParams = [];
+  if (scope.userId) {
+    scopeSql.push('g.user_id = ?');
+    scopeParams.push(scope.userId);
+  }
+  if (scope.teamId) {
+    scopeSql.push('u.team_id = ?');
+    scopeParams.push(scope.teamId);
+  }
+  if (year) {
+    scopeSql.push('g.year = ?');
+    scopeParams.push(year);
+  }
+  const scopeWhere = scopeSql.map((s) => `and ${s}`).join(' ');
+
+  const selects = [];
+  const params = [];
+  if (types.includes('goal')) {
+    selects.push(`
+      select 'goal' as type, g.id, g.id as goal_id, null as action_plan_id, g.user_id, u.name as member_name, g.year, g.name as goal_name, null as activity, null as report_date,
+        g.name as text_1, g.description as text_2, null as text_3, g.updated_at,
+        match(g.name, g.description) against (? in boolean mode) as score
+      from goals g
+      join users u on u.id = g.user_id
+      where match(g.name, g.description) against (? in boolean mode)
+        and g.deleted_at is null
+        ${scopeWhere}`);
+    params.push(query, query, ...scopeParams);
+  }
+  if (types.includes('action_plan')) {
+    selects.push(`
+      select 'action_plan' as type, ap.id, ap.goal_id, ap.id as action_plan_id, g.user_id, u.name as member_name, g.year, g.name as goal_name, ap.activity, null as report_date,
+        ap.activity as text_1, ap.description as text_2, null as text_3, ap.updated_at,
+        match(ap.activity, ap.description) against (? in boolean mode) as score
+      from action_plans ap
+      join goals g on g.id = ap.goal_id
+      join users u on u.id = g.user_id
+      where match(ap.activity, ap.description) against (? in boolean mode)
+        and ap.deleted_at is null
+        and g.deleted_at is null
+        ${scopeWhere}`);
+    params.push(query, query, ...scopeParams);
+  }
+  if (types.includes('weekly_report')) {
+    selects.push(`
+      select 'weekly_report' as type, wr.id, wr.goal_id, wr.action_plan_id, g.user_id, u.name as member_name, g.year, g.name as goal_name, ap.activity, wr.date as report_date,
+        wr.work_done as text_1, wr.blockers_challenges as text_2, wr.next_week_plan as text_3, wr.updated_at,
+        match(wr.work_done, wr.blockers_challenges, wr.next_week_plan) against (? in boolean mode) as score
+      from weekly_reports wr
+      join action_plans ap on ap.id = wr.action_plan_id
+      join goals g on g.id = wr.goal_id
+      join users u on u.id = g.user_id
+      where match(wr.work_done, wr.blockers_challenges, wr.next_week_plan) against (? in boolean mode)
+        and wr.deleted_at is null
+        and ap.deleted_at is null
+        and g.deleted_at is null
+        ${scopeWhere}`);
+    params.push(query, query, ...scopeParams);
+  }
+
+  const union = selects.join('\nunion all\n');
+  const countRow = await db.q1(`select count(*) as total from (${union}) hits`, params);
+  const rows = await db.q(`${union}\norder by score desc, updated_at desc\nlimit ?\noffset ?`, [...params, limit, offset]);
+  return { total: Number(countRow?.total || 0), rows: rows || [] };
+}
+
+// Result shape returned by the route; raw text columns are replaced by the snippet.
+export function shapeSearchHit(row, terms) {
+  const { text_1, text_2, text_3, score, ...rest } = row;
+  return {
+    ...rest,
+    report_date: row.report_date ? `${row.report_date}`.slice(0, 10) : null,
+    score: Number(Number(score || 0).toFixed(4)),
+    ...buildSnippet(row.type, [text_1, text_2, text_3], terms),
+  };
+}
@@ -0,0 +1,58 @@
+export function normalizeDbValue(v) {
+  if (typeof v === 'undefined') return undefined;
+  if (v === null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+export function buildInsert(table, obj) {
+  const entries = Object.entries(obj || {}).filter(([, v]) => typeof v !== 'undefined');
+  const cols = entries.map(([k]) => `\`${k}\``);
+  const vals = entries.map(([, v]) => normalizeDbValue(v));
+  const qs = entries.map(() => '?');
+  return { sql: `insert into \`${table}\` (${cols.join(',')}) values (${qs.join(',')})`, params: vals };
+}
+
+function buildSets(obj) {
+  const entries = Object.entries(obj || {}).filter(([, v]) => typeof v !== 'undefined');
+  return { sets: entries.map(([k]) => `\`${k}\` = ?`), vals: entries.map(([, v]) => normalizeDbValue(v)) };
+}
+
+export function buildUpdate(table, obj, whereSql, whereParams = []) {
+  const { sets, vals } = buildSets(obj);
+  return { sql: `update \`${table}\` set ${sets.join(', ')} ${whereSql}`, params: [...vals, ...whereParams] };
+}
+
+// For goals, action_plans and weekly_reports: same as buildUpdate, but also bumps the row's `version`.
+export function buildVersionedUpdate(table, obj, whereSql, whereParams = []) {
+  const { sets, vals } = buildSets(obj);
+  sets.push('`version` = `version` + 1');
+  return { sql: `update \`${table}\` set ${sets.join(', ')} ${whereSql}`, params: [...vals, ...whereParams] };
+}
+
+export function safeJsonParse(x) {
+  if (x == null) return x;
+  if (typeof x === 'object') return x;
+  if (typeof x !== 'string') return x;
+  const s = x.trim();
+  if (!s) return x;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return x;
+  }
+}
+
+export function hydrateRow(row) {
+  if (!row || typeof row !== 'object') return row;
+  const out = { ...row };
+  for (const k of ['criteria', 'required_evidence', 'minimum_bar', 'evidence_links', 'rubric_snapshot', 'scores', 'payload', 'event_types', 'delivery']) {
+    if (typeof out[k] !== 'undefined') out[k] = safeJsonParse(out[k]);
+  }
+  return out;
+}
+
+export function hydrateRows(rows) {
+  return (Array.isArray(rows) ? rows : []).map(hydrateRow);
+}
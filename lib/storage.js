@@ -0,0 +1,99 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+
+// Blob storage for attachments (lib/attachments.js). A backend is
+//   { kind, put(key, buffer, { contentType }), get(key) -> Promise<Readable>, remove(key) }
+// where keys are server-generated relative paths ("action_plan/<id>/<attachment id>").
+//
+// Configuration (env):
+//   ATTACHMENTS_STORAGE          local (default) | s3
+//   ATTACHMENTS_DIR              local root directory (default ./data/attachments)
+//   ATTACHMENTS_S3_BUCKET        bucket name (required for s3)
+//   ATTACHMENTS_S3_REGION        default us-east-1
+//   ATTACHMENTS_S3_ENDPOINT      S3-compatible endpoint, path-style (default https://s3.<region>.amazonaws.com)
+//   ATTACHMENTS_S3_ACCESS_KEY_ID / ATTACHMENTS_S3_SECRET_ACCESS_KEY (fall back to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY;
+//   AWS_SESSION_TOKEN is sent when set)
+
+export function createLocalStorage({ root = process.env.ATTACHMENTS_DIR || './data/attachments' } = {}) {
+  const base = path.resolve(root);
+  const fileOf = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    kind: 'local',
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = fileOf(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+export function createS3Storage({
+  bucket = process.env.ATTACHMENTS_S3_BUCKET,
+  region = process.env.ATTACHMENTS_S3_REGION || 'us-east-1',
+  endpoint = process.env.ATTACHMENTS_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+  accessKeyId = process.env.ATTACHMENTS_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey = process.env.ATTACHMENTS_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+  sessionToken = process.env.AWS_SESSION_TOKEN,
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) throw new Error('S3 attachment storage needs ATTACHMENTS_S3_BUCKET and access keys');
+
+  // Signature V4 over a path-style URL; works with AWS and S3-compatible servers (MinIO, R2, ...).
+  async function send(method, key, { body, contentType } = {}) {
+    const url = new URL(`${endpoint.replace(/\/+$/, '')}/${encodeURIComponent(bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+    if (sessionToken) headers['x-amz-security-token'] = sessionToken;
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [method, url.pathname, '', ...names.map((n) => `${n}:${headers[n]}`), '', names.join(';'), payloadHash].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sent } = headers;
+    sent.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+    const r = await fetch(url, { method, headers: sent, body });
+    if (!r.ok && !(method === 'DELETE' && r.status === 404)) throw new Error(`S3 ${method} ${key} responded ${r.status}`);
+    return r;
+  }
+
+  return {
+    kind: 's3',
+    async put(key, buffer, { contentType } = {}) {
+      await send('PUT', key, { body: buffer, contentType });
+    },
+    async get(key) {
+      const r = await send('GET', key);
+      return Readable.fromWeb(r.body);
+    },
+    async remove(key) {
+      await send('DELETE', key);
+    },
+  };
+}
+
+export function createStorageFromEnv() {
+  return process.env.ATTACHMENTS_STORAGE === 's3' ? createS3Storage() : createLocalStorage();
+}
@@ -0,0 +1,56 @@
+import { buildVersionedUpdate } from './sql.js';
+
+// Soft delete for goals, action plans and weekly reports. Deleting a parent stamps its still-live
+// children with the same deleted_at, which is how restoreGoal tells rows removed with the goal apart
+// from ones that were deleted on their own earlier. Call these inside the transaction that locked the parent.
+
+export const RESTORE_RETENTION_DAYS = Number(process.env.RESTORE_RETENTION_DAYS || 30);
+
+export function restorableUntil(deletedAt) {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + RESTORE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function stamp(deletedBy) {
+  return { deleted_at: new Date().toISOString(), deleted_by: deletedBy ?? null };
+}
+
+async function softDeleteWhere(tx, table, patch, whereSql, whereParams) {
+  const upd = buildVersionedUpdate(table, patch, `${whereSql} and deleted_at is null`, whereParams);
+  await tx.q(upd.sql, upd.params);
+}
+
+export async function softDeleteGoal(tx, goalId, { deletedBy }) {
+  const patch = stamp(deletedBy);
+  await softDeleteWhere(tx, 'weekly_reports', patch, 'where goal_id = ?', [goalId]);
+  await softDeleteWhere(tx, 'action_plans', patch, 'where goal_id = ?', [goalId]);
+  await softDeleteWhere(tx, 'goals', patch, 'where id = ?', [goalId]);
+}
+
+export async function softDeleteActionPlan(tx, planId, { deletedBy }) {
+  const patch = stamp(deletedBy);
+  await softDeleteWhere(tx, 'weekly_reports', patch, 'where action_plan_id = ?', [planId]);
+  await softDeleteWhere(tx, 'action_plans', patch, 'where id = ?', [planId]);
+}
+
+export async function softDeleteWeeklyReport(tx, reportId, { deletedBy }) {
+  await softDeleteWhere(tx, 'weekly_reports', stamp(deletedBy), 'where id = ?', [reportId]);
+}
+
+// Restores `goalId` and the plans/reports that were deleted together with it.
+export async function restoreGoal(tx, goalId) {
+  for (const table of ['weekly_reports', 'action_plans']) {
+    await tx.q(
+      `
+        update ${table} c
+        join goals g on g.id = c.goal_id
+        set c.deleted_at = null, c.deleted_by = null, c.version = c.version + 1
+        where g.id = ?
+          and c.deleted_at = g.deleted_at
+      `,
+      [goalId]
+    );
+  }
+  const upd = buildVersionedUpdate('goals', { deleted_at: null, deleted_by: null }, 'where id = ?', [goalId]);
+  await tx.q(upd.sql, upd.params);
+}
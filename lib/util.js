@@ -0,0 +1,99 @@
+// Optional timing logs: export LOG_TIMINGS=1 to enable.
+export const LOG_TIMINGS = process.env.LOG_TIMINGS === '1';
+export const nowMs = () => Number(process.hrtime.bigint()) / 1e6;
+
+export function isValidDateOnly(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+export function toDateOnly(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+export function parseDateOnly(s) {
+  const [y, m, dd] = `${s}`.slice(0, 10).split('-').map(Number);
+  const d = new Date(y, (m || 1) - 1, dd || 1);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+export function startOfWeekMonday(d) {
+  const date = new Date(d);
+  const day = (date.getDay() + 6) % 7; // Monday=0
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - day);
+  return date;
+}
+
+export function weekKey(d) {
+  return toDateOnly(startOfWeekMonday(d));
+}
+
+export function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+export function bucketProgress(p) {
+  const x = Math.max(0, Math.min(100, Number(p || 0)));
+  if (x < 25) return '0_24';
+  if (x < 50) return '25_49';
+  if (x < 75) return '50_74';
+  if (x < 100) return '75_99';
+  return '100';
+}
+
+export function isUuidLike(s) {
+  return typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+}
+
+// Calendar date (YYYY-MM-DD) of `date` as seen in `timeZone`, independent of the server's zone.
+export function dateOnlyInTimeZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Monday (YYYY-MM-DD) of the week containing the YYYY-MM-DD date `s`, computed in UTC.
+export function mondayOfDateOnly(s) {
+  const [y, m, d] = `${s}`.slice(0, 10).split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() - ((dt.getUTCDay() + 6) % 7));
+  return dt.toISOString().slice(0, 10);
+}
+
+export function isValidTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// YYYY-MM-DD `days` after the YYYY-MM-DD date `s` (UTC arithmetic, so DST never shifts the result).
+export function addDaysDateOnly(s, days) {
+  const [y, m, d] = `${s}`.slice(0, 10).split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+// ISO-8601 week label (e.g. "2025-W03") of the YYYY-MM-DD date `s`.
+export function isoWeekOfDateOnly(s) {
+  const thursday = addDaysDateOnly(mondayOfDateOnly(s), 3);
+  const isoYear = Number(thursday.slice(0, 4));
+  const week1Monday = mondayOfDateOnly(`${isoYear}-01-04`);
+  const week = Math.round((Date.parse(thursday) - Date.parse(week1Monday)) / (7 * 24 * 3600 * 1000)) + 1;
+  return `${isoYear}-W${String(week).padStart(2, '0')}`;
+}
+
+// Parses "YYYY-Www" into its Monday..Sunday range, or null when the label is malformed or the week does not exist.
+export function parseIsoWeek(label) {
+  const m = typeof label === 'string' ? /^(\d{4})-W(\d{2})$/.exec(label.trim()) : null;
+  if (!m) return null;
+  const week = Number(m[2]);
+  if (week < 1) return null;
+  const from = addDaysDateOnly(mondayOfDateOnly(`${m[1]}-01-04`), (week - 1) * 7);
+  if (isoWeekOfDateOnly(from) !== `${m[1]}-W${m[2]}`) return null;
+  return { week: `${m[1]}-W${m[2]}`, from, to: addDaysDateOnly(from, 6) };
+}
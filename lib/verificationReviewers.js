@@ -0,0 +1,169 @@
+import { buildInsert, buildUpdate, hydrateRow, hydrateRows } from './sql.js';
+import { scoreReview } from './rubric.js';
+
+// Multi-reviewer verification.
+//
+// By default a request is reviewed once per round by a leader of the requester's team, and that review is the
+// final result. A team leader can instead assign reviewers (other teams' leaders or peer experts, any user but
+// the requester) and an aggregation policy. Each assigned reviewer then reviews the round independently; once
+// all of them have, the policy sets final_result and the request becomes Reviewed (InReview until then).
+//
+//   all_pass       Pass when every reviewer passes; Fail when any reviewer fails; NeedsWork otherwise
+//   majority       Pass or Fail when more than half the reviewers agree on it; NeedsWork otherwise
+//   average_score  averages each criterion's score across reviewers and scores that against the rubric
+//                  (lib/rubric.js); falls back to majority when the rubric suggests no result
+//
+// Only reviews by currently assigned reviewers count, so unassigning someone drops their vote; after switching back
+// to the single review, only a review by a leader of the requester's team settles the round.
+
+export const AGGREGATION_POLICIES = ['all_pass', 'majority', 'average_score'];
+
+function majority(results) {
+  const n = results.length;
+  const count = (r) => results.filter((x) => x === r).length;
+  if (count('Pass') * 2 > n) return 'Pass';
+  if (count('Fail') * 2 > n) return 'Fail';
+  return 'NeedsWork';
+}
+
+/**
+ * Final result of one round under `policy`.
+ * @param {{ result: string, scores: object }[]} reviews one per reviewer
+ * @returns {{ result: string, total: number | null }}
+ */
+export function aggregateReviews(policy, reviews, snapshot) {
+  const results = reviews.map((r) => r.result);
+  if (policy === 'all_pass') {
+    if (results.every((r) => r === 'Pass')) return { result: 'Pass', total: null };
+    return { result: results.includes('Fail') ? 'Fail' : 'NeedsWork', total: null };
+  }
+  if (policy === 'average_score') {
+    const sums = {};
+    const counts = {};
+    for (const r of reviews) {
+      for (const [id, v] of Object.entries(r.scores || {})) {
+        if (typeof v !== 'number') continue;
+        sums[id] = (sums[id] || 0) + v;
+        counts[id] = (counts[id] || 0) + 1;
+      }
+    }
+    const averaged = Object.fromEntries(Object.keys(sums).map((id) => [id, sums[id] / counts[id]]));
+    const scored = scoreReview(snapshot, averaged);
+    if (scored.ok && scored.scored && scored.suggested_result) return { result: scored.suggested_result, total: scored.total };
+    return { result: majority(results), total: scored.ok && scored.scored ? scored.total : null };
+  }
+  return { result: majority(results), total: null };
+}
+
+export async function listReviewers(db, requestId) {
+  return (
+    (await db.q(
+      `
+        select rr.reviewer_id, rr.reviewer_role, rr.assigned_by, rr.assigned_at, u.name as reviewer_name, u.email as reviewer_email, u.team_id as reviewer_team_id
+        from verification_request_reviewers rr
+        left join users u on u.id = rr.reviewer_id
+        where rr.request_id = ?
+        order by rr.assigned_at asc, rr.reviewer_id asc
+      `,
+      [requestId]
+    )) || []
+  );
+}
+
+/**
+ * Replace a request's reviewers and policy. Call inside a transaction after checking the caller leads the
+ * requester's team. An empty list switches back to the single team-leader review.
+ * @returns {Promise<{ data: object } | { status: number, message: string }>}
+ */
+export async function assignReviewers(tx, requestId, { reviewerIds, policy, assignedBy }) {
+  const vr = await tx.q1(`select id, requester_id, status from verification_requests where id = ? limit 1 for update`, [requestId]);
+  if (!vr) return { status: 404, message: 'Not found' };
+  if (vr.status === 'Reviewed') return { status: 409, message: 'Request was already reviewed; reviewers apply from the next round' };
+  if (reviewerIds.includes(vr.requester_id)) return { status: 400, message: 'The requester cannot review their own request' };
+
+  const users = reviewerIds.length ? (await tx.q(`select id, is_leader from users where id in (?)`, [reviewerIds])) || [] : [];
+  const missing = reviewerIds.filter((id) => !users.some((u) => u.id === id));
+  if (missing.length) return { status: 400, message: `Unknown reviewer(s): ${missing.join(', ')}` };
+
+  await tx.q(`delete from verification_request_reviewers where request_id = ?`, [requestId]);
+  const nowIso = new Date().toISOString();
+  for (const u of users) {
+    const ins = buildInsert('verification_request_reviewers', {
+      request_id: requestId,
+      reviewer_id: u.id,
+      reviewer_role: Number(u.is_leader) ? 'leader' : 'peer',
+      assigned_by: assignedBy,
+      assigned_at: nowIso,
+    });
+    await tx.q(ins.sql, ins.params);
+  }
+  const upd = buildUpdate('verification_requests', { aggregation_policy: users.length ? policy : null, updated_at: nowIso }, 'where id = ?', [requestId]);
+  await tx.q(upd.sql, upd.params);
+
+  return { data: await settleRound(tx, requestId) };
+}
+
+/**
+ * Recompute the current round's status after a review or a reviewer change. Call inside a transaction.
+ * @returns {Promise<{ status: string, final_result: string | null, policy: string | null, reviewers: number, reviewed: number, total: number | null }>}
+ */
+export async function settleRound(tx, requestId) {
+  const vr = hydrateRow(await tx.q1(`select id, status, current_round, aggregation_policy, rubric_snapshot from verification_requests where id = ? limit 1`, [requestId]));
+  const round = Number(vr.current_round || 1);
+  const reviewers = await tx.q(`select reviewer_id from verification_request_reviewers where request_id = ?`, [requestId]);
+  const reviewerIds = (reviewers || []).map((r) => r.reviewer_id);
+
+  let reviews;
+  if (reviewerIds.length) {
+    reviews = hydrateRows(await tx.q(`select leader_id, result, scores from verification_reviews where request_id = ? and round = ? and leader_id in (?)`, [requestId, round, reviewerIds]));
+  } else {
+    // Former assigned reviewers' reviews stay on record but do not count: only a review the route authorized as the
+    // requester's team leader (team_leader_review) decides, and only while the reviewer is still in that team.
+    reviews = hydrateRows(
+      await tx.q(
+        `
+          select r.leader_id, r.result, r.scores
+          from verification_reviews r
+          join verification_requests vr on vr.id = r.request_id
+          join users requester on requester.id = vr.requester_id
+          join users l on l.id = r.leader_id
+          where r.request_id = ?
+            and r.round = ?
+            and r.team_leader_review = 1
+            and l.team_id = requester.team_id
+            and r.leader_id <> vr.requester_id
+          order by r.reviewed_at desc
+          limit 1
+        `,
+        [requestId, round]
+      )
+    );
+  }
+
+  let status = 'Pending';
+  let finalResult = null;
+  let total = null;
+  if (!reviewerIds.length) {
+    if (reviews.length) {
+      status = 'Reviewed';
+      finalResult = reviews[0].result;
+    }
+  } else if (reviews.length >= reviewerIds.length) {
+    const agg = aggregateReviews(vr.aggregation_policy || 'majority', reviews, vr.rubric_snapshot);
+    status = 'Reviewed';
+    finalResult = agg.result;
+    total = agg.total;
+  } else if (reviews.length > 0) {
+    status = 'InReview';
+  }
+
+  await tx.q(`update verification_requests set status = ?, final_result = ?, updated_at = ? where id = ?`, [status, finalResult, new Date().toISOString(), requestId]);
+  return {
+    status,
+    final_result: finalResult,
+    policy: reviewerIds.length ? vr.aggregation_policy || 'majority' : null,
+    reviewers: reviewerIds.length,
+    reviewed: reviews.length,
+    total,
+  };
+}
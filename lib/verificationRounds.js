@@ -0,0 +1,82 @@
+import { buildInsert, buildUpdate, hydrateRow, hydrateRows } from './sql.js';
+
+// Verification rounds. Round 1 is the original submission; a request whose current round ended as NeedsWork
+// (final_result, see lib/verificationReviewers.js) can be resubmitted by its requester, which opens the next round
+// with fresh evidence/notes and puts the request back to Pending for its reviewers. Reviews are stored per
+// (request_id, round, reviewer), so reviewing the same round again corrects that reviewer's review while earlier
+// rounds stay untouched.
+
+export async function insertRound(tx, { requestId, round, evidenceLinks, memberNotes, submittedBy, submittedAt = new Date().toISOString() }) {
+  const ins = buildInsert('verification_request_rounds', {
+    request_id: requestId,
+    round,
+    evidence_links: evidenceLinks ?? [],
+    member_notes: memberNotes ?? null,
+    submitted_by: submittedBy,
+    submitted_at: submittedAt,
+  });
+  await tx.q(ins.sql, ins.params);
+}
+
+/**
+ * Open the next round of a NeedsWork request. Call inside a transaction; the request row is locked here.
+ * evidence_links defaults to the previous round's links; member_notes belong to the round and default to none.
+ * @returns {Promise<{ data: { round: number } } | { status: number, message: string }>}
+ */
+export async function resubmitVerification(tx, requestId, { requesterId, evidenceLinks, memberNotes }) {
+  const vr = hydrateRow(
+    await tx.q1(
+      `
+        select vr.id, vr.requester_id, vr.status, vr.current_round, vr.final_result, vr.evidence_links
+        from verification_requests vr
+        join goals g on g.id = vr.goal_id
+        where vr.id = ?
+          and g.deleted_at is null
+        limit 1
+        for update
+      `,
+      [requestId]
+    )
+  );
+  if (!vr) return { status: 404, message: 'Not found' };
+  if (vr.requester_id !== requesterId) return { status: 403, message: 'Forbidden' };
+
+  const round = Number(vr.current_round || 1);
+  if (vr.status !== 'Reviewed' || vr.final_result !== 'NeedsWork') {
+    return { status: 409, message: 'Only a request whose latest round was reviewed as NeedsWork can be resubmitted' };
+  }
+
+  const next = round + 1;
+  const nowIso = new Date().toISOString();
+  const links = Array.isArray(evidenceLinks) ? evidenceLinks : Array.isArray(vr.evidence_links) ? vr.evidence_links : [];
+  await insertRound(tx, { requestId: vr.id, round: next, evidenceLinks: links, memberNotes, submittedBy: requesterId, submittedAt: nowIso });
+  const upd = buildUpdate(
+    'verification_requests',
+    { current_round: next, status: 'Pending', final_result: null, evidence_links: links, member_notes: memberNotes ?? null, updated_at: nowIso },
+    'where id = ?',
+    [vr.id]
+  );
+  await tx.q(upd.sql, upd.params);
+  return { data: { round: next } };
+}
+
+// Every round of a request, oldest first, each with the review(s) given in that round (newest first).
+export async function loadRoundTimeline(db, requestId) {
+  const rounds = hydrateRows(await db.q(`select * from verification_request_rounds where request_id = ? order by round asc`, [requestId]));
+  const reviews = hydrateRows(await db.q(`select * from verification_reviews where request_id = ? order by round asc, reviewed_at desc`, [requestId]));
+
+  const byRound = new Map();
+  for (const r of reviews) {
+    const key = Number(r.round || 1);
+    if (!byRound.has(key)) byRound.set(key, []);
+    byRound.get(key).push(r);
+  }
+  return rounds.map((r) => ({
+    round: Number(r.round),
+    evidence_links: r.evidence_links ?? [],
+    member_notes: r.member_notes ?? null,
+    submitted_by: r.submitted_by,
+    submitted_at: r.submitted_at,
+    reviews: byRound.get(Number(r.round)) || [],
+  }));
+}
@@ -0,0 +1,65 @@
+import { hydrateRows } from './sql.js';
+
+export async function getLatestVerificationSummaryByGoalIds(db, goalIds) {
+  const ids = Array.isArray(goalIds) ? goalIds.filter(Boolean) : [];
+  if (ids.length === 0) return new Map();
+
+  try {
+    const rows = await db.q(
+      `
+        select
+          x.id as verification_request_id,
+          x.goal_id,
+          x.status as verification_status,
+          x.created_at as verification_requested_at,
+          x.final_result as verification_result,
+          (
+            select r.reviewed_at
+            from verification_reviews r
+            where r.request_id = x.id
+            order by r.reviewed_at desc
+            limit 1
+          ) as verification_reviewed_at
+        from (
+          select
+            vr.*,
+            row_number() over (partition by vr.goal_id order by vr.created_at desc) as rn
+          from verification_requests vr
+          where vr.goal_id in (?)
+        ) x
+        where x.rn = 1
+      `,
+      [ids]
+    );
+
+    const map = new Map();
+    for (const r of hydrateRows(rows || [])) {
+      map.set(r.goal_id, {
+        verification_request_id: r.verification_request_id ?? null,
+        verification_status: r.verification_status ?? 'NotRequested',
+        verification_requested_at: r.verification_requested_at ?? null,
+        verification_result: r.verification_result ?? null,
+        verification_reviewed_at: r.verification_reviewed_at ?? null,
+      });
+    }
+    return map;
+  } catch (e) {
+    console.warn('[WARN]', 'getLatestVerificationSummaryByGoalIds failed:', e instanceof Error ? e.message : String(e));
+    return new Map();
+  }
+}
+
+export function attachVerificationSummaryToGoals(goals, summaryMap) {
+  const map = summaryMap || new Map();
+  return (goals || []).map((g) => {
+    const v = map.get(g.id);
+    return {
+      ...g,
+      verification_request_id: v?.verification_request_id ?? null,
+      verification_status: v?.verification_status ?? 'NotRequested',
+      verification_requested_at: v?.verification_requested_at ?? null,
+      verification_result: v?.verification_result ?? null,
+      verification_reviewed_at: v?.verification_reviewed_at ?? null,
+    };
+  });
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import { buildInsert, buildUpdate, hydrateRow } from './sql.js';
+import { rubricProblem } from './rubric.js';
+
+// Verification template versions.
+//
+// verification_template_versions holds one immutable row per edit; verification_templates mirrors the
+// current version so listing templates stays a single-table read. Editing never changes a version a
+// request already points at. Archived templates keep their versions but accept no edits and no new requests.
+// Requests made with a template get their rubric_snapshot from here (snapshotTemplate), never from the client.
+
+export const TEMPLATE_FIELDS = ['name', 'category', 'scoring_type', 'criteria', 'required_evidence', 'minimum_bar'];
+
+/**
+ * Validate a template body. On create every field gets its default; on update only the sent fields are
+ * returned and merged over the current version by the caller.
+ * @returns {{ ok: true, value: object } | { ok: false, errors: { field: string, message: string }[] }}
+ */
+export function parseTemplateBody(body, { mode }) {
+  const src = body && typeof body === 'object' ? body : {};
+  const errors = [];
+  const value = {};
+  const has = (k) => typeof src[k] !== 'undefined';
+
+  if (has('name') || mode === 'create') {
+    if (typeof src.name !== 'string' || !src.name.trim()) errors.push({ field: 'name', message: 'is required' });
+    else value.name = src.name.trim();
+  }
+  if (has('category') || mode === 'create') {
+    if (src.category != null && typeof src.category !== 'string') errors.push({ field: 'category', message: 'must be a string' });
+    else value.category = typeof src.category === 'string' && src.category.trim() ? src.category.trim() : null;
+  }
+  if (has('scoring_type') || mode === 'create') {
+    if (src.scoring_type != null && typeof src.scoring_type !== 'string') errors.push({ field: 'scoring_type', message: 'must be a string' });
+    else value.scoring_type = typeof src.scoring_type === 'string' && src.scoring_type.trim() ? src.scoring_type.trim() : 'rubric';
+  }
+  for (const k of ['criteria', 'required_evidence']) {
+    if (has(k) || mode === 'create') {
+      if (src[k] != null && !Array.isArray(src[k])) errors.push({ field: k, message: 'must be an array' });
+      else value[k] = Array.isArray(src[k]) ? src[k] : [];
+    }
+  }
+  if (has('minimum_bar') || mode === 'create') {
+    if (src.minimum_bar != null && (typeof src.minimum_bar !== 'object' || Array.isArray(src.minimum_bar))) {
+      errors.push({ field: 'minimum_bar', message: 'must be an object' });
+    } else value.minimum_bar = src.minimum_bar ?? null;
+  }
+
+  if (mode === 'update' && errors.length === 0 && Object.keys(value).length === 0) errors.push({ field: null, message: 'No template fields provided' });
+  // On update the rubric is checked by reviseTemplate, once the sent fields are merged over the current version.
+  if (mode === 'create' && errors.length === 0) {
+    const problem = rubricProblem(value);
+    if (problem) errors.push({ field: 'criteria', message: problem });
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+function versionRow(templateId, version, fields, createdBy) {
+  return { template_id: templateId, version, ...fields, created_by: createdBy ?? null };
+}
+
+// Call inside a transaction. Returns the new template row.
+export async function createTemplate(tx, fields, { createdBy }) {
+  const id = crypto.randomUUID();
+  const ti = buildInsert('verification_templates', { id, ...fields, created_by: createdBy ?? null, current_version: 1 });
+  await tx.q(ti.sql, ti.params);
+  const vi = buildInsert('verification_template_versions', versionRow(id, 1, fields, createdBy));
+  await tx.q(vi.sql, vi.params);
+  return hydrateRow(await tx.q1(`select * from verification_templates where id = ? limit 1`, [id]));
+}
+
+/**
+ * Write `changes` as a new version of the template. Call inside a transaction; the template row is locked here.
+ * The rubric is checked here, on the merged version, with the same errors parseTemplateBody gives on create.
+ * @returns {Promise<{ data: object } | { errors: { field: string, message: string }[] } | { status: number, message: string }>}
+ */
+export async function reviseTemplate(tx, templateId, changes, { actorId }) {
+  const current = hydrateRow(await tx.q1(`select * from verification_templates where id = ? limit 1 for update`, [templateId]));
+  if (!current) return { status: 404, message: 'Template not found' };
+  if (current.archived_at) return { status: 409, message: 'Template is archived' };
+
+  const fields = {};
+  for (const k of TEMPLATE_FIELDS) fields[k] = typeof changes[k] !== 'undefined' ? changes[k] : current[k];
+  const problem = rubricProblem(fields);
+  if (problem) return { errors: [{ field: 'criteria', message: problem }] };
+  const version = Number(current.current_version || 1) + 1;
+
+  const vi = buildInsert('verification_template_versions', versionRow(templateId, version, fields, actorId));
+  await tx.q(vi.sql, vi.params);
+  const upd = buildUpdate('verification_templates', { ...fields, current_version: version, updated_at: new Date().toISOString() }, 'where id = ?', [templateId]);
+  await tx.q(upd.sql, upd.params);
+
+  return { data: hydrateRow(await tx.q1(`select * from verification_templates where id = ? limit 1`, [templateId])) };
+}
+
+export async function archiveTemplate(tx, templateId, { actorId }) {
+  const current = await tx.q1(`select id, archived_at from verification_templates where id = ? limit 1 for update`, [templateId]);
+  if (!current) return { status: 404, message: 'Template not found' };
+  if (current.archived_at) return { status: 409, message: 'Template is already archived' };
+
+  const upd = buildUpdate('verification_templates', { archived_at: new Date().toISOString(), archived_by: actorId ?? null }, 'where id = ?', [templateId]);
+  await tx.q(upd.sql, upd.params);
+  return { data: hydrateRow(await tx.q1(`select * from verification_templates where id = ? limit 1`, [templateId])) };
+}
+
+/**
+ * The snapshot a new verification request stores: the template's current version, exactly as saved.
+ * @returns {Promise<{ data: { version: number, snapshot: object } } | { status: number, message: string }>}
+ */
+export async function snapshotTemplate(db, templateId) {
+  const row = hydrateRow(
+    await db.q1(
+      `
+        select t.archived_at, v.*
+        from verification_templates t
+        join verification_template_versions v on v.template_id = t.id and v.version = t.current_version
+        where t.id = ?
+        limit 1
+      `,
+      [templateId]
+    )
+  );
+  if (!row) return { status: 404, message: 'Template not found' };
+  if (row.archived_at) return { status: 409, message: 'Template is archived' };
+
+  const snapshot = { template_id: row.template_id, version: Number(row.version) };
+  for (const k of TEMPLATE_FIELDS) snapshot[k] = row[k] ?? null;
+  return { data: { version: snapshot.version, snapshot } };
+}
@@ -0,0 +1,28 @@
+// Optimistic concurrency for goals, action plans and weekly reports.
+//
+// Each row carries a `version` that buildVersionedUpdate bumps on every write. Single-record responses
+// expose it as a strong ETag ("<version>"); PUT handlers re-read the row `for update` and compare it
+// against If-Match before writing, answering 412 with the current record when the client is stale.
+// Requests without If-Match are applied unconditionally.
+
+export function etagFor(row) {
+  return row && row.version != null ? `"${row.version}"` : null;
+}
+
+export function setEtag(res, row) {
+  const tag = etagFor(row);
+  if (tag) res.set('ETag', tag);
+}
+
+// True when the request has no If-Match, sends `*`, or lists the row's current ETag (weak or strong).
+export function matchesIfMatch(req, row) {
+  const header = req.get('if-match');
+  if (!header) return true;
+  const tags = header.split(',').map((t) => t.trim().replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etagFor(row));
+}
+
+export function sendPreconditionFailed(res, current) {
+  setEtag(res, current);
+  return res.status(412).json({ message: 'Precondition Failed (record was modified by someone else)', data: current });
+}
@@ -0,0 +1,52 @@
+// Weekly-report coverage for a team's active plans (In Progress/Blocked plans on In Progress goals that were not carried over):
+// each plan's latest report and whether any report falls inside [fromStr, toStr].
+// Shared by GET /leader/action-plans/weekly-report-stats and the weekly reminder job (lib/reminders.js).
+export async function getWeeklyReportCoverage(db, { teamId, targetYear, fromStr, toStr, userId = null }) {
+  const params = [fromStr, toStr, targetYear, teamId];
+  let whereUser = '';
+  if (userId) {
+    whereUser = 'and g.user_id = ?';
+    params.push(userId);
+  }
+
+  const rows = await db.q(
+    `
+      select
+        ap.id as action_plan_id,
+        ap.activity,
+        g.id as goal_id,
+        g.name as goal_name,
+        u.id as user_id,
+        u.name as member_name,
+        u.email as member_email,
+        max(wr.date) as last_report_date,
+        max(case when wr.date >= ? and wr.date <= ? then 1 else 0 end) as has_report_in_range
+      from action_plans ap
+      join goals g on g.id = ap.goal_id
+      join users u on u.id = g.user_id
+      left join weekly_reports wr on wr.action_plan_id = ap.id and wr.deleted_at is null
+      where ap.status in ('In Progress', 'Blocked')
+        and ap.deleted_at is null
+        and g.deleted_at is null
+        and g.carried_over_to is null
+        and g.status = 'In Progress'
+        and g.year = ?
+        and u.team_id = ?
+        ${whereUser}
+      group by ap.id
+    `,
+    params
+  );
+
+  return (rows || []).map((r) => ({
+    action_plan_id: r.action_plan_id,
+    activity: r.activity ?? null,
+    goal_id: r.goal_id,
+    goal_name: r.goal_name ?? null,
+    user_id: r.user_id,
+    member_name: r.member_name ?? null,
+    member_email: r.member_email ?? null,
+    lastReportDate: r.last_report_date ? `${r.last_report_date}`.slice(0, 10) : null,
+    hasReportInRange: Boolean(r.has_report_in_range),
+  }));
+}
@@ -0,0 +1,133 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import { getMysqlConfig, createMysqlPool } from './db.js';
+
+dotenv.config();
+
+// Usage:
+//   npm run migrate            -> apply all pending migrations (same as "up")
+//   npm run migrate -- up [version]
+//   npm run migrate -- down [steps=1]
+//   npm run migrate -- status
+//
+// Migrations live in ./migrations as <version>_<name>.up.sql / <version>_<name>.down.sql.
+// Applied versions are recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const LOCK_NAME = 'idp_okr_schema_migrations';
+
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const byVersion = new Map();
+  for (const file of files) {
+    const m = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/i.exec(file);
+    if (!m) continue;
+    const [, version, name, direction] = m;
+    if (!byVersion.has(version)) byVersion.set(version, { version, name, up: null, down: null });
+    byVersion.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+  const list = Array.from(byVersion.values()).sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  for (const m of list) {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} is missing its .up.sql file`);
+  }
+  return list;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    create table if not exists schema_migrations (
+      version varchar(32) not null,
+      name varchar(255) not null,
+      applied_at datetime(3) not null default current_timestamp(3),
+      primary key (version)
+    )
+  `);
+}
+
+async function getAppliedVersions(conn) {
+  const [rows] = await conn.query(`select version, name, applied_at from schema_migrations order by version asc`);
+  return new Map((rows || []).map((r) => [r.version, r]));
+}
+
+async function runFile(conn, file) {
+  const sqlText = (await fs.readFile(file, 'utf8')).trim();
+  if (sqlText) await conn.query(sqlText);
+}
+
+async function up(conn, migrations, applied, target) {
+  const pending = migrations.filter((m) => !applied.has(m.version) && (!target || Number(m.version) <= Number(target)));
+  if (pending.length === 0) {
+    console.log('[MIGRATE]', 'nothing to apply');
+    return;
+  }
+  for (const m of pending) {
+    console.log('[MIGRATE]', `up ${m.version}_${m.name}`);
+    // MySQL auto-commits DDL, so a failure part-way through a file cannot be rolled back;
+    // the version is only recorded once the whole file has run.
+    await runFile(conn, m.up);
+    await conn.query(`insert into schema_migrations (version, name) values (?, ?)`, [m.version, m.name]);
+  }
+}
+
+async function down(conn, migrations, applied, steps) {
+  const toRevert = migrations
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+  if (toRevert.length === 0) {
+    console.log('[MIGRATE]', 'nothing to revert');
+    return;
+  }
+  for (const m of toRevert) {
+    if (!m.down) throw new Error(`Migration ${m.version}_${m.name} has no .down.sql file`);
+    console.log('[MIGRATE]', `down ${m.version}_${m.name}`);
+    await runFile(conn, m.down);
+    await conn.query(`delete from schema_migrations where version = ?`, [m.version]);
+  }
+}
+
+function status(migrations, applied) {
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    const at = row?.applied_at ? new Date(row.applied_at).toISOString() : '';
+    console.log(`${row ? '[x]' : '[ ]'} ${m.version}_${m.name}${at ? `  (applied ${at})` : ''}`);
+  }
+  for (const [version, row] of applied.entries()) {
+    if (!migrations.some((m) => m.version === version)) console.log(`[?] ${version}_${row.name}  (applied, but file is missing)`);
+  }
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+
+  const migrations = await loadMigrations();
+  const pool = createMysqlPool(getMysqlConfig(), { connectionLimit: 1, multipleStatements: true });
+  const conn = await pool.getConnection();
+  try {
+    const [[lock]] = await conn.query(`select get_lock(?, 10) as acquired`, [LOCK_NAME]);
+    if (!lock?.acquired) throw new Error('Another migration run holds the lock');
+
+    try {
+      await ensureMigrationsTable(conn);
+      const applied = await getAppliedVersions(conn);
+      if (command === 'status') status(migrations, applied);
+      if (command === 'up') await up(conn, migrations, applied, arg || null);
+      if (command === 'down') await down(conn, migrations, applied, Math.max(1, Number(arg || 1)));
+    } finally {
+      await conn.query(`select release_lock(?)`, [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error('[MIGRATE]', e instanceof Error ? e.message : String(e));
+  process.exitCode = 1;
+});
@@ -0,0 +1,9 @@
+drop table if exists verification_reviews;
+drop table if exists verification_requests;
+drop table if exists verification_templates;
+drop table if exists goal_progress_history;
+drop table if exists weekly_reports;
+drop table if exists action_plans;
+drop table if exists goals;
+drop table if exists users;
+drop table if exists teams;
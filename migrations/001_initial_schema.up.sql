@@ -0,0 +1,144 @@
+-- Baseline schema for the tables goal.js reads and writes.
+-- `if not exists` keeps this safe to run against databases created before migrations existed.
+
+create table if not exists teams (
+  id char(36) not null,
+  name varchar(255) not null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  unique key uq_teams_name (name)
+);
+
+create table if not exists users (
+  id varchar(64) not null,
+  email varchar(255) null,
+  name varchar(255) null,
+  team_id char(36) null,
+  role varchar(32) not null default 'member',
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_users_team (team_id),
+  constraint fk_users_team foreign key (team_id) references teams (id) on delete set null
+);
+
+create table if not exists goals (
+  id char(36) not null,
+  user_id varchar(64) not null,
+  name varchar(255) not null,
+  description text null,
+  type varchar(64) null,
+  specific text null,
+  measurable text null,
+  achievable text null,
+  relevant text null,
+  time_bound date null,
+  start_date date null,
+  year int not null,
+  progress decimal(5,2) not null default 0,
+  status varchar(32) not null default 'Not started',
+  review_status varchar(32) null,
+  is_locked tinyint(1) not null default 0,
+  leader_review_notes text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_goals_user_year (user_id, year),
+  key idx_goals_year (year),
+  constraint fk_goals_user foreign key (user_id) references users (id) on delete cascade
+);
+
+create table if not exists action_plans (
+  id char(36) not null,
+  goal_id char(36) not null,
+  activity varchar(255) not null,
+  description text null,
+  start_date date null,
+  end_date date null,
+  request_deadline_date date null,
+  deadline_change_count int not null default 0,
+  status varchar(32) not null default 'Not Started',
+  evidence_link varchar(2048) null,
+  review_status varchar(32) null,
+  is_locked tinyint(1) not null default 0,
+  leader_review_notes text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_action_plans_goal (goal_id),
+  constraint fk_action_plans_goal foreign key (goal_id) references goals (id) on delete cascade
+);
+
+create table if not exists weekly_reports (
+  id char(36) not null,
+  action_plan_id char(36) not null,
+  goal_id char(36) not null,
+  date date not null,
+  work_done text null,
+  blockers_challenges text null,
+  next_week_plan text null,
+  lead_feedback text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_weekly_reports_plan_date (action_plan_id, date),
+  key idx_weekly_reports_goal_date (goal_id, date),
+  constraint fk_weekly_reports_plan foreign key (action_plan_id) references action_plans (id) on delete cascade,
+  constraint fk_weekly_reports_goal foreign key (goal_id) references goals (id) on delete cascade
+);
+
+create table if not exists goal_progress_history (
+  id bigint not null auto_increment,
+  goal_id char(36) not null,
+  progress decimal(5,2) not null,
+  recorded_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  key idx_goal_progress_history_goal (goal_id, recorded_at),
+  constraint fk_goal_progress_history_goal foreign key (goal_id) references goals (id) on delete cascade
+);
+
+create table if not exists verification_templates (
+  id char(36) not null,
+  name varchar(255) not null,
+  category varchar(128) null,
+  scoring_type varchar(32) not null default 'rubric',
+  criteria json null,
+  required_evidence json null,
+  minimum_bar json null,
+  created_by varchar(64) null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id)
+);
+
+create table if not exists verification_requests (
+  id char(36) not null,
+  requester_id varchar(64) not null,
+  goal_id char(36) not null,
+  action_plan_id char(36) null,
+  template_id char(36) null,
+  scope text not null,
+  evidence_links json null,
+  rubric_snapshot json null,
+  member_notes text null,
+  status varchar(32) not null default 'Pending',
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_verification_requests_goal (goal_id, created_at),
+  key idx_verification_requests_requester (requester_id),
+  constraint fk_verification_requests_goal foreign key (goal_id) references goals (id) on delete cascade,
+  constraint fk_verification_requests_template foreign key (template_id) references verification_templates (id) on delete set null
+);
+
+create table if not exists verification_reviews (
+  id bigint not null auto_increment,
+  request_id char(36) not null,
+  leader_id varchar(64) not null,
+  result varchar(32) not null,
+  scores json null,
+  leader_feedback text null,
+  reviewed_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  unique key uq_verification_reviews_request (request_id),
+  constraint fk_verification_reviews_request foreign key (request_id) references verification_requests (id) on delete cascade
+);
@@ -0,0 +1,15 @@
+alter table action_plans
+  drop column reviewed_by,
+  drop column reviewed_by_email,
+  drop column reviewed_by_name,
+  drop column reviewed_at,
+  drop column approved_at,
+  drop column rejected_at;
+
+alter table goals
+  drop column reviewed_by,
+  drop column reviewed_by_email,
+  drop column reviewed_by_name,
+  drop column reviewed_at,
+  drop column approved_at,
+  drop column rejected_at;
@@ -0,0 +1,65 @@
+-- Reviewer audit trail written by /leader/goals/:id/review and /leader/action-plans/:id/review.
+--
+-- Databases that predate the migration runner may already have some of these columns (the API used to
+-- tolerate either shape), so each column is only added when information_schema does not list it yet.
+-- MySQL has no `add column if not exists`; the prepared statement runs either the alter or a no-op `do 0`.
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column reviewed_by varchar(64) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'reviewed_by');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column reviewed_by_email varchar(255) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'reviewed_by_email');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column reviewed_by_name varchar(255) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'reviewed_by_name');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column reviewed_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'reviewed_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column approved_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'approved_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table goals add column rejected_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'goals' and column_name = 'rejected_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column reviewed_by varchar(64) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'reviewed_by');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column reviewed_by_email varchar(255) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'reviewed_by_email');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column reviewed_by_name varchar(255) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'reviewed_by_name');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column reviewed_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'reviewed_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column approved_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'approved_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
+
+set @ddl = (select if(count(*) = 0, 'alter table action_plans add column rejected_at datetime(3) null', 'do 0') from information_schema.columns where table_schema = database() and table_name = 'action_plans' and column_name = 'rejected_at');
+prepare stmt from @ddl;
+execute stmt;
+deallocate prepare stmt;
@@ -0,0 +1,6 @@
+alter table goal_progress_history
+  drop column previous_progress,
+  drop column status,
+  drop column previous_status,
+  drop column recorded_by,
+  drop column source;
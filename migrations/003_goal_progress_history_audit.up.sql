@@ -0,0 +1,8 @@
+-- Who changed a goal's progress/status and what it was before, written alongside each goal update.
+
+alter table goal_progress_history
+  add column previous_progress decimal(5,2) null after progress,
+  add column status varchar(32) null after previous_progress,
+  add column previous_status varchar(32) null after status,
+  add column recorded_by varchar(64) null after previous_status,
+  add column source varchar(32) null after recorded_by;
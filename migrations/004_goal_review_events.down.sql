@@ -0,0 +1 @@
+drop table if exists goal_review_events;
@@ -0,0 +1,16 @@
+-- Append-only log of goal review requests, cancellations, approvals, rejections and leader comments.
+
+create table if not exists goal_review_events (
+  id char(36) not null,
+  goal_id char(36) not null,
+  action varchar(16) not null,
+  from_review_status varchar(32) null,
+  to_review_status varchar(32) null,
+  actor_id varchar(64) null,
+  actor_role varchar(16) not null,
+  comment text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  key idx_goal_review_events_goal (goal_id, created_at),
+  constraint fk_goal_review_events_goal foreign key (goal_id) references goals (id) on delete cascade
+);
@@ -0,0 +1,3 @@
+alter table teams drop column max_deadline_changes;
+
+drop table if exists action_plan_deadline_requests;
@@ -0,0 +1,22 @@
+-- Deadline changes become their own records instead of overwriting action_plans.request_deadline_date.
+
+create table if not exists action_plan_deadline_requests (
+  id char(36) not null,
+  action_plan_id char(36) not null,
+  requested_by varchar(64) not null,
+  previous_end_date date null,
+  requested_end_date date not null,
+  reason text null,
+  status varchar(16) not null default 'Pending',
+  decided_by varchar(64) null,
+  decided_at datetime(3) null,
+  decision_notes text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  key idx_deadline_requests_plan (action_plan_id, created_at),
+  key idx_deadline_requests_status (status, created_at),
+  constraint fk_deadline_requests_plan foreign key (action_plan_id) references action_plans (id) on delete cascade
+);
+
+-- null means "use MAX_DEADLINE_CHANGES" (lib/deadlineRequests.js); a leader can set a per-team value.
+alter table teams add column max_deadline_changes int null;
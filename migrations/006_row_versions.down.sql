@@ -0,0 +1,5 @@
+alter table weekly_reports drop column version;
+
+alter table action_plans drop column version;
+
+alter table goals drop column version;
@@ -0,0 +1,7 @@
+-- Optimistic concurrency: every update bumps `version`; PUTs compare it against If-Match (see lib/versioning.js).
+
+alter table goals add column version int not null default 1;
+
+alter table action_plans add column version int not null default 1;
+
+alter table weekly_reports add column version int not null default 1;
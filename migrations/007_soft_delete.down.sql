@@ -0,0 +1,19 @@
+-- Rows still in the trash would reappear as live data once the columns are gone.
+delete from weekly_reports where deleted_at is not null;
+delete from action_plans where deleted_at is not null;
+delete from goals where deleted_at is not null;
+
+alter table weekly_reports
+  drop key idx_weekly_reports_deleted,
+  drop column deleted_by,
+  drop column deleted_at;
+
+alter table action_plans
+  drop key idx_action_plans_deleted,
+  drop column deleted_by,
+  drop column deleted_at;
+
+alter table goals
+  drop key idx_goals_deleted,
+  drop column deleted_by,
+  drop column deleted_at;
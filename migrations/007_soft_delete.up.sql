@@ -0,0 +1,16 @@
+-- Soft delete: DELETE routes stamp deleted_at/deleted_by instead of removing rows (see lib/trash.js).
+
+alter table goals
+  add column deleted_at datetime(3) null,
+  add column deleted_by varchar(64) null,
+  add key idx_goals_deleted (deleted_at);
+
+alter table action_plans
+  add column deleted_at datetime(3) null,
+  add column deleted_by varchar(64) null,
+  add key idx_action_plans_deleted (deleted_at);
+
+alter table weekly_reports
+  add column deleted_at datetime(3) null,
+  add column deleted_by varchar(64) null,
+  add key idx_weekly_reports_deleted (deleted_at);
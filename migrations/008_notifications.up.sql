@@ -0,0 +1,27 @@
+-- In-app notifications raised by review/verification events (see lib/notifications.js),
+-- plus per-user opt-outs keyed by event type. A missing preference row means "enabled".
+
+create table if not exists notifications (
+  id char(36) not null,
+  user_id varchar(64) not null,
+  type varchar(64) not null,
+  title varchar(255) not null,
+  body text null,
+  entity_type varchar(32) null,
+  entity_id char(36) null,
+  actor_id varchar(64) null,
+  payload json null,
+  read_at datetime(3) null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  key idx_notifications_user_created (user_id, created_at),
+  key idx_notifications_user_unread (user_id, read_at)
+);
+
+create table if not exists notification_preferences (
+  user_id varchar(64) not null,
+  type varchar(64) not null,
+  in_app tinyint(1) not null default 1,
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (user_id, type)
+);
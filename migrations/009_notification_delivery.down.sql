@@ -0,0 +1,5 @@
+alter table notification_preferences drop column email;
+
+drop table if exists notification_dead_letters;
+
+drop table if exists team_notification_channels;
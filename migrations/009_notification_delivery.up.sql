@@ -0,0 +1,35 @@
+-- External notification delivery (see lib/delivery.js): per-team email/webhook channels,
+-- a per-user email opt-out next to in_app, and a dead-letter table for deliveries that ran out of retries.
+
+create table if not exists team_notification_channels (
+  id char(36) not null,
+  team_id char(36) not null,
+  kind varchar(16) not null,
+  target varchar(2048) null,
+  secret varchar(255) null,
+  event_types json null,
+  enabled tinyint(1) not null default 1,
+  created_by varchar(64) null,
+  created_at datetime(3) not null default current_timestamp(3),
+  updated_at datetime(3) not null default current_timestamp(3) on update current_timestamp(3),
+  primary key (id),
+  key idx_team_notification_channels_team (team_id),
+  constraint fk_team_notification_channels_team foreign key (team_id) references teams (id) on delete cascade
+);
+
+create table if not exists notification_dead_letters (
+  id char(36) not null,
+  channel_id char(36) null,
+  team_id char(36) null,
+  kind varchar(16) not null,
+  event_type varchar(64) not null,
+  delivery json not null,
+  attempts int not null default 0,
+  last_error text null,
+  created_at datetime(3) not null default current_timestamp(3),
+  resolved_at datetime(3) null,
+  primary key (id),
+  key idx_notification_dead_letters_team (team_id, created_at)
+);
+
+alter table notification_preferences add column email tinyint(1) not null default 1 after in_app;
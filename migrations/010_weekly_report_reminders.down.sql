@@ -0,0 +1,6 @@
+drop table if exists weekly_report_reminder_runs;
+
+alter table teams
+  drop column reminder_timezone,
+  drop column reminder_cron,
+  drop column reminder_enabled;
@@ -0,0 +1,27 @@
+-- Weekly report reminders (see lib/reminders.js): per-team schedule on teams, and one row per
+-- scheduled slot so a slot is only ever processed once, across restarts and instances.
+
+alter table teams
+  add column reminder_enabled tinyint(1) not null default 1,
+  add column reminder_cron varchar(64) null,
+  add column reminder_timezone varchar(64) null;
+
+create table if not exists weekly_report_reminder_runs (
+  id char(36) not null,
+  team_id char(36) not null,
+  scheduled_for datetime(3) not null,
+  status varchar(16) not null default 'Running',
+  range_from date not null,
+  range_to date not null,
+  plans_missing int not null default 0,
+  members_notified int not null default 0,
+  error text null,
+  started_at datetime(3) not null default current_timestamp(3),
+  finished_at datetime(3) null,
+  claim_token char(36) null,
+  attempts int not null default 1,
+  reclaimed_at datetime(3) null,
+  primary key (id),
+  unique key uq_reminder_runs_team_slot (team_id, scheduled_for),
+  constraint fk_reminder_runs_team foreign key (team_id) references teams (id) on delete cascade
+);
@@ -0,0 +1,6 @@
+alter table goals
+  drop key idx_goals_carried_over_to,
+  drop key idx_goals_carried_over_from,
+  drop column carried_over_at,
+  drop column carried_over_to,
+  drop column carried_over_from;
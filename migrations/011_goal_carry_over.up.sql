@@ -0,0 +1,9 @@
+-- Year rollover: a goal continued into year+1 is copied; the copy points back at its predecessor and the
+-- predecessor is stamped so year-scoped dashboards stop counting it (see lib/carryOver.js).
+
+alter table goals
+  add column carried_over_from char(36) null,
+  add column carried_over_to char(36) null,
+  add column carried_over_at datetime(3) null,
+  add key idx_goals_carried_over_from (carried_over_from),
+  add key idx_goals_carried_over_to (carried_over_to);
@@ -0,0 +1,5 @@
+alter table weekly_reports drop key ft_weekly_reports_text;
+
+alter table action_plans drop key ft_action_plans_text;
+
+alter table goals drop key ft_goals_text;
@@ -0,0 +1,7 @@
+-- FULLTEXT indexes behind GET /search (lib/search.js). MATCH() must name exactly these column lists.
+
+alter table goals add fulltext key ft_goals_text (name, description);
+
+alter table action_plans add fulltext key ft_action_plans_text (activity, description);
+
+alter table weekly_reports add fulltext key ft_weekly_reports_text (work_done, blockers_challenges, next_week_plan);
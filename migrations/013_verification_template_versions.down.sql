@@ -0,0 +1,11 @@
+alter table verification_requests
+  drop key idx_verification_requests_template,
+  drop column template_version;
+
+alter table verification_templates
+  drop column archived_by,
+  drop column archived_at,
+  drop column updated_at,
+  drop column current_version;
+
+drop table if exists verification_template_versions;
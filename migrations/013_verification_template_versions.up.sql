@@ -0,0 +1,34 @@
+-- Verification template versioning: every edit writes a new immutable row in verification_template_versions
+-- and bumps verification_templates.current_version (the templates row mirrors the current version).
+-- Requests record the version whose snapshot they carry (see lib/verificationTemplates.js).
+
+create table if not exists verification_template_versions (
+  template_id char(36) not null,
+  version int not null,
+  name varchar(255) not null,
+  category varchar(128) null,
+  scoring_type varchar(32) not null default 'rubric',
+  criteria json null,
+  required_evidence json null,
+  minimum_bar json null,
+  created_by varchar(64) null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (template_id, version),
+  constraint fk_verification_template_versions_template foreign key (template_id) references verification_templates (id) on delete cascade
+);
+
+alter table verification_templates
+  add column current_version int not null default 1,
+  add column updated_at datetime(3) null,
+  add column archived_at datetime(3) null,
+  add column archived_by varchar(64) null;
+
+alter table verification_requests
+  add column template_version int null,
+  add key idx_verification_requests_template (template_id, template_version);
+
+insert into verification_template_versions (template_id, version, name, category, scoring_type, criteria, required_evidence, minimum_bar, created_by, created_at)
+select id, 1, name, category, scoring_type, criteria, required_evidence, minimum_bar, created_by, created_at
+from verification_templates;
+
+update verification_requests set template_version = 1 where template_id is not null;
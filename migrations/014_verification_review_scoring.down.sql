@@ -0,0 +1,4 @@
+alter table verification_reviews
+  drop column result_overridden,
+  drop column suggested_result,
+  drop column computed_total;
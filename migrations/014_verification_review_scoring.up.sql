@@ -0,0 +1,7 @@
+-- Server-computed rubric scoring (lib/rubric.js): the weighted total, the result it suggests and whether the
+-- leader's result differs from it. All null when the rubric could not be scored or suggests nothing.
+
+alter table verification_reviews
+  add column computed_total decimal(5,2) null,
+  add column suggested_result varchar(32) null,
+  add column result_overridden tinyint(1) null;
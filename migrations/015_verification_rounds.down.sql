@@ -0,0 +1,13 @@
+-- Keeps only each request's latest review so the one-review-per-request key can come back.
+delete r from verification_reviews r
+join verification_reviews newer on newer.request_id = r.request_id and newer.round > r.round;
+
+alter table verification_reviews
+  add unique key uq_verification_reviews_request (request_id),
+  drop key uq_verification_reviews_request_round,
+  drop column round;
+
+alter table verification_requests
+  drop column current_round;
+
+drop table if exists verification_request_rounds;
@@ -0,0 +1,26 @@
+-- Verification rounds: a request reviewed as NeedsWork can be resubmitted. Each submission is a row in
+-- verification_request_rounds and each review belongs to one round, so earlier evidence and feedback are
+-- kept (see lib/verificationRounds.js). verification_requests keeps the latest submission's evidence/notes.
+
+create table if not exists verification_request_rounds (
+  request_id char(36) not null,
+  round int not null,
+  evidence_links json null,
+  member_notes text null,
+  submitted_by varchar(64) not null,
+  submitted_at datetime(3) not null default current_timestamp(3),
+  primary key (request_id, round),
+  constraint fk_verification_request_rounds_request foreign key (request_id) references verification_requests (id) on delete cascade
+);
+
+alter table verification_requests
+  add column current_round int not null default 1;
+
+insert into verification_request_rounds (request_id, round, evidence_links, member_notes, submitted_by, submitted_at)
+select id, 1, evidence_links, member_notes, requester_id, created_at
+from verification_requests;
+
+alter table verification_reviews
+  add column round int not null default 1,
+  add unique key uq_verification_reviews_request_round (request_id, round),
+  drop key uq_verification_reviews_request;
@@ -0,0 +1,13 @@
+-- Keeps one review per round (the latest) so the per-round key can come back.
+delete r from verification_reviews r
+join verification_reviews newer on newer.request_id = r.request_id and newer.round = r.round and (newer.reviewed_at > r.reviewed_at or (newer.reviewed_at = r.reviewed_at and newer.id > r.id));
+
+alter table verification_reviews
+  add unique key uq_verification_reviews_request_round (request_id, round),
+  drop key uq_verification_reviews_request_round_reviewer;
+
+alter table verification_requests
+  drop column final_result,
+  drop column aggregation_policy;
+
+drop table if exists verification_request_reviewers;
@@ -0,0 +1,29 @@
+-- Multi-reviewer verification: a leader can assign several reviewers (leaders of other teams or peer experts)
+-- to a request. Each reviewer reviews every round independently (verification_reviews.leader_id holds the
+-- reviewer) and the request's aggregation_policy turns their results into final_result (lib/verificationReviewers.js).
+-- Requests without assigned reviewers keep the single team-leader review.
+
+create table if not exists verification_request_reviewers (
+  request_id char(36) not null,
+  reviewer_id varchar(64) not null,
+  reviewer_role varchar(16) not null,
+  assigned_by varchar(64) not null,
+  assigned_at datetime(3) not null default current_timestamp(3),
+  primary key (request_id, reviewer_id),
+  key idx_verification_request_reviewers_reviewer (reviewer_id),
+  constraint fk_verification_request_reviewers_request foreign key (request_id) references verification_requests (id) on delete cascade
+);
+
+alter table verification_requests
+  add column aggregation_policy varchar(32) null,
+  add column final_result varchar(32) null;
+
+alter table verification_reviews
+  add unique key uq_verification_reviews_request_round_reviewer (request_id, round, leader_id),
+  drop key uq_verification_reviews_request_round;
+
+update verification_requests vr
+set vr.final_result = (
+  select r.result from verification_reviews r where r.request_id = vr.id and r.round = vr.current_round order by r.reviewed_at desc limit 1
+)
+where vr.status = 'Reviewed';
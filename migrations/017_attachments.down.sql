@@ -0,0 +1,2 @@
+-- Stored files are not removed; clear the attachment storage separately if needed.
+drop table if exists attachments;
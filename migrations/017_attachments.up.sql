@@ -0,0 +1,19 @@
+-- Evidence attachments on action plans, weekly reports and verification requests. The file itself lives in
+-- attachment storage (lib/storage.js) under storage_key; this table keeps its metadata and owner entity.
+
+create table if not exists attachments (
+  id char(36) not null,
+  entity_type varchar(32) not null,
+  entity_id char(36) not null,
+  filename varchar(255) not null,
+  mime_type varchar(127) not null,
+  size_bytes bigint not null,
+  checksum_sha256 char(64) not null,
+  storage_backend varchar(16) not null,
+  storage_key varchar(512) not null,
+  uploaded_by varchar(64) not null,
+  created_at datetime(3) not null default current_timestamp(3),
+  primary key (id),
+  key idx_attachments_entity (entity_type, entity_id, created_at),
+  key idx_attachments_uploaded_by (uploaded_by)
+);
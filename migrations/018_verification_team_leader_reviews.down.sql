@@ -0,0 +1,2 @@
+alter table verification_reviews
+  drop column team_leader_review;
@@ -0,0 +1,16 @@
+-- Single team-leader reviews are authorized by the Cognito leader group plus team scope, not by users.role (which
+-- /auth/ensure-user stores as 'manager' for manager+leader users and other syncs leave at 'member'). The review
+-- route records that authorization here so settleRound can count the review without looking at users.role.
+
+alter table verification_reviews
+  add column team_leader_review tinyint(1) not null default 0;
+
+-- Existing reviews on requests without assigned reviewers were single reviews by a leader of the requester's team.
+update verification_reviews r
+join verification_requests vr on vr.id = r.request_id
+join users requester on requester.id = vr.requester_id
+join users l on l.id = r.leader_id
+set r.team_leader_review = 1
+where l.team_id = requester.team_id
+  and r.leader_id <> vr.requester_id
+  and not exists (select 1 from verification_request_reviewers rr where rr.request_id = r.request_id);
@@ -0,0 +1,3 @@
+alter table users
+  drop key idx_users_team_leader,
+  drop column is_leader;
@@ -0,0 +1,9 @@
+-- Whether the user is in the Cognito leader group. users.role cannot say so: /auth/ensure-user stores 'manager' for
+-- manager+leader users. Kept in sync by /auth/ensure-user and by the leader team-scope check (lib/access.js);
+-- team-leader notifications (lib/notifications.js) are addressed with it.
+
+alter table users
+  add column is_leader tinyint(1) not null default 0,
+  add key idx_users_team_leader (team_id, is_leader);
+
+update users set is_leader = 1 where role = 'leader';
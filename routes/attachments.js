@@ -0,0 +1,124 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { verifyCognito } from '../middleware/verifyCognito.js';
+import { sendValidationError } from '../lib/schemas.js';
+import { createStorageFromEnv } from '../lib/storage.js';
+import {
+  ATTACHMENT_MAX_BYTES,
+  assertCanAccessAttachmentEntity,
+  createAttachment,
+  deleteAttachment,
+  listAttachments,
+  parseUpload,
+} from '../lib/attachments.js';
+
+const ENTITY_PATHS = { 'action-plans': 'action_plan', 'weekly-reports': 'weekly_report', 'verification-requests': 'verification_request' };
+
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Evidence attachments (lib/attachments.js) for action plans, weekly reports and verification requests.
+export function createAttachmentsRouter({ db, authenticate = verifyCognito, storage = createStorageFromEnv() }) {
+  const router = express.Router();
+  const { q1 } = db;
+
+  // The file is the raw request body; JSON bodies were already taken by the app-level parser and are rejected.
+  const raw = bodyParser.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES });
+  const fileBody = (req, res, next) =>
+    raw(req, res, (err) => {
+      if (!err) return next();
+      if (err.type === 'entity.too.large') return res.status(413).json({ error: `Attachment exceeds ${ATTACHMENT_MAX_BYTES} bytes` });
+      res.status(err.status || 400).json({ error: err.message });
+    });
+
+  for (const [segment, entityType] of Object.entries(ENTITY_PATHS)) {
+    // POST /action-plans/:id/attachments?filename=report.pdf   (also /weekly-reports/:id/..., /verification-requests/:id/...)
+    // Body: the file, sent with its Content-Type. X-Filename may be used instead of the query param.
+    router.post(`/${segment}/:id/attachments`, authenticate, fileBody, async (req, res) => {
+      const filename = typeof req.query.filename === 'string' ? req.query.filename : req.get('x-filename');
+      const parsed = parseUpload({ body: req.body, contentType: req.get('content-type'), filename });
+      if (!parsed.ok) return sendValidationError(res, parsed.errors);
+
+      try {
+        const access = await assertCanAccessAttachmentEntity(db, req, entityType, req.params.id, { upload: true });
+        if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+        const result = await createAttachment(db, storage, { entityType, entityId: access.entityId, ...parsed.value, uploadedBy: req.user.sub });
+        if (result.status) return res.status(result.status).json({ error: result.message });
+        res.status(201).json({ data: result.data });
+      } catch (e) {
+        res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+      }
+    });
+
+    router.get(`/${segment}/:id/attachments`, authenticate, async (req, res) => {
+      try {
+        const access = await assertCanAccessAttachmentEntity(db, req, entityType, req.params.id);
+        if (!access.ok) return res.status(access.status).json({ message: access.message });
+        res.json({ data: await listAttachments(db, entityType, access.entityId) });
+      } catch (e) {
+        res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+      }
+    });
+  }
+
+  async function loadAttachment(req, res) {
+    const attachment = await q1(`select * from attachments where id = ? limit 1`, [req.params.id]);
+    if (!attachment) {
+      res.status(404).json({ error: 'Attachment not found' });
+      return null;
+    }
+    const access = await assertCanAccessAttachmentEntity(db, req, attachment.entity_type, attachment.entity_id);
+    if (!access.ok) {
+      res.status(access.status).json({ message: access.message });
+      return null;
+    }
+    return attachment;
+  }
+
+  router.get('/attachments/:id/download', authenticate, async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      let stream;
+      try {
+        stream = await storage.get(attachment.storage_key);
+      } catch (e) {
+        if (e?.code === 'ENOENT') return res.status(404).json({ error: 'Attachment file is missing from storage' });
+        throw e;
+      }
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': String(attachment.size_bytes),
+        'Content-Disposition': contentDisposition(attachment.filename),
+        'X-Content-Type-Options': 'nosniff',
+        ETag: `"${attachment.checksum_sha256}"`,
+      });
+      stream.on('error', (e) => {
+        if (!res.headersSent) res.status(500).json({ error: e.message });
+        else res.destroy(e);
+      });
+      stream.pipe(res);
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.delete('/attachments/:id', authenticate, async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      const result = await deleteAttachment(db, storage, req, attachment);
+      if (result.status) return res.status(result.status).json({ message: result.message });
+      res.json({ data: result.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,107 @@
+import express from 'express';
+import { verifyCognito } from '../middleware/verifyCognito.js';
+import { hydrateRow } from '../lib/sql.js';
+import { deriveRoleFromGroups, getGroupList } from '../lib/roles.js';
+import { isUuidLike } from '../lib/util.js';
+
+// Public + identity routes: team list for signup, /me, /auth/ensure-user.
+export function createAuthRouter({ db, authenticate = verifyCognito }) {
+  const router = express.Router();
+  const { q, q1 } = db;
+
+  // Public: list teams for signup dropdown
+  router.get('/public/teams', async (req, res) => {
+    try {
+      const rows = await q(`select id, name from teams order by name asc`, []);
+      res.json({ data: Array.isArray(rows) ? rows : [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // Debug helper (auth required): shows Cognito identity + whether user exists in DB
+  // GET /me
+  router.get('/me', authenticate, async (req, res) => {
+    const sub = req.user?.sub ?? null;
+    const groups = req.user?.['cognito:groups'] ?? null;
+    if (!sub) return res.status(401).json({ message: 'Missing identity (sub)' });
+
+    try {
+      const u = await q1(
+        `
+          select id, email, name, team_id, role
+          from users
+          where id = ?
+          limit 1
+        `,
+        [sub]
+      );
+      res.json({
+        data: {
+          sub,
+          groups: Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [],
+          db_user: u
+            ? { exists: true, id: u.id, email: u.email ?? null, name: u.name ?? null, team_id: u.team_id ?? null, role: u.role ?? null }
+            : { exists: false },
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e), sub });
+    }
+  });
+
+  // Create/update user record in DB after Cognito login/signup.
+  // POST /auth/ensure-user
+  // Body: { email?: string, name?: string, team?: string, team_id?: string }
+  router.post('/auth/ensure-user', authenticate, async (req, res) => {
+    const sub = req.user?.sub ?? null;
+    if (!sub) return res.status(401).json({ message: 'Missing identity (sub)' });
+
+    const body = req.body || {};
+    const email = typeof body.email === 'string' ? body.email.trim() : null;
+    const name = typeof body.name === 'string' ? body.name.trim() : null;
+    const teamIdInput = typeof body.team_id === 'string' ? body.team_id.trim() : null;
+    const teamInput = typeof body.team === 'string' ? body.team.trim() : null;
+    const groups = req.user?.['cognito:groups'] ?? null;
+    const role = deriveRoleFromGroups(groups);
+    const isLeader = Number(getGroupList(groups).includes('leader'));
+
+    try {
+      let team_id = null;
+      const key = teamIdInput || teamInput || null;
+      if (key) {
+        const t = isUuidLike(key)
+          ? await q1(`select id, name from teams where id = ? limit 1`, [key])
+          : await q1(`select id, name from teams where lower(name) = lower(?) limit 1`, [key]);
+        if (!t) {
+          return res.status(400).json({
+            message: `Team not found for "${key}". Please provide a valid team_id or team name (matches teams.name).`,
+          });
+        }
+        team_id = t.id;
+      }
+
+      await q(
+        `
+          insert into users (id, email, name, team_id, role, is_leader)
+          values (?, ?, ?, ?, ?, ?)
+          as new
+          on duplicate key update
+            email = new.email,
+            name = new.name,
+            team_id = coalesce(new.team_id, users.team_id),
+            role = new.role,
+            is_leader = new.is_leader
+        `,
+        [sub, email, name, team_id, role, isLeader]
+      );
+
+      const u = await q1(`select id, email, name, team_id, role from users where id = ? limit 1`, [sub]);
+      return res.json({ data: hydrateRow(u) });
+    } catch (e) {
+      return res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { verifyCognito } from '../middleware/verifyCognito.js';
+import { isLeaderUser, requestRole } from '../lib/roles.js';
+import { getLeaderTeamScope } from '../lib/access.js';
+import { parseCsvImport, parseJsonImport, validateImport, insertImport } from '../lib/goalImport.js';
+
+// Bulk import (members for themselves, leaders also for members of their team).
+export function createImportRouter({ db, authenticate = verifyCognito }) {
+  const router = express.Router();
+  const { withTransaction } = db;
+
+  const csvBody = bodyParser.text({ type: ['text/csv', 'application/csv'], limit: process.env.IMPORT_MAX_BYTES || '2mb' });
+
+  // POST /import/goals?dry_run=1
+  // Body: text/csv (see lib/goalImport.js for columns) or { goals: [{ ...goal, member_email?, action_plans: [...] }], dry_run?: boolean }
+  // All-or-nothing: any invalid row rejects the whole import.
+  router.post('/import/goals', authenticate, csvBody, async (req, res) => {
+    const csv = typeof req.body === 'string';
+    const dryRun = ['1', 'true'].includes(`${req.query.dry_run ?? ''}`.toLowerCase()) || (!csv && req.body?.dry_run === true);
+
+    const parsed = csv ? parseCsvImport(req.body) : parseJsonImport(req.body);
+    if (!parsed.ok) return res.status(400).json({ message: 'Validation failed', errors: parsed.errors });
+
+    try {
+      const isLeader = isLeaderUser(req);
+      let leaderTeamId = null;
+      if (isLeader && parsed.entries.some((e) => e.owner)) {
+        const scope = await getLeaderTeamScope(db, req);
+        if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+        leaderTeamId = scope.teamId;
+      }
+
+      const v = await validateImport(db, parsed.entries, { callerId: req.user.sub, isLeader, leaderTeamId, role: requestRole(req), csv });
+      const entries = v.entries;
+      const errors = [...parsed.errors, ...v.errors];
+      const planCount = entries.reduce((n, e) => n + e.plans.length, 0);
+
+      if (dryRun) {
+        return res.json({
+          data: {
+            dry_run: true,
+            valid: errors.length === 0,
+            goals: entries.length,
+            action_plans: planCount,
+            errors,
+            preview: entries.map((e) => ({ at: e.at, user_id: e.ownerId, name: e.goal.name, year: e.goal.year, action_plans: e.plans.length })),
+          },
+        });
+      }
+      if (errors.length) return res.status(400).json({ message: 'Validation failed', errors });
+
+      const created = await withTransaction((tx) => insertImport(tx, entries));
+      res.json({ data: { dry_run: false, goals: created.length, action_plans: planCount, created } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
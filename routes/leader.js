@@ -0,0 +1,856 @@
+import express from 'express';
+import { verifyCognito, requireLeader } from '../middleware/verifyCognito.js';
+import { buildUpdate, buildVersionedUpdate, hydrateRow, hydrateRows } from '../lib/sql.js';
+import { LOG_TIMINGS, nowMs, isValidDateOnly, isValidTimeZone, isoWeekOfDateOnly, parseIsoWeek, toDateOnly } from '../lib/util.js';
+import { getLeaderTeamScope, getReviewerIdentity, assertCanAccessGoal, assertCanAccessActionPlan, assertNotSelfReview } from '../lib/access.js';
+import { goalSchema, validateBody, sendValidationError } from '../lib/schemas.js';
+import { reviewActionForStatus } from '../lib/goalLifecycle.js';
+import { recordGoalProgressChange, applyGoalReviewAction } from '../lib/goalHistory.js';
+import { DEFAULT_MAX_DEADLINE_CHANGES, decideDeadlineChange } from '../lib/deadlineRequests.js';
+import { getLatestVerificationSummaryByGoalIds, attachVerificationSummaryToGoals } from '../lib/verificationSummary.js';
+import { computeMemberInsights } from '../lib/insights.js';
+import { getWeeklyReportCoverage } from '../lib/weeklyReportStats.js';
+import { buildLeaderDigest, renderDigestHtml, renderDigestMarkdown } from '../lib/digest.js';
+import { exportFormatOf, sendExport, goalsWithPlansRows } from '../lib/export.js';
+import { DEFAULT_REMINDER_CRON, DEFAULT_REMINDER_TIMEZONE, isValidCron, nextReminderSlot } from '../lib/reminders.js';
+import { setEtag, matchesIfMatch, sendPreconditionFailed } from '../lib/versioning.js';
+import { RESTORE_RETENTION_DAYS, restorableUntil } from '../lib/trash.js';
+import { carryOverGoal, listRolloverCandidates } from '../lib/carryOver.js';
+import { parseListParams, finishPage } from '../lib/pagination.js';
+import { parseGoalFilters, goalFilterSql } from '../lib/goalFilters.js';
+
+const GOAL_LIST = {
+  sorts: {
+    member: { sql: "coalesce(u.name, '')", field: 'member_name', nullAs: '' },
+    name: { sql: 'g.name', field: 'name' },
+    year: { sql: 'g.year', field: 'year' },
+    progress: { sql: 'g.progress', field: 'progress' },
+    status: { sql: 'g.status', field: 'status' },
+    review_status: { sql: "coalesce(g.review_status, '')", field: 'review_status', nullAs: '' },
+    time_bound: { sql: "coalesce(g.time_bound, '9999-12-31')", field: 'time_bound', nullAs: '9999-12-31' },
+    created_at: { sql: 'g.created_at', field: 'created_at' },
+    updated_at: { sql: 'g.updated_at', field: 'updated_at' },
+  },
+  defaultSort: 'member,name',
+  tieBreaker: { sql: 'g.id', field: 'id' },
+  defaultLimit: 200,
+  maxLimit: 500,
+};
+
+const USER_LIST = {
+  sorts: {
+    name: { sql: "coalesce(u.name, '')", field: 'name', nullAs: '' },
+    email: { sql: "coalesce(u.email, '')", field: 'email', nullAs: '' },
+  },
+  defaultSort: 'name,email',
+  tieBreaker: { sql: 'u.id', field: 'id' },
+  defaultLimit: 200,
+  maxLimit: 500,
+};
+
+const TRASH_LIST = {
+  sorts: {
+    deleted_at: { sql: 'g.deleted_at', field: 'deleted_at' },
+    name: { sql: 'g.name', field: 'name' },
+    member: { sql: "coalesce(u.name, '')", field: 'member_name', nullAs: '' },
+  },
+  defaultSort: '-deleted_at',
+  tieBreaker: { sql: 'g.id', field: 'id' },
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+
+// Leader APIs (team-scoped).
+export function createLeaderRouter({ db, authenticate = verifyCognito, events }) {
+  const router = express.Router();
+  const { q, q1, withTransaction } = db;
+
+  // GET /leader/goals?year=2025&user_id=<id>&sort=member,-progress&limit=200&cursor=<next_cursor>&format=json|csv|xlsx
+  // Sort keys: see GOAL_LIST; exports contain the requested page. Further filters (review_status, status,
+  // progress range, verification, overdue plans, missing weekly reports, time_bound): see lib/goalFilters.js.
+  router.get('/leader/goals', authenticate, requireLeader, async (req, res) => {
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    const { year, user_id, team_id } = req.query;
+    const page = parseListParams(req.query, GOAL_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+    const parsedFilters = parseGoalFilters(req.query);
+    if (!parsedFilters.ok) return sendValidationError(res, parsedFilters.errors);
+    const fmt = exportFormatOf(req);
+    if (!fmt) return res.status(400).json({ error: 'format must be json, csv or xlsx' });
+
+    try {
+      const scope = await getLeaderTeamScope(db, req);
+      if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+      if (typeof team_id === 'string' && team_id.trim() && team_id.trim() !== scope.teamId) {
+        return res.status(403).json({ message: 'Forbidden (team scope)' });
+      }
+
+      const params = [scope.teamId];
+      // Carried-over originals are skipped, as in the summary below; the copy in the next year is the live goal.
+      let where = 'where u.team_id = ? and g.deleted_at is null and g.carried_over_to is null';
+      if (typeof year !== 'undefined' && year !== null && `${year}`.trim() !== '') {
+        where += ' and g.year = ?';
+        params.push(Number(year));
+      }
+      if (typeof user_id === 'string' && user_id.trim()) {
+        where += ' and g.user_id = ?';
+        params.push(user_id.trim());
+      }
+      const filter = goalFilterSql(parsedFilters.filters, { today: toDateOnly(new Date()) });
+      where += ` ${filter.sql}`;
+      params.push(...filter.params);
+
+      const rows = await q(
+        `
+          select
+            g.*,
+            u.id as member_id,
+            u.email as member_email,
+            u.name as member_name,
+            u.team_id as member_team_id,
+            t.name as member_team_name
+          from goals g
+          join users u on u.id = g.user_id
+          left join teams t on t.id = u.team_id
+          ${where}
+          ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [...params, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(`select count(*) as total from goals g join users u on u.id = g.user_id ${where}`, params);
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+      const goals = hydrateRows(pageRows);
+
+      const goalIds = (goals || []).map((g) => g.id).filter(Boolean);
+      let plans = [];
+      if (goalIds.length > 0) {
+        plans = hydrateRows(await q(`select * from action_plans where goal_id in (?) and deleted_at is null`, [goalIds]));
+      }
+
+      const plansByGoal = new Map();
+      for (const p of plans || []) {
+        const gid = p.goal_id;
+        if (!gid) continue;
+        if (!plansByGoal.has(gid)) plansByGoal.set(gid, []);
+        plansByGoal.get(gid).push(p);
+      }
+
+      const shaped =
+        (goals || []).map((g) => ({
+          ...g,
+          action_plans: plansByGoal.get(g.id) || [],
+          user_name: g.member_name ?? g.user_name ?? null,
+          user_email: g.member_email ?? g.user_email ?? null,
+          team_id: g.member_team_id ?? g.team_id ?? null,
+          team: g.member_team_name ?? g.team ?? null,
+        })) || [];
+
+      const cleaned = shaped.map((g) => {
+        const { member_id, member_email, member_name, member_team_id, member_team_name, ...rest } = g;
+        return rest;
+      });
+
+      const vmap = await getLatestVerificationSummaryByGoalIds(db, goalIds);
+      const withVerify = attachVerificationSummaryToGoals(cleaned, vmap);
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        const n = Array.isArray(goals) ? goals.length : 0;
+        console.log('[DB]', `GET /leader/goals mysql (${ms.toFixed(1)}ms) goals=${n} total=${pageMeta.total} limit=${page.limit} sort=${page.sort}`);
+      }
+
+      if (fmt !== 'json') {
+        return await sendExport(req, res, fmt, {
+          filename: `goals-${scope.teamName || scope.teamId}${year ? `-${year}` : ''}`,
+          sheets: [{ name: 'Goals and action plans', rows: goalsWithPlansRows(withVerify) }],
+        });
+      }
+
+      res.json({ data: withVerify, page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/goals/summary?year=2025&user_id=<id> plus the same filters as GET /leader/goals
+  router.get('/leader/goals/summary', authenticate, requireLeader, async (req, res) => {
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    const { year, user_id, team_id } = req.query;
+    const parsedFilters = parseGoalFilters(req.query);
+    if (!parsedFilters.ok) return sendValidationError(res, parsedFilters.errors);
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    if (typeof team_id === 'string' && team_id.trim() && team_id.trim() !== scope.teamId) {
+      return res.status(403).json({ message: 'Forbidden (team scope)' });
+    }
+
+    const targetYear = typeof year !== 'undefined' && year !== null && `${year}`.trim() !== '' ? Number(year) : null;
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+
+    try {
+      const params = [targetYear, scope.teamId];
+      let whereUser = '';
+      if (typeof user_id === 'string' && user_id.trim()) {
+        whereUser = 'and g.user_id = ?';
+        params.push(user_id.trim());
+      }
+      const filter = goalFilterSql(parsedFilters.filters, { today: toDateOnly(new Date()) });
+      params.push(...filter.params);
+
+      const row =
+        (await q1(
+          `
+            select
+              count(*) as total,
+              sum(case when g.review_status = 'Approved' then 1 else 0 end) as approved,
+              sum(case when g.review_status is null or g.review_status = 'Pending' then 1 else 0 end) as pending,
+              coalesce(avg(coalesce(g.progress, 0)), 0) as avg_progress
+            from goals g
+            join users u on u.id = g.user_id
+            where g.year = ?
+              and u.team_id = ?
+              and g.deleted_at is null
+              and g.carried_over_to is null
+              ${whereUser}
+              ${filter.sql}
+          `,
+          params
+        )) || { total: 0, approved: 0, pending: 0, avg_progress: 0 };
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /leader/goals/summary mysql (${ms.toFixed(1)}ms) total=${row.total} year=${targetYear}`);
+      }
+
+      res.json({
+        data: {
+          total: Number(row.total || 0),
+          approved: Number(row.approved || 0),
+          pending: Number(row.pending || 0),
+          avgProgress: Number(row.avg_progress || 0),
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/users?q=<name or email>&sort=name,email&limit=200&cursor=<next_cursor>
+  router.get('/leader/users', authenticate, requireLeader, async (req, res) => {
+    const { q: qtext, team, team_id } = req.query;
+    const page = parseListParams(req.query, USER_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    const teamId =
+      typeof team_id === 'string' && team_id.trim()
+        ? team_id.trim()
+        : typeof team === 'string' && team.trim()
+          ? team.trim()
+          : null;
+    if (teamId && teamId !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+
+    const needle = typeof qtext === 'string' && qtext.trim() ? qtext.trim() : null;
+    try {
+      const params = [scope.teamId];
+      let search = '';
+      if (needle) {
+        search = 'and (lower(u.name) like ? or lower(u.email) like ?)';
+        const pat = `%${needle.toLowerCase()}%`;
+        params.push(pat, pat);
+      }
+
+      const rows = await q(
+        `
+          select
+            u.id,
+            u.email,
+            u.name,
+            u.team_id,
+            u.role,
+            t.name as team_name
+          from users u
+          left join teams t on t.id = u.team_id
+          where u.team_id = ?
+          ${search}
+          ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [...params, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(`select count(*) as total from users u where u.team_id = ? ${search}`, params);
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /leader/users mysql (${ms.toFixed(1)}ms) rows=${pageRows.length} total=${pageMeta.total} limit=${page.limit} sort=${page.sort}`);
+      }
+
+      const shaped =
+        pageRows.map((u) => ({
+          id: u.id,
+          email: u.email ?? null,
+          name: u.name ?? null,
+          team_id: u.team_id ?? null,
+          team_name: u.team_name ?? null,
+          role: u.role ?? null,
+        })) || [];
+
+      res.json({ data: shaped, page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/leader/teams', authenticate, requireLeader, async (req, res) => {
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    try {
+      const rows = await q(`select id, name from teams where id = ? order by name asc`, [scope.teamId]);
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/member-insights?year=2025&user_id=<uuid>&weeks=8
+  router.get('/leader/member-insights', authenticate, requireLeader, async (req, res) => {
+    const { year, user_id, weeks } = req.query;
+    const targetYear = Number(year);
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+    if (typeof user_id !== 'string' || !user_id.trim()) return res.status(400).json({ error: 'Query param "user_id" is required' });
+    const userId = user_id.trim();
+    const lookbackWeeks = Math.max(1, Math.min(26, Number(weeks || 8)));
+
+    try {
+      const scope = await getLeaderTeamScope(db, req);
+      if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+      const u = await q1(`select id, team_id from users where id = ? limit 1`, [userId]);
+      if (!u) return res.status(404).json({ message: 'User not found' });
+      if (u.team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+
+      const data = await computeMemberInsights(db, { userId, targetYear, lookbackWeeks });
+      res.json({ data: { user_id: userId, year: targetYear, ...data } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // --- Leader insights: weekly report stats per action plan for a date range ---
+  router.get('/leader/action-plans/weekly-report-stats', authenticate, requireLeader, async (req, res) => {
+    const { year, user_id, from, to } = req.query;
+    const fromStr = typeof from === 'string' ? from.slice(0, 10) : null;
+    const toStr = typeof to === 'string' ? to.slice(0, 10) : null;
+    if (!isValidDateOnly(fromStr) || !isValidDateOnly(toStr)) return res.status(400).json({ error: 'Query params "from" and "to" (YYYY-MM-DD) are required' });
+
+    const targetYear = typeof year !== 'undefined' && year !== null && `${year}`.trim() !== '' ? Number(year) : null;
+    if (targetYear == null || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required' });
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    if (typeof user_id === 'string' && user_id.trim()) {
+      const u = await q1(`select id, team_id from users where id = ? limit 1`, [user_id.trim()]);
+      if (!u) return res.status(404).json({ message: 'User not found' });
+      if (u.team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+    }
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    try {
+      const rows = await getWeeklyReportCoverage(db, {
+        teamId: scope.teamId,
+        targetYear,
+        fromStr,
+        toStr,
+        userId: typeof user_id === 'string' && user_id.trim() ? user_id.trim() : null,
+      });
+
+      const stats = {};
+      for (const r of rows) {
+        stats[r.action_plan_id] = { lastReportDate: r.lastReportDate, hasReportInRange: r.hasReportInRange };
+      }
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /leader/action-plans/weekly-report-stats mysql (${ms.toFixed(1)}ms) plans=${Array.isArray(rows) ? rows.length : 0}`);
+      }
+
+      res.json({
+        data: stats,
+        meta: { year: targetYear, user_id: typeof user_id === 'string' && user_id.trim() ? user_id.trim() : null, from: fromStr, to: toStr, plans: Array.isArray(rows) ? rows.length : 0 },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/digest?week=2025-W03&format=json|html|markdown (week defaults to the current ISO week)
+  router.get('/leader/digest', authenticate, requireLeader, async (req, res) => {
+    const { week, format } = req.query;
+    const range = parseIsoWeek(typeof week === 'string' && week.trim() ? week : isoWeekOfDateOnly(toDateOnly(new Date())));
+    if (!range) return res.status(400).json({ error: 'Query param "week" must be an ISO week (YYYY-Www)' });
+    const fmt = typeof format === 'string' && format.trim() ? format.trim().toLowerCase() : 'json';
+    if (!['json', 'html', 'markdown', 'md'].includes(fmt)) return res.status(400).json({ error: 'format must be json, html or markdown' });
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    try {
+      const digest = await buildLeaderDigest(db, { teamId: scope.teamId, teamName: scope.teamName, week: range.week, from: range.from, to: range.to });
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /leader/digest mysql (${ms.toFixed(1)}ms) week=${range.week} reports=${digest.summary.new_reports}`);
+      }
+
+      if (fmt === 'html') return res.type('html').send(renderDigestHtml(digest));
+      if (fmt === 'markdown' || fmt === 'md') return res.type('text/markdown; charset=utf-8').send(renderDigestMarkdown(digest));
+      res.json({ data: digest });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // --- Leader update / review endpoints ---
+
+  router.put('/leader/goals/:id', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const v = validateBody(goalSchema, req.body ?? {}, { mode: 'update', role: 'leader' });
+    if (!v.ok) return sendValidationError(res, v.errors);
+
+    try {
+      const access = await assertCanAccessGoal(db, req, id);
+      if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+      const out = await withTransaction(async (tx) => {
+        const before = await tx.q1(`select * from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!before) return { status: 404, message: 'Goal not found' };
+        if (!matchesIfMatch(req, before)) return { stale: hydrateRow(before) };
+        const upd = buildVersionedUpdate('goals', v.value, 'where id = ?', [id]);
+        await tx.q(upd.sql, upd.params);
+        const after = hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [id]));
+        await recordGoalProgressChange(tx, { before, after, recordedBy: req.user.sub, source: 'leader_update' });
+        return { data: after };
+      });
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // Body: { status?: 'Approved' | 'Rejected', comment?: string }. A comment without status is recorded as feedback only.
+  router.put('/leader/goals/:id/review', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const { status, comment } = req.body || {};
+    if (typeof comment !== 'undefined' && comment !== null && typeof comment !== 'string') {
+      return res.status(400).json({ error: 'comment must be a string' });
+    }
+    const action = typeof status === 'undefined' || status === null ? 'comment' : reviewActionForStatus(status);
+    if (!action) return res.status(400).json({ error: 'status must be Approved or Rejected' });
+    if (action === 'comment' && !(typeof comment === 'string' && comment.trim())) {
+      return res.status(400).json({ error: 'status or comment is required' });
+    }
+
+    try {
+      const access = await assertCanAccessGoal(db, req, id);
+      if (!access.ok) return res.status(access.status).json({ message: access.message });
+      const self = assertNotSelfReview(req, access.goal.user_id);
+      if (!self.ok) return res.status(self.status).json({ message: self.message });
+
+      const reviewer = await getReviewerIdentity(db, req);
+      const out = await withTransaction(async (tx) => {
+        const existing = await tx.q1(`select * from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!existing) return { status: 404, message: 'Goal not found' };
+        if (!matchesIfMatch(req, existing)) return { stale: hydrateRow(existing) };
+
+        const nowIso = new Date().toISOString();
+        const patch = typeof comment === 'string' ? { leader_review_notes: comment } : {};
+        if (action !== 'comment') {
+          Object.assign(patch, {
+            reviewed_by: reviewer.id,
+            reviewed_by_email: reviewer.email,
+            reviewed_by_name: reviewer.name,
+            reviewed_at: nowIso,
+            approved_at: action === 'approve' ? nowIso : null,
+            rejected_at: action === 'reject' ? nowIso : null,
+          });
+        }
+
+        const t = await applyGoalReviewAction(tx, existing, { action, actor: 'leader', actorId: reviewer.id, comment, patch });
+        return t.ok ? {} : t;
+      });
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      events.emit('goal.reviewed', { goalId: id, actorId: reviewer.id, action, comment: comment ?? null });
+
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.put('/leader/action-plans/:id/review', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const { status, comment } = req.body || {};
+    const lock = status === 'Pending';
+
+    try {
+      const access = await assertCanAccessActionPlan(db, req, id);
+      if (!access.ok) return res.status(access.status).json({ message: access.message });
+      const self = assertNotSelfReview(req, access.goal.user_id);
+      if (!self.ok) return res.status(self.status).json({ message: self.message });
+
+      const reviewer = await getReviewerIdentity(db, req);
+      let decidedRequestId = null;
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(`select * from action_plans where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        if (!matchesIfMatch(req, plan)) return { stale: hydrateRow(plan) };
+
+        const updatePayload = { review_status: status, leader_review_notes: comment, is_locked: lock ? 1 : 0 };
+        if (status === 'Approved' && plan.request_deadline_date) {
+          updatePayload.end_date = plan.request_deadline_date;
+          updatePayload.request_deadline_date = null;
+        }
+        if (status === 'Rejected') updatePayload.request_deadline_date = null;
+
+        // Reviewing the plan also settles any deadline-change request it was locked for.
+        if (status === 'Approved' || status === 'Rejected') {
+          const pending = await tx.q1(`select id from action_plan_deadline_requests where action_plan_id = ? and status = 'Pending' limit 1 for update`, [id]);
+          if (pending) {
+            await decideDeadlineChange(tx, pending.id, { approved: status === 'Approved', decidedBy: reviewer.id, notes: comment });
+            decidedRequestId = pending.id;
+          }
+        }
+
+        const nowIso = new Date().toISOString();
+        const upd = buildVersionedUpdate(
+          'action_plans',
+          {
+            ...updatePayload,
+            reviewed_by: reviewer.id,
+            reviewed_by_email: reviewer.email,
+            reviewed_by_name: reviewer.name,
+            reviewed_at: nowIso,
+            approved_at: status === 'Approved' ? nowIso : null,
+            rejected_at: status === 'Rejected' ? nowIso : null,
+          },
+          'where id = ?',
+          [id]
+        );
+        await tx.q(upd.sql, upd.params);
+        return {};
+      });
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      events.emit('action_plan.reviewed', { actionPlanId: id, actorId: reviewer.id, status, comment: comment ?? null });
+      if (decidedRequestId) events.emit('deadline_request.decided', { deadlineRequestId: decidedRequestId, actorId: reviewer.id });
+
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/deadline-requests?status=Pending|Approved|Rejected|Cancelled|Superseded|all
+  router.get('/leader/deadline-requests', authenticate, requireLeader, async (req, res) => {
+    const status = typeof req.query.status === 'string' && req.query.status.trim() ? req.query.status.trim() : 'Pending';
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const params = [scope.teamId];
+      let where = 'where u.team_id = ? and ap.deleted_at is null and g.deleted_at is null';
+      if (status !== 'all') {
+        where += ' and dr.status = ?';
+        params.push(status);
+      }
+
+      const rows = await q(
+        `
+          select
+            dr.*,
+            ap.activity as action_plan_activity,
+            ap.end_date as action_plan_end_date,
+            ap.deadline_change_count,
+            g.id as goal_id,
+            g.name as goal_name,
+            u.id as member_id,
+            u.name as member_name,
+            u.email as member_email
+          from action_plan_deadline_requests dr
+          join action_plans ap on ap.id = dr.action_plan_id
+          join goals g on g.id = ap.goal_id
+          join users u on u.id = g.user_id
+          ${where}
+          order by dr.created_at asc
+        `,
+        params
+      );
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /leader/deadline-requests/:id/review
+  // Body: { status: 'Approved' | 'Rejected', comment?: string }
+  router.post('/leader/deadline-requests/:id/review', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const { status, comment } = req.body || {};
+    if (status !== 'Approved' && status !== 'Rejected') return res.status(400).json({ error: 'status must be Approved or Rejected' });
+
+    try {
+      const request = await q1(`select id, action_plan_id, status from action_plan_deadline_requests where id = ? limit 1`, [id]);
+      if (!request) return res.status(404).json({ message: 'Deadline request not found' });
+      const access = await assertCanAccessActionPlan(db, req, request.action_plan_id);
+      if (!access.ok) return res.status(access.status).json({ message: access.message });
+      const self = assertNotSelfReview(req, access.goal.user_id);
+      if (!self.ok) return res.status(self.status).json({ message: self.message });
+      if (request.status !== 'Pending') return res.status(409).json({ message: `Deadline request is already ${request.status}` });
+
+      const reviewer = await getReviewerIdentity(db, req);
+      const out = await withTransaction(async (tx) => {
+        // Lock order matches the other action-plan routes: plan row first, then its deadline request.
+        await tx.q1(`select id from action_plans where id = ? and deleted_at is null limit 1 for update`, [request.action_plan_id]);
+        const current = await tx.q1(`select id, action_plan_id, requested_end_date, status from action_plan_deadline_requests where id = ? limit 1 for update`, [id]);
+        if (!current || current.status !== 'Pending') return { status: 409, message: 'Deadline request is no longer pending' };
+
+        const approved = status === 'Approved';
+        await decideDeadlineChange(tx, id, { approved, decidedBy: reviewer.id, notes: comment });
+
+        const nowIso = new Date().toISOString();
+        const planUpdate = {
+          request_deadline_date: null,
+          review_status: status,
+          is_locked: 0,
+          leader_review_notes: typeof comment === 'string' ? comment : null,
+          reviewed_by: reviewer.id,
+          reviewed_by_email: reviewer.email,
+          reviewed_by_name: reviewer.name,
+          reviewed_at: nowIso,
+          approved_at: approved ? nowIso : null,
+          rejected_at: approved ? null : nowIso,
+        };
+        if (approved) planUpdate.end_date = current.requested_end_date;
+        const upd = buildVersionedUpdate('action_plans', planUpdate, 'where id = ?', [current.action_plan_id]);
+        await tx.q(upd.sql, upd.params);
+
+        return { data: await tx.q1(`select * from action_plan_deadline_requests where id = ? limit 1`, [id]) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      events.emit('deadline_request.decided', { deadlineRequestId: id, actorId: reviewer.id });
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/trash?sort=-deleted_at&limit=50&cursor=<next_cursor>
+  // Team goals deleted within the restore window, newest first by default. Restore via POST /goals/:id/restore.
+  router.get('/leader/trash', authenticate, requireLeader, async (req, res) => {
+    const page = parseListParams(req.query, TRASH_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const cutoff = new Date(Date.now() - RESTORE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const rows = await q(
+        `
+          select
+            g.id,
+            g.name,
+            g.year,
+            g.status,
+            g.progress,
+            g.deleted_at,
+            g.deleted_by,
+            d.name as deleted_by_name,
+            u.id as member_id,
+            u.name as member_name,
+            u.email as member_email,
+            (select count(*) from action_plans ap where ap.goal_id = g.id and ap.deleted_at = g.deleted_at) as action_plans_count
+          from goals g
+          join users u on u.id = g.user_id
+          left join users d on d.id = g.deleted_by
+          where u.team_id = ?
+            and g.deleted_at is not null
+            and g.deleted_at >= ?
+            ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [scope.teamId, cutoff, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(
+        `select count(*) as total from goals g join users u on u.id = g.user_id where u.team_id = ? and g.deleted_at is not null and g.deleted_at >= ?`,
+        [scope.teamId, cutoff]
+      );
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+
+      const shaped = pageRows.map((r) => ({
+        ...r,
+        action_plans_count: Number(r.action_plans_count || 0),
+        restorable_until: restorableUntil(r.deleted_at)?.toISOString() ?? null,
+      }));
+      res.json({ data: shaped, page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  async function loadTeamSettings(scope) {
+    const row = await q1(`select id, name, max_deadline_changes, reminder_enabled, reminder_cron, reminder_timezone from teams where id = ? limit 1`, [
+      scope.teamId,
+    ]);
+    const cron = row?.reminder_cron || DEFAULT_REMINDER_CRON;
+    const timeZone = row?.reminder_timezone || DEFAULT_REMINDER_TIMEZONE;
+    const enabled = row ? Boolean(row.reminder_enabled) : true;
+    return {
+      team_id: scope.teamId,
+      team_name: row?.name ?? scope.teamName,
+      max_deadline_changes: row?.max_deadline_changes ?? DEFAULT_MAX_DEADLINE_CHANGES,
+      max_deadline_changes_is_default: row?.max_deadline_changes == null,
+      reminder_enabled: enabled,
+      reminder_cron: row?.reminder_cron ?? null,
+      reminder_timezone: row?.reminder_timezone ?? null,
+      reminder_next_run_at: enabled ? nextReminderSlot(cron, timeZone).toISOString() : null,
+    };
+  }
+
+  // POST /leader/rollover
+  // Body: { from_year: number, user_id?: string, dry_run?: boolean }
+  // Carries every unfinished team goal of from_year (optionally one member's) into from_year + 1, in one transaction.
+  router.post('/leader/rollover', authenticate, requireLeader, async (req, res) => {
+    const { from_year, user_id, dry_run } = req.body || {};
+    const fromYear = Number(from_year);
+    if (!Number.isInteger(fromYear) || fromYear < 2000 || fromYear > 2099) return res.status(400).json({ error: 'from_year must be a year between 2000 and 2099' });
+    const userId = typeof user_id === 'string' && user_id.trim() ? user_id.trim() : null;
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      if (userId) {
+        const u = await q1(`select id, team_id from users where id = ? limit 1`, [userId]);
+        if (!u) return res.status(404).json({ message: 'User not found' });
+        if (u.team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+      }
+
+      const candidates = await listRolloverCandidates(db, { teamId: scope.teamId, fromYear, userId });
+      if (dry_run === true) {
+        return res.json({ data: { dry_run: true, from_year: fromYear, to_year: fromYear + 1, goals: candidates } });
+      }
+
+      const out = await withTransaction(async (tx) => {
+        const carried = [];
+        const skipped = [];
+        for (const c of candidates) {
+          // Re-checked under the row lock; a goal completed or carried over since the listing is skipped.
+          const r = await carryOverGoal(tx, c.id);
+          if (r.status) skipped.push({ goal_id: c.id, name: c.name, reason: r.message });
+          else carried.push({ from_goal_id: c.id, to_goal_id: r.data.goal.id, name: c.name, user_id: c.user_id, action_plans: r.data.action_plans.length });
+        }
+        return { carried, skipped };
+      });
+
+      res.json({ data: { dry_run: false, from_year: fromYear, to_year: fromYear + 1, ...out } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/team-settings
+  router.get('/leader/team-settings', authenticate, requireLeader, async (req, res) => {
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    try {
+      res.json({ data: await loadTeamSettings(scope) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // PUT /leader/team-settings
+  // Body: { max_deadline_changes?: number | null, reminder_enabled?: boolean, reminder_cron?: string | null, reminder_timezone?: string | null }
+  // A null max_deadline_changes falls back to MAX_DEADLINE_CHANGES, a null reminder_cron/reminder_timezone to
+  // WEEKLY_REMINDER_CRON / WEEKLY_REMINDER_TIMEZONE.
+  router.put('/leader/team-settings', authenticate, requireLeader, async (req, res) => {
+    const { max_deadline_changes, reminder_enabled, reminder_cron, reminder_timezone } = req.body || {};
+    const updates = {};
+    if (max_deadline_changes === null) {
+      updates.max_deadline_changes = null;
+    } else if (typeof max_deadline_changes !== 'undefined') {
+      const n = Number(max_deadline_changes);
+      if (!Number.isInteger(n) || n < 0 || n > 50) return res.status(400).json({ error: 'max_deadline_changes must be an integer between 0 and 50' });
+      updates.max_deadline_changes = n;
+    }
+    if (typeof reminder_enabled !== 'undefined') {
+      if (typeof reminder_enabled !== 'boolean') return res.status(400).json({ error: 'reminder_enabled must be a boolean' });
+      updates.reminder_enabled = reminder_enabled ? 1 : 0;
+    }
+    if (typeof reminder_cron !== 'undefined') {
+      if (reminder_cron !== null && !(isValidCron(reminder_cron) && reminder_cron.length <= 64)) {
+        return res.status(400).json({ error: 'reminder_cron must be a valid cron expression (e.g. "0 15 * * 5") or null' });
+      }
+      updates.reminder_cron = reminder_cron;
+    }
+    if (typeof reminder_timezone !== 'undefined') {
+      if (reminder_timezone !== null && !isValidTimeZone(reminder_timezone)) {
+        return res.status(400).json({ error: 'reminder_timezone must be an IANA timezone (e.g. "Asia/Bangkok") or null' });
+      }
+      updates.reminder_timezone = reminder_timezone;
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'No updatable settings provided' });
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    try {
+      const upd = buildUpdate('teams', updates, 'where id = ?', [scope.teamId]);
+      await q(upd.sql, upd.params);
+      res.json({ data: await loadTeamSettings(scope) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/reminder-runs?limit=20 (most recent weekly-report reminder runs for the team)
+  router.get('/leader/reminder-runs', authenticate, requireLeader, async (req, res) => {
+    const limit = Math.max(1, Math.min(100, Math.trunc(Number(req.query.limit || 20)) || 20));
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    try {
+      const rows = await q(
+        `
+          select id, scheduled_for, status, range_from, range_to, plans_missing, members_notified, error, started_at, finished_at, attempts, reclaimed_at
+          from weekly_report_reminder_runs
+          where team_id = ?
+          order by scheduled_for desc
+          limit ?
+        `,
+        [scope.teamId, limit]
+      );
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,818 @@
+import express from 'express';
+import { verifyCognito, requireManager } from '../middleware/verifyCognito.js';
+import { LOG_TIMINGS, nowMs, isValidDateOnly, toDateOnly, parseDateOnly, startOfWeekMonday, weekKey, chunk, bucketProgress } from '../lib/util.js';
+import { computeMemberInsights } from '../lib/insights.js';
+import { exportFormatOf, sendExport, weeklyMatrixRows } from '../lib/export.js';
+import { parseListParams, finishPage } from '../lib/pagination.js';
+
+const USER_LIST = {
+  sorts: {
+    name: { sql: "coalesce(u.name, '')", field: 'name', nullAs: '' },
+    email: { sql: "coalesce(u.email, '')", field: 'email', nullAs: '' },
+    team: { sql: "coalesce(t.name, '')", field: 'team_name', nullAs: '' },
+  },
+  defaultSort: 'name,email',
+  tieBreaker: { sql: 'u.id', field: 'id' },
+  defaultLimit: 500,
+  maxLimit: 1000,
+};
+
+// Manager APIs (org-wide read-only dashboard).
+export function createManagerRouter({ db, authenticate = verifyCognito }) {
+  const router = express.Router();
+  const { q, q1 } = db;
+
+  // GET /manager/teams (org-wide)
+  router.get('/manager/teams', authenticate, requireManager, async (req, res) => {
+    try {
+      const rows = await q(
+        `
+          select id, name
+          from teams
+          order by name asc
+        `
+      );
+      res.json({ data: Array.isArray(rows) ? rows : [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /manager/users?team_id=<uuid>&sort=team,name&limit=500&cursor=<next_cursor>
+  router.get('/manager/users', authenticate, requireManager, async (req, res) => {
+    const { team_id } = req.query;
+    const page = parseListParams(req.query, USER_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+    const teamId = typeof team_id === 'string' && team_id.trim() ? team_id.trim() : null;
+
+    try {
+      const params = [];
+      let where = 'where 1 = 1';
+      if (teamId) {
+        where += ' and u.team_id = ?';
+        params.push(teamId);
+      }
+
+      const rows = await q(
+        `
+          select
+            u.id,
+            u.email,
+            u.name,
+            u.team_id,
+            u.role,
+            t.name as team_name
+          from users u
+          left join teams t on t.id = u.team_id
+          ${where}
+          ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [...params, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(`select count(*) as total from users u ${where}`, params);
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+
+      const shaped =
+        pageRows.map((u) => ({
+          id: u.id,
+          email: u.email ?? null,
+          name: u.name ?? null,
+          team_id: u.team_id ?? null,
+          team_name: u.team_name ?? null,
+          role: u.role ?? null,
+        })) || [];
+
+      res.json({ data: shaped, page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /manager/member-insights?year=2025&user_id=<uuid>&weeks=8
+  router.get('/manager/member-insights', authenticate, requireManager, async (req, res) => {
+    const { year, user_id, weeks } = req.query;
+    const targetYear = Number(year);
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+    if (typeof user_id !== 'string' || !user_id.trim()) return res.status(400).json({ error: 'Query param "user_id" is required' });
+    const userId = user_id.trim();
+    const lookbackWeeks = Math.max(1, Math.min(26, Number(weeks || 8)));
+
+    try {
+      const data = await computeMemberInsights(db, { userId, targetYear, lookbackWeeks });
+      res.json({ data: { user_id: userId, year: targetYear, ...data } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // --- Manager overview / summary / trends ---
+
+  // GET /manager/overview?year=2025&team_id=<uuid>&weeks=8&format=json|csv|xlsx
+  router.get('/manager/overview', authenticate, requireManager, async (req, res) => {
+    const { year, team_id, weeks } = req.query;
+    const targetYear = Number(year);
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+    const fmt = exportFormatOf(req);
+    if (!fmt) return res.status(400).json({ error: 'format must be json, csv or xlsx' });
+    const lookbackWeeks = Math.max(1, Math.min(26, Number(weeks || 8)));
+    const teamId = typeof team_id === 'string' && team_id.trim() ? team_id.trim() : null;
+
+    const now = new Date();
+    const thisWeekStart = startOfWeekMonday(now);
+    const from = new Date(thisWeekStart);
+    from.setDate(from.getDate() - (lookbackWeeks - 1) * 7);
+    const fromStr = toDateOnly(from);
+    const toStr = toDateOnly(now);
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    try {
+      const teams = await q(`select id, name from teams order by name asc`, []);
+      const users = await q(teamId ? `select id, team_id, role from users where team_id = ?` : `select id, team_id, role from users`, teamId ? [teamId] : []);
+
+      const userTeam = new Map((users || []).map((u) => [u.id, u.team_id || null]));
+      const membersTotalByTeam = new Map();
+      for (const u of users || []) {
+        const tid = u.team_id || null;
+        if (!tid) continue;
+        membersTotalByTeam.set(tid, (membersTotalByTeam.get(tid) || 0) + 1);
+      }
+
+      const initTeamAgg = () => ({
+        members_total: 0,
+        members_with_goal: 0,
+        goals_total: 0,
+        goals_review: { approved: 0, pending: 0 },
+        progress_avg: 0,
+        progress_buckets: { '0_24': 0, '25_49': 0, '50_74': 0, '75_99': 0, '100': 0 },
+        action_plans: { total: 0, overdue: 0, completed: 0, completed_with_evidence: 0, evidence_rate: 0 },
+        weekly_reports: { reports_in_window: 0, active_members_this_week: 0, active_rate_this_week: 0 },
+        verifications: { pending: 0, reviewed: 0 },
+        progress_delta: null,
+      });
+
+      const teamAgg = new Map();
+      for (const t of teams || []) {
+        if (teamId && t.id !== teamId) continue;
+        teamAgg.set(t.id, initTeamAgg());
+      }
+      for (const [tid, c] of membersTotalByTeam.entries()) {
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        teamAgg.get(tid).members_total = c;
+      }
+
+      const goalsRaw = await q(
+        `
+          select g.id, g.user_id, g.progress, g.review_status, u.team_id as team_id
+          from goals g
+          join users u on u.id = g.user_id
+          where g.year = ?
+            and g.deleted_at is null
+            and g.carried_over_to is null
+          ${teamId ? 'and u.team_id = ?' : ''}
+        `,
+        teamId ? [targetYear, teamId] : [targetYear]
+      );
+
+      const goals = (goalsRaw || []).map((g) => ({
+        id: g.id,
+        user_id: g.user_id,
+        progress: Number(g.progress || 0),
+        review_status: g.review_status || null,
+        team_id: g.team_id ?? userTeam.get(g.user_id) ?? null,
+      }));
+
+      const memberHasGoal = new Set();
+      const goalsByTeam = new Map();
+      for (const g of goals) {
+        const tid = g.team_id;
+        if (!tid) continue;
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        const agg = teamAgg.get(tid);
+        agg.goals_total += 1;
+        if (g.review_status === 'Approved') agg.goals_review.approved += 1;
+        if (!g.review_status || g.review_status === 'Pending') agg.goals_review.pending += 1;
+        agg.progress_buckets[bucketProgress(g.progress)] += 1;
+
+        const key = `${tid}:${g.user_id}`;
+        if (!memberHasGoal.has(key)) memberHasGoal.add(key);
+        if (!goalsByTeam.has(tid)) goalsByTeam.set(tid, []);
+        goalsByTeam.get(tid).push(g);
+      }
+      for (const k of memberHasGoal.values()) {
+        const [tid] = k.split(':');
+        if (teamAgg.has(tid)) teamAgg.get(tid).members_with_goal += 1;
+      }
+      for (const [tid, list] of goalsByTeam.entries()) {
+        const agg = teamAgg.get(tid);
+        if (!agg) continue;
+        const sum = list.reduce((s, g) => s + Number(g.progress || 0), 0);
+        agg.progress_avg = list.length ? Number((sum / list.length).toFixed(2)) : 0;
+      }
+
+      const goalIds = goals.map((g) => g.id).filter(Boolean);
+
+      const plansRaw = await q(
+        `
+          select ap.id, ap.goal_id, ap.status, ap.end_date, ap.evidence_link, g.user_id, u.team_id as team_id
+          from action_plans ap
+          join goals g on g.id = ap.goal_id
+          join users u on u.id = g.user_id
+          where g.year = ?
+            and g.deleted_at is null
+            and g.carried_over_to is null
+            and ap.deleted_at is null
+          ${teamId ? 'and u.team_id = ?' : ''}
+        `,
+        teamId ? [targetYear, teamId] : [targetYear]
+      );
+
+      const todayStart = new Date(now);
+      todayStart.setHours(0, 0, 0, 0);
+
+      for (const p of plansRaw || []) {
+        const tid = p.team_id ?? null;
+        if (!tid) continue;
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        const agg = teamAgg.get(tid);
+        agg.action_plans.total += 1;
+        if (p.status === 'Completed') agg.action_plans.completed += 1;
+        const ev = typeof p.evidence_link === 'string' ? p.evidence_link.trim() : '';
+        if (p.status === 'Completed' && ev) agg.action_plans.completed_with_evidence += 1;
+        if (p.end_date && p.status !== 'Completed') {
+          const end = parseDateOnly(p.end_date);
+          if (!Number.isNaN(end.getTime()) && end.getTime() < todayStart.getTime()) agg.action_plans.overdue += 1;
+        }
+      }
+      for (const agg of teamAgg.values()) {
+        agg.action_plans.evidence_rate =
+          agg.action_plans.completed > 0 ? Number((agg.action_plans.completed_with_evidence / agg.action_plans.completed).toFixed(4)) : 0;
+      }
+
+      const reportsRows = await q(
+        `
+          select wr.goal_id, wr.date, g.user_id, u.team_id as team_id
+          from weekly_reports wr
+          join goals g on g.id = wr.goal_id
+          join users u on u.id = g.user_id
+          where g.year = ?
+            and g.deleted_at is null
+            and wr.deleted_at is null
+            and wr.date >= ?
+            and wr.date <= ?
+            ${teamId ? 'and u.team_id = ?' : ''}
+        `,
+        teamId ? [targetYear, fromStr, toStr, teamId] : [targetYear, fromStr, toStr]
+      );
+
+      const activeUsersThisWeekByTeam = new Map();
+      const reportsByWeekByTeam = new Map();
+      for (const r of reportsRows || []) {
+        const uid = r.user_id ?? null;
+        const tid = r.team_id ?? null;
+        if (!uid || !tid) continue;
+        const dateOnly = typeof r.date === 'string' ? r.date.slice(0, 10) : null;
+        if (!isValidDateOnly(dateOnly)) continue;
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        teamAgg.get(tid).weekly_reports.reports_in_window += 1;
+
+        if (dateOnly >= toDateOnly(thisWeekStart)) {
+          const set = activeUsersThisWeekByTeam.get(tid) || new Set();
+          set.add(uid);
+          activeUsersThisWeekByTeam.set(tid, set);
+        }
+
+        const wk = weekKey(parseDateOnly(dateOnly));
+        if (!reportsByWeekByTeam.has(tid)) reportsByWeekByTeam.set(tid, new Map());
+        const m = reportsByWeekByTeam.get(tid);
+        if (!m.has(wk)) m.set(wk, new Set());
+        m.get(wk).add(uid);
+      }
+
+      for (const [tid, set] of activeUsersThisWeekByTeam.entries()) {
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        const agg = teamAgg.get(tid);
+        agg.weekly_reports.active_members_this_week = set.size;
+        agg.weekly_reports.active_rate_this_week = agg.members_total > 0 ? Number((set.size / agg.members_total).toFixed(4)) : 0;
+      }
+
+      const vrs = await q(
+        `
+          select vr.status, g.user_id, u.team_id as team_id
+          from verification_requests vr
+          join goals g on g.id = vr.goal_id
+          join users u on u.id = g.user_id
+          where g.year = ?
+            and g.deleted_at is null
+          ${teamId ? 'and u.team_id = ?' : ''}
+        `,
+        teamId ? [targetYear, teamId] : [targetYear]
+      );
+
+      for (const vr of vrs || []) {
+        const tid = vr.team_id ?? null;
+        if (!tid) continue;
+        if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+        const agg = teamAgg.get(tid);
+        if (vr.status === 'Reviewed') agg.verifications.reviewed += 1;
+        else agg.verifications.pending += 1;
+      }
+
+      try {
+        if (goalIds.length > 0) {
+          const prevCutoff = new Date(thisWeekStart);
+          prevCutoff.setMilliseconds(prevCutoff.getMilliseconds() - 1);
+          const historyFrom = new Date(prevCutoff);
+          historyFrom.setDate(historyFrom.getDate() - 14);
+
+          const hist = await q(
+            `
+              select goal_id, progress, recorded_at
+              from goal_progress_history
+              where goal_id in (?)
+                and recorded_at >= ?
+                and recorded_at <= ?
+              order by recorded_at desc
+            `,
+            [goalIds, historyFrom.toISOString(), now.toISOString()]
+          );
+
+          const cur = new Map();
+          const prev = new Map();
+          for (const row of hist || []) {
+            const gid = row.goal_id;
+            if (!gid) continue;
+            const recAt = row.recorded_at ? new Date(row.recorded_at) : null;
+            if (!recAt || Number.isNaN(recAt.getTime())) continue;
+            const p = Number(row.progress || 0);
+            if (!cur.has(gid)) cur.set(gid, p);
+            if (!prev.has(gid) && recAt.getTime() <= prevCutoff.getTime()) prev.set(gid, p);
+            if (cur.size === goalIds.length && prev.size === goalIds.length) break;
+          }
+
+          const deltaSumByTeam = new Map();
+          const deltaCountByTeam = new Map();
+          for (const g of goals) {
+            const tid = g.team_id;
+            if (!tid) continue;
+            const curP = cur.has(g.id) ? cur.get(g.id) : g.progress;
+            const prevP = prev.has(g.id) ? prev.get(g.id) : curP;
+            const d = Number(curP) - Number(prevP);
+            deltaSumByTeam.set(tid, (deltaSumByTeam.get(tid) || 0) + d);
+            deltaCountByTeam.set(tid, (deltaCountByTeam.get(tid) || 0) + 1);
+          }
+          for (const [tid, sum] of deltaSumByTeam.entries()) {
+            const cnt = deltaCountByTeam.get(tid) || 0;
+            if (!teamAgg.has(tid)) teamAgg.set(tid, initTeamAgg());
+            teamAgg.get(tid).progress_delta = cnt ? Number((sum / cnt).toFixed(2)) : 0;
+          }
+        }
+      } catch {
+        // ignore
+      }
+
+      const weeksSeries = [];
+      for (let i = lookbackWeeks - 1; i >= 0; i--) {
+        const d = new Date(thisWeekStart);
+        d.setDate(d.getDate() - i * 7);
+        const wk = weekKey(d);
+        if (teamId) {
+          const m = reportsByWeekByTeam.get(teamId) || new Map();
+          const set = m.get(wk) || new Set();
+          const mt = teamAgg.get(teamId)?.members_total || 0;
+          weeksSeries.push({ week: wk, active_members: set.size, active_rate: mt > 0 ? Number((set.size / mt).toFixed(4)) : 0 });
+        } else {
+          let active = 0;
+          let totalMembers = 0;
+          for (const [tid, agg] of teamAgg.entries()) {
+            totalMembers += agg.members_total || 0;
+            const m = reportsByWeekByTeam.get(tid) || new Map();
+            const set = m.get(wk) || new Set();
+            active += set.size;
+          }
+          weeksSeries.push({ week: wk, active_members: active, active_rate: totalMembers > 0 ? Number((active / totalMembers).toFixed(4)) : 0 });
+        }
+      }
+
+      const perTeam = (teams || [])
+        .filter((t) => (teamId ? t.id === teamId : true))
+        .map((t) => ({ team_id: t.id, team_name: t.name, ...teamAgg.get(t.id) }));
+
+      const org = initTeamAgg();
+      let orgProgressSum = 0;
+      let orgGoalsCount = 0;
+      for (const row of perTeam) {
+        org.members_total += row.members_total || 0;
+        org.members_with_goal += row.members_with_goal || 0;
+        org.goals_total += row.goals_total || 0;
+        org.goals_review.approved += row.goals_review?.approved || 0;
+        org.goals_review.pending += row.goals_review?.pending || 0;
+        org.action_plans.total += row.action_plans?.total || 0;
+        org.action_plans.overdue += row.action_plans?.overdue || 0;
+        org.action_plans.completed += row.action_plans?.completed || 0;
+        org.action_plans.completed_with_evidence += row.action_plans?.completed_with_evidence || 0;
+        org.weekly_reports.reports_in_window += row.weekly_reports?.reports_in_window || 0;
+        org.weekly_reports.active_members_this_week += row.weekly_reports?.active_members_this_week || 0;
+        org.verifications.pending += row.verifications?.pending || 0;
+        org.verifications.reviewed += row.verifications?.reviewed || 0;
+        org.progress_buckets['0_24'] += row.progress_buckets?.['0_24'] || 0;
+        org.progress_buckets['25_49'] += row.progress_buckets?.['25_49'] || 0;
+        org.progress_buckets['50_74'] += row.progress_buckets?.['50_74'] || 0;
+        org.progress_buckets['75_99'] += row.progress_buckets?.['75_99'] || 0;
+        org.progress_buckets['100'] += row.progress_buckets?.['100'] || 0;
+        orgProgressSum += (row.progress_avg || 0) * (row.goals_total || 0);
+        orgGoalsCount += row.goals_total || 0;
+      }
+      org.progress_avg = orgGoalsCount ? Number((orgProgressSum / orgGoalsCount).toFixed(2)) : 0;
+      org.action_plans.evidence_rate =
+        org.action_plans.completed > 0 ? Number((org.action_plans.completed_with_evidence / org.action_plans.completed).toFixed(4)) : 0;
+      org.weekly_reports.active_rate_this_week =
+        org.members_total > 0 ? Number((org.weekly_reports.active_members_this_week / org.members_total).toFixed(4)) : 0;
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /manager/overview (mysql) (${ms.toFixed(1)}ms) goals=${goals.length} reports=${(reportsRows || []).length}`);
+      }
+
+      if (fmt !== 'json') {
+        return await sendExport(req, res, fmt, {
+          filename: `overview-${targetYear}`,
+          sheets: [
+            { name: 'Teams', rows: [{ team_id: null, team_name: 'All teams', ...org }, ...perTeam] },
+            { name: 'Weekly activity', rows: weeksSeries },
+          ],
+        });
+      }
+
+      res.json({
+        data: {
+          year: targetYear,
+          team_id: teamId,
+          window: { from: fromStr, to: toStr, weeks: lookbackWeeks },
+          org,
+          per_team: perTeam,
+          trends: { weeks: weeksSeries },
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /manager/team-members/summary?year=2025&team_id=<uuid>&weeks=8&format=json|csv|xlsx
+  router.get('/manager/team-members/summary', authenticate, requireManager, async (req, res) => {
+    const { year, team_id, weeks } = req.query;
+    const targetYear = Number(year);
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+    const teamId = typeof team_id === 'string' && team_id.trim() ? team_id.trim() : null;
+    if (!teamId) return res.status(400).json({ error: 'Query param "team_id" is required' });
+    const fmt = exportFormatOf(req);
+    if (!fmt) return res.status(400).json({ error: 'format must be json, csv or xlsx' });
+    const send = (data) =>
+      fmt === 'json'
+        ? res.json({ data })
+        : sendExport(req, res, fmt, { filename: `team-members-summary-${data.team_name || teamId}-${targetYear}`, sheets: [{ name: 'Members', rows: data.members }] });
+
+    const lookbackWeeks = Math.max(1, Math.min(26, Number(weeks || 8)));
+    const now = new Date();
+    const thisWeekStart = startOfWeekMonday(now);
+    const from = new Date(thisWeekStart);
+    from.setDate(from.getDate() - (lookbackWeeks - 1) * 7);
+    const fromStr = toDateOnly(from);
+    const toStr = toDateOnly(now);
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+
+    const users = await q(
+      `
+        select u.id, u.email, u.name, u.team_id, t.name as team_name
+        from users u
+        left join teams t on t.id = u.team_id
+        where u.team_id = ?
+        order by u.name asc, u.email asc
+      `,
+      [teamId]
+    );
+    const memberIds = (users || []).map((u) => u.id).filter(Boolean);
+    const teamName = users?.[0]?.team_name ?? null;
+    if (memberIds.length === 0) {
+      return send({
+        year: targetYear,
+        team_id: teamId,
+        team_name: teamName,
+        window: { from: fromStr, to: toStr, weeks: lookbackWeeks },
+        members: [],
+        top: { progress_delta: [], evidence_rate: [], overdue_plans: [], activity_streak: [] },
+      });
+    }
+
+    const members = new Map();
+    for (const u of users || []) {
+      members.set(u.id, {
+        user_id: u.id,
+        name: u.name ?? null,
+        email: u.email ?? null,
+        team_id: teamId,
+        team_name: teamName,
+        goals: { total: 0, approved: 0, pending: 0, progress_avg: 0, progress_sum: 0 },
+        progress_delta: null,
+        action_plans: { total: 0, overdue: 0, completed: 0, completed_with_evidence: 0, evidence_rate: 0 },
+        weekly_reports: { reports_in_window: 0, weeks_with_activity: 0, streak_weeks: 0 },
+        verifications: { pending: 0, reviewed: 0 },
+      });
+    }
+
+    const goals = await q(`select id, user_id, progress, review_status from goals where year = ? and user_id in (?) and deleted_at is null and carried_over_to is null`, [targetYear, memberIds]);
+    const goalIds = (goals || []).map((g) => g.id).filter(Boolean);
+    for (const g of goals || []) {
+      const m = members.get(g.user_id);
+      if (!m) continue;
+      m.goals.total += 1;
+      const rs = g.review_status || null;
+      if (rs === 'Approved') m.goals.approved += 1;
+      if (!rs || rs === 'Pending') m.goals.pending += 1;
+      const p = Number(g.progress || 0);
+      m.goals.progress_sum += p;
+    }
+    for (const m of members.values()) {
+      m.goals.progress_avg = m.goals.total ? Number((m.goals.progress_sum / m.goals.total).toFixed(2)) : 0;
+    }
+
+    const plans = await q(
+      `
+        select ap.id, ap.goal_id, ap.status, ap.end_date, ap.evidence_link, g.user_id
+        from action_plans ap
+        join goals g on g.id = ap.goal_id
+        where g.year = ?
+          and g.user_id in (?)
+          and g.deleted_at is null
+          and g.carried_over_to is null
+          and ap.deleted_at is null
+      `,
+      [targetYear, memberIds]
+    );
+
+    const todayStart = new Date(now);
+    todayStart.setHours(0, 0, 0, 0);
+    for (const p of plans || []) {
+      const uid = p.user_id ?? null;
+      const m = uid ? members.get(uid) : null;
+      if (!m) continue;
+      m.action_plans.total += 1;
+      if (p.status === 'Completed') m.action_plans.completed += 1;
+      const ev = typeof p.evidence_link === 'string' ? p.evidence_link.trim() : '';
+      if (p.status === 'Completed' && ev) m.action_plans.completed_with_evidence += 1;
+      if (p.end_date && p.status !== 'Completed') {
+        const end = parseDateOnly(p.end_date);
+        if (!Number.isNaN(end.getTime()) && end.getTime() < todayStart.getTime()) m.action_plans.overdue += 1;
+      }
+    }
+    for (const m of members.values()) {
+      m.action_plans.evidence_rate = m.action_plans.completed > 0 ? Number((m.action_plans.completed_with_evidence / m.action_plans.completed).toFixed(4)) : 0;
+    }
+
+    const reports = await q(
+      `
+        select wr.goal_id, wr.date, g.user_id
+        from weekly_reports wr
+        join goals g on g.id = wr.goal_id
+        where g.year = ?
+          and g.user_id in (?)
+          and g.deleted_at is null
+          and wr.deleted_at is null
+          and wr.date >= ?
+          and wr.date <= ?
+      `,
+      [targetYear, memberIds, fromStr, toStr]
+    );
+    const weeksWithActivityByUser = new Map();
+    for (const r of reports || []) {
+      const uid = r.user_id ?? null;
+      if (!uid) continue;
+      const m = members.get(uid);
+      if (!m) continue;
+      m.weekly_reports.reports_in_window += 1;
+      const dateOnly = typeof r.date === 'string' ? r.date.slice(0, 10) : null;
+      if (!isValidDateOnly(dateOnly)) continue;
+      const wk = weekKey(parseDateOnly(dateOnly));
+      if (!weeksWithActivityByUser.has(uid)) weeksWithActivityByUser.set(uid, new Set());
+      weeksWithActivityByUser.get(uid).add(wk);
+    }
+
+    for (const [uid, set] of weeksWithActivityByUser.entries()) {
+      const m = members.get(uid);
+      if (!m) continue;
+      m.weekly_reports.weeks_with_activity = set.size;
+      let streakWeeks = 0;
+      for (let i = 0; i < lookbackWeeks; i++) {
+        const d = new Date(thisWeekStart);
+        d.setDate(d.getDate() - i * 7);
+        if (set.has(weekKey(d))) streakWeeks += 1;
+        else break;
+      }
+      m.weekly_reports.streak_weeks = streakWeeks;
+    }
+
+    const vrs = await q(
+      `
+        select vr.status, vr.requester_id
+        from verification_requests vr
+        join goals g on g.id = vr.goal_id
+        where g.year = ?
+          and g.deleted_at is null
+          and vr.requester_id in (?)
+      `,
+      [targetYear, memberIds]
+    );
+    for (const vr of vrs || []) {
+      const m = members.get(vr.requester_id);
+      if (!m) continue;
+      if (vr.status === 'Reviewed') m.verifications.reviewed += 1;
+      else m.verifications.pending += 1;
+    }
+
+    try {
+      if (goalIds.length > 0) {
+        const prevCutoff = new Date(thisWeekStart);
+        prevCutoff.setMilliseconds(prevCutoff.getMilliseconds() - 1);
+        const historyFrom = new Date(prevCutoff);
+        historyFrom.setDate(historyFrom.getDate() - 14);
+        const hist = await q(
+          `
+            select goal_id, progress, recorded_at
+            from goal_progress_history
+            where goal_id in (?)
+              and recorded_at >= ?
+              and recorded_at <= ?
+            order by recorded_at desc
+          `,
+          [goalIds, historyFrom.toISOString(), now.toISOString()]
+        );
+        const cur = new Map();
+        const prev = new Map();
+        for (const row of hist || []) {
+          const gid = row.goal_id;
+          if (!gid) continue;
+          const recAt = row.recorded_at ? new Date(row.recorded_at) : null;
+          if (!recAt || Number.isNaN(recAt.getTime())) continue;
+          const p = Number(row.progress || 0);
+          if (!cur.has(gid)) cur.set(gid, p);
+          if (!prev.has(gid) && recAt.getTime() <= prevCutoff.getTime()) prev.set(gid, p);
+        }
+        const goalById = new Map((goals || []).map((g) => [g.id, g]));
+        const sumByUser = new Map();
+        const cntByUser = new Map();
+        for (const gid of goalIds) {
+          const g = goalById.get(gid);
+          if (!g) continue;
+          const uid = g.user_id;
+          const curP = cur.has(gid) ? cur.get(gid) : Number(g.progress || 0);
+          const prevP = prev.has(gid) ? prev.get(gid) : curP;
+          const d = Number(curP) - Number(prevP);
+          sumByUser.set(uid, (sumByUser.get(uid) || 0) + d);
+          cntByUser.set(uid, (cntByUser.get(uid) || 0) + 1);
+        }
+        for (const [uid, sum] of sumByUser.entries()) {
+          const cnt = cntByUser.get(uid) || 0;
+          const m = members.get(uid);
+          if (!m) continue;
+          m.progress_delta = cnt ? Number((sum / cnt).toFixed(2)) : 0;
+        }
+      }
+    } catch {
+      // ignore
+    }
+
+    const list = Array.from(members.values());
+    const topN = (arr, keyFn, desc = true, n = 5) =>
+      [...arr]
+        .sort((a, b) => {
+          const av = keyFn(a);
+          const bv = keyFn(b);
+          const ax = typeof av === 'number' ? av : -Infinity;
+          const bx = typeof bv === 'number' ? bv : -Infinity;
+          return desc ? bx - ax : ax - bx;
+        })
+        .slice(0, n);
+
+    if (LOG_TIMINGS) {
+      const ms = nowMs() - t0;
+      console.log('[DB]', `GET /manager/team-members/summary (mysql) (${ms.toFixed(1)}ms) users=${memberIds.length} goals=${goalIds.length}`);
+    }
+
+    return send({
+      year: targetYear,
+      team_id: teamId,
+      team_name: teamName,
+      window: { from: fromStr, to: toStr, weeks: lookbackWeeks },
+      members: list,
+      top: {
+        progress_delta: topN(list, (m) => (typeof m.progress_delta === 'number' ? m.progress_delta : -Infinity), true),
+        evidence_rate: topN(list, (m) => m.action_plans.evidence_rate, true),
+        overdue_plans: topN(list, (m) => m.action_plans.overdue, true),
+        activity_streak: topN(list, (m) => m.weekly_reports.streak_weeks, true),
+      },
+      bottom: {
+        progress_delta: topN(list, (m) => (typeof m.progress_delta === 'number' ? m.progress_delta : Infinity), false),
+      },
+    });
+  });
+
+  // GET /manager/team-members/trends?year=2025&team_id=<uuid>&weeks=8&format=json|csv|xlsx
+  router.get('/manager/team-members/trends', authenticate, requireManager, async (req, res) => {
+    const { year, team_id, weeks } = req.query;
+    const targetYear = Number(year);
+    if (!targetYear || Number.isNaN(targetYear)) return res.status(400).json({ error: 'Query param "year" is required (number)' });
+    const teamId = typeof team_id === 'string' && team_id.trim() ? team_id.trim() : null;
+    if (!teamId) return res.status(400).json({ error: 'Query param "team_id" is required' });
+    const fmt = exportFormatOf(req);
+    if (!fmt) return res.status(400).json({ error: 'format must be json, csv or xlsx' });
+    const send = (data) =>
+      fmt === 'json'
+        ? res.json({ data })
+        : sendExport(req, res, fmt, {
+            filename: `team-members-trends-${data.team_name || teamId}-${targetYear}`,
+            sheets: [{ name: 'Weekly reports', rows: weeklyMatrixRows(data.weeks, data.members, 'reports_by_week') }],
+          });
+
+    const lookbackWeeks = Math.max(1, Math.min(26, Number(weeks || 8)));
+    const now = new Date();
+    const thisWeekStart = startOfWeekMonday(now);
+    const from = new Date(thisWeekStart);
+    from.setDate(from.getDate() - (lookbackWeeks - 1) * 7);
+    const fromStr = toDateOnly(from);
+    const toStr = toDateOnly(now);
+
+    const weeksAxis = [];
+    for (let i = lookbackWeeks - 1; i >= 0; i--) {
+      const d = new Date(thisWeekStart);
+      d.setDate(d.getDate() - i * 7);
+      weeksAxis.push(weekKey(d));
+    }
+    const weekIndex = new Map(weeksAxis.map((w, i) => [w, i]));
+
+    const users = await q(
+      `
+        select u.id, u.email, u.name, u.team_id, t.name as team_name
+        from users u
+        left join teams t on t.id = u.team_id
+        where u.team_id = ?
+        order by u.name asc, u.email asc
+      `,
+      [teamId]
+    );
+    const memberIds = (users || []).map((u) => u.id).filter(Boolean);
+    const teamName = users?.[0]?.team_name ?? null;
+
+    if (memberIds.length === 0) {
+      return send({ year: targetYear, team_id: teamId, team_name: teamName, window: { from: fromStr, to: toStr, weeks: lookbackWeeks }, weeks: weeksAxis, members: [] });
+    }
+
+    const seriesByUser = new Map();
+    for (const u of users || []) {
+      seriesByUser.set(u.id, { user_id: u.id, name: u.name ?? null, email: u.email ?? null, reports_by_week: Array(weeksAxis.length).fill(0) });
+    }
+
+    for (const batch of chunk(memberIds, 200)) {
+      const rows = await q(
+        `
+          select wr.date, g.user_id
+          from weekly_reports wr
+          join goals g on g.id = wr.goal_id
+          where g.year = ?
+            and g.user_id in (?)
+            and g.deleted_at is null
+            and wr.deleted_at is null
+            and wr.date >= ?
+            and wr.date <= ?
+        `,
+        [targetYear, batch, fromStr, toStr]
+      );
+      for (const r of rows || []) {
+        const uid = r.user_id ?? null;
+        if (!uid) continue;
+        const dateOnly = typeof r.date === 'string' ? r.date.slice(0, 10) : null;
+        if (!isValidDateOnly(dateOnly)) continue;
+        const wk = weekKey(parseDateOnly(dateOnly));
+        const idx = weekIndex.get(wk);
+        if (typeof idx !== 'number') continue;
+        const s = seriesByUser.get(uid);
+        if (!s) continue;
+        s.reports_by_week[idx] += 1;
+      }
+    }
+
+    return send({
+      year: targetYear,
+      team_id: teamId,
+      team_name: teamName,
+      window: { from: fromStr, to: toStr, weeks: lookbackWeeks },
+      weeks: weeksAxis,
+      members: Array.from(seriesByUser.values()),
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,703 @@
+import express from 'express';
+import crypto from 'node:crypto';
+import { verifyCognito } from '../middleware/verifyCognito.js';
+import { buildInsert, buildVersionedUpdate, hydrateRow, hydrateRows } from '../lib/sql.js';
+import { isLeaderUser, requestRole } from '../lib/roles.js';
+import { LOG_TIMINGS, nowMs, isValidDateOnly } from '../lib/util.js';
+import { assertCanAccessGoal, assertCanAccessActionPlan, assertCanAccessWeeklyReport } from '../lib/access.js';
+import { goalSchema, actionPlanSchema, weeklyReportSchema, validateBody, sendValidationError } from '../lib/schemas.js';
+import { recordGoalProgressChange, applyGoalReviewAction } from '../lib/goalHistory.js';
+import { submitDeadlineChange } from '../lib/deadlineRequests.js';
+import { getLatestVerificationSummaryByGoalIds, attachVerificationSummaryToGoals } from '../lib/verificationSummary.js';
+import { setEtag, matchesIfMatch, sendPreconditionFailed } from '../lib/versioning.js';
+import { RESTORE_RETENTION_DAYS, restorableUntil, softDeleteGoal, softDeleteActionPlan, softDeleteWeeklyReport, restoreGoal } from '../lib/trash.js';
+import { carryOverGoal } from '../lib/carryOver.js';
+import { parseListParams, finishPage } from '../lib/pagination.js';
+
+const WEEKLY_REPORT_LIST = {
+  sorts: {
+    date: { sql: 'date', field: 'date' },
+    created_at: { sql: 'created_at', field: 'created_at' },
+    updated_at: { sql: 'updated_at', field: 'updated_at' },
+  },
+  defaultSort: '-date',
+  tieBreaker: { sql: 'id', field: 'id' },
+  defaultLimit: 20,
+  maxLimit: 100,
+};
+
+// Member APIs: own goals, action plans, weekly reports and deadline-change requests.
+// Leaders reach some of these for their team's records; lib/access.js enforces the scope.
+export function createMemberRouter({ db, authenticate = verifyCognito, events }) {
+  const router = express.Router();
+  const { q, q1, withTransaction } = db;
+
+  router.post('/goals', authenticate, async (req, res) => {
+    const v = validateBody(goalSchema, req.body ?? {}, { mode: 'create', role: 'member' });
+    if (!v.ok) return sendValidationError(res, v.errors);
+
+    try {
+      const goal = { ...v.value, user_id: req.user.sub };
+      if (!goal.id) goal.id = crypto.randomUUID();
+      const ins = buildInsert('goals', goal);
+      await q(ins.sql, ins.params);
+      const data = hydrateRow(await q1(`select * from goals where id = ? limit 1`, [goal.id]));
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/goals', authenticate, async (req, res) => {
+    const userId = req.user.sub;
+    try {
+      const rows = hydrateRows(await q(`select * from goals where user_id = ? and deleted_at is null`, [userId]));
+      const goalIds = (rows || []).map((g) => g.id);
+      const vmap = await getLatestVerificationSummaryByGoalIds(db, goalIds);
+      const shaped = attachVerificationSummaryToGoals(rows || [], vmap);
+      res.json({ data: shaped });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.put('/goals/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.sub;
+    const { user_id, ...updates0 } = req.body || {};
+    const v = validateBody(goalSchema, updates0, { mode: 'update', role: 'member' });
+    if (!v.ok) return sendValidationError(res, v.errors);
+    const updates = { ...v.value };
+
+    if (typeof updates?.progress !== 'undefined') {
+      const n = Number(updates.progress);
+      if (!Number.isNaN(n)) {
+        const clamped = Math.max(0, Math.min(100, n));
+        updates.progress = clamped;
+        if (clamped >= 100) updates.status = 'Completed';
+      }
+    }
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const goal = await tx.q1(`select * from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!goal) return { status: 404, message: 'Goal not found' };
+        if (goal.user_id !== userId) return { status: 403, message: 'Forbidden' };
+        if (!matchesIfMatch(req, goal)) return { stale: hydrateRow(goal) };
+
+        if (goal.is_locked) {
+          if (goal.review_status === 'Approved') {
+            const keys = Object.keys(updates || {});
+            const allowedKeys = new Set(['progress', 'status']);
+            const hasDisallowed = keys.some((k) => !allowedKeys.has(k));
+            if (hasDisallowed) return { status: 423, message: 'Goal is locked (only status/progress updates are allowed)' };
+          } else {
+            return { status: 423, message: 'Goal is locked for review' };
+          }
+        }
+
+        const upd = buildVersionedUpdate('goals', { ...updates, updated_at: new Date().toISOString() }, 'where id = ?', [id]);
+        await tx.q(upd.sql, upd.params);
+        const data = hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [id]));
+        if (!data) return { status: 404, message: 'Goal not found' };
+        await recordGoalProgressChange(tx, { before: goal, after: data, recordedBy: userId, source: 'member_update' });
+        return { data };
+      });
+
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/goals/:id/request-review', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.sub;
+    try {
+      const out = await withTransaction(async (tx) => {
+        const goal = await tx.q1(`select id, user_id, review_status, is_locked, progress, status from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!goal) return { status: 404, message: 'Goal not found' };
+        if (goal.user_id !== userId) return { status: 403, message: 'Forbidden' };
+
+        const anyPlan = await tx.q1(`select id from action_plans where goal_id = ? and deleted_at is null limit 1`, [id]);
+        if (!anyPlan) return { status: 409, message: 'You must create at least one action plan before requesting leader review' };
+
+        const t = await applyGoalReviewAction(tx, goal, { action: 'request', actor: 'owner', actorId: userId, comment: req.body?.comment });
+        if (!t.ok) return t;
+        return { data: hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [id])) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      events.emit('goal.review_requested', { goalId: id, actorId: userId });
+      res.json({ data: out.data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/goals/:id/cancel-review', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.sub;
+    try {
+      const out = await withTransaction(async (tx) => {
+        const goal = await tx.q1(`select id, user_id, review_status, is_locked, progress, status from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!goal) return { status: 404, message: 'Goal not found' };
+        if (goal.user_id !== userId) return { status: 403, message: 'Forbidden' };
+
+        const t = await applyGoalReviewAction(tx, goal, { action: 'cancel', actor: 'owner', actorId: userId, comment: req.body?.comment });
+        if (!t.ok) return t;
+        return { data: hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [id])) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ data: out.data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/goals/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessGoal(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const goal = hydrateRow(await q1(`select * from goals where id = ? limit 1`, [id]));
+      if (!goal) return res.status(404).json({ message: 'Goal not found' });
+      const vmap = await getLatestVerificationSummaryByGoalIds(db, [goal.id]);
+      const [data] = attachVerificationSummaryToGoals([goal], vmap);
+      setEtag(res, data);
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /goals/:id/review-history
+  router.get('/goals/:id/review-history', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessGoal(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const rows = await q(
+        `
+          select
+            e.id,
+            e.goal_id,
+            e.action,
+            e.from_review_status,
+            e.to_review_status,
+            e.actor_id,
+            e.actor_role,
+            u.name as actor_name,
+            u.email as actor_email,
+            e.comment,
+            e.created_at
+          from goal_review_events e
+          left join users u on u.id = e.actor_id
+          where e.goal_id = ?
+          order by e.created_at asc, e.id asc
+        `,
+        [id]
+      );
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /goals/:id/progress-history?from=YYYY-MM-DD&to=YYYY-MM-DD
+  router.get('/goals/:id/progress-history', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    const fromStr = typeof from === 'string' && from.trim() ? from.slice(0, 10) : null;
+    const toStr = typeof to === 'string' && to.trim() ? to.slice(0, 10) : null;
+    if ((fromStr && !isValidDateOnly(fromStr)) || (toStr && !isValidDateOnly(toStr))) {
+      return res.status(400).json({ error: 'Query params "from"/"to" must be YYYY-MM-DD' });
+    }
+
+    const access = await assertCanAccessGoal(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const params = [id];
+      let where = 'where goal_id = ?';
+      if (fromStr) {
+        where += ' and recorded_at >= ?';
+        params.push(fromStr);
+      }
+      if (toStr) {
+        where += ' and recorded_at < date_add(?, interval 1 day)';
+        params.push(toStr);
+      }
+
+      const rows = await q(
+        `
+          select id, goal_id, progress, previous_progress, status, previous_status, recorded_by, source, recorded_at
+          from goal_progress_history
+          ${where}
+          order by recorded_at asc, id asc
+        `,
+        params
+      );
+
+      const shaped = (rows || []).map((r) => ({
+        ...r,
+        progress: r.progress == null ? null : Number(r.progress),
+        previous_progress: r.previous_progress == null ? null : Number(r.previous_progress),
+      }));
+      res.json({ data: shaped });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/action-plans', authenticate, async (req, res) => {
+    const userId = req.user.sub;
+    const { year } = req.query;
+    const targetYear = Number(year);
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+
+    try {
+      const goals = hydrateRows(await q(`select * from goals where user_id = ? and year = ? and deleted_at is null`, [userId, targetYear]));
+      const goalIds = (goals || []).map((g) => g.id).filter(Boolean);
+      let plans = [];
+      if (goalIds.length > 0) {
+        plans = hydrateRows(await q(`select * from action_plans where goal_id in (?) and deleted_at is null`, [goalIds]));
+      }
+
+      const plansByGoal = new Map();
+      for (const p of plans || []) {
+        const gid = p.goal_id;
+        if (!gid) continue;
+        if (!plansByGoal.has(gid)) plansByGoal.set(gid, []);
+        plansByGoal.get(gid).push(p);
+      }
+
+      const shaped = (goals || []).map((g) => ({ ...g, action_plans: plansByGoal.get(g.id) || [] }));
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        const n = Array.isArray(goals) ? goals.length : 0;
+        console.log('[DB]', `GET /action-plans mysql (${ms.toFixed(1)}ms) goals=${n}`);
+      }
+
+      res.json({ data: shaped });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/action-plans/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const data = hydrateRow(await q1(`select * from action_plans where id = ? limit 1`, [id]));
+      if (!data) return res.status(404).json({ message: 'Action plan not found' });
+      setEtag(res, data);
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /action-plans/:actionPlanId/weekly-reports?sort=-date&limit=20&cursor=<next_cursor>
+  router.get('/action-plans/:actionPlanId/weekly-reports', authenticate, async (req, res) => {
+    const { actionPlanId } = req.params;
+    const page = parseListParams(req.query, WEEKLY_REPORT_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+    const access = await assertCanAccessActionPlan(db, req, actionPlanId);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    try {
+      const rows = await q(
+        `select * from weekly_reports where action_plan_id = ? and deleted_at is null ${page.afterSql} order by ${page.orderBy} limit ? offset ?`,
+        [actionPlanId, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(`select count(*) as total from weekly_reports where action_plan_id = ? and deleted_at is null`, [actionPlanId]);
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /action-plans/:id/weekly-reports mysql (${ms.toFixed(1)}ms) rows=${pageRows.length} total=${pageMeta.total} limit=${page.limit} sort=${page.sort}`);
+      }
+
+      res.json({ data: hydrateRows(pageRows), page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/goals/:goalId/action-plans', authenticate, async (req, res) => {
+    const { goalId } = req.params;
+    try {
+    const access = await assertCanAccessGoal(db, req, goalId);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    if (!isLeaderUser(req)) {
+        if (access.goal?.is_locked) return res.status(423).json({ message: 'Goal is locked for review' });
+        if (access.goal?.status !== 'Not started') return res.status(409).json({ message: 'Cannot add action plans after goal has started' });
+      }
+
+      const v = validateBody(actionPlanSchema, req.body ?? {}, { mode: 'create', role: requestRole(req) });
+      if (!v.ok) return sendValidationError(res, v.errors);
+
+      const actionPlan = { ...v.value, goal_id: goalId };
+      if (!actionPlan.id) actionPlan.id = crypto.randomUUID();
+      const ins = buildInsert('action_plans', actionPlan);
+      await q(ins.sql, ins.params);
+      const data = hydrateRow(await q1(`select * from action_plans where id = ? limit 1`, [actionPlan.id]));
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.delete('/action-plans/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(`select id, is_locked from action_plans where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        if (!isLeaderUser(req) && plan.is_locked) return { status: 423, message: 'Action plan is locked for review' };
+        await softDeleteActionPlan(tx, id, { deletedBy: req.user.sub });
+        return {};
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.put('/action-plans/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    const v = validateBody(actionPlanSchema, req.body ?? {}, { mode: 'update', role: requestRole(req) });
+    if (!v.ok) return sendValidationError(res, v.errors);
+    const body = v.value;
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(`select * from action_plans where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        if (!matchesIfMatch(req, plan)) return { stale: hydrateRow(plan) };
+
+        // Lock and review checks run on the locked row, so a lock or review submitted meanwhile is honoured.
+        const updates = { ...body };
+        let requestedEndDate = null;
+        if (!isLeaderUser(req)) {
+          if (plan.is_locked && plan.review_status === 'Pending') {
+            const allowedKeys = new Set(['end_date']);
+            const hasDisallowed = Object.keys(body).some((k) => !allowedKeys.has(k));
+            if (hasDisallowed) return { status: 423, message: 'Action plan is locked for review (deadline-only changes allowed)' };
+          }
+          if (plan.review_status === 'Pending' && typeof body.status !== 'undefined' && body.status !== plan.status) {
+            return { status: 409, message: 'Cannot change status while action plan is pending review' };
+          }
+
+          // Members cannot move end_date directly: a changed date becomes a deadline-change request
+          // (same flow as POST /action-plans/:id/deadline-requests, without a reason).
+          if (typeof updates.end_date === 'string') {
+            const currentEffective = plan.request_deadline_date || plan.end_date;
+            if (updates.end_date !== currentEffective) requestedEndDate = updates.end_date;
+            delete updates.end_date;
+          }
+        }
+
+        if (requestedEndDate) {
+          const r = await submitDeadlineChange(tx, plan, { requestedEndDate, reason: null, requestedBy: req.user.sub });
+          if (r.status) return r;
+        }
+        if (Object.keys(updates).length > 0) {
+          const upd = buildVersionedUpdate('action_plans', updates, 'where id = ?', [id]);
+          await tx.q(upd.sql, upd.params);
+        }
+        return { data: hydrateRow(await tx.q1(`select * from action_plans where id = ? limit 1`, [id])) };
+      });
+
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/action-plans/:id/request-review', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+    if (isLeaderUser(req)) return res.status(403).json({ message: 'Forbidden' });
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(`select id, review_status from action_plans where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        if (plan.review_status === 'Approved') return { status: 409, message: 'Action plan already approved' };
+        const upd = buildVersionedUpdate('action_plans', { review_status: 'Pending', is_locked: 1 }, 'where id = ?', [id]);
+        await tx.q(upd.sql, upd.params);
+        return { data: hydrateRow(await tx.q1(`select * from action_plans where id = ? limit 1`, [id])) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ data: out.data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/action-plans/:id/cancel-review', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+    if (isLeaderUser(req)) return res.status(403).json({ message: 'Forbidden' });
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(`select id, review_status from action_plans where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        if (plan.review_status === 'Approved') return { status: 409, message: 'Action plan already approved' };
+        const upd = buildVersionedUpdate('action_plans', { review_status: null, is_locked: 0, request_deadline_date: null }, 'where id = ?', [id]);
+        await tx.q(upd.sql, upd.params);
+        await tx.q(
+          `update action_plan_deadline_requests set status = 'Cancelled', decided_by = ?, decided_at = ? where action_plan_id = ? and status = 'Pending'`,
+          [req.user.sub, new Date().toISOString(), id]
+        );
+        return { data: hydrateRow(await tx.q1(`select * from action_plans where id = ? limit 1`, [id])) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ data: out.data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /action-plans/:id/deadline-requests
+  // Body: { requested_end_date: 'YYYY-MM-DD', reason: string }
+  router.post('/action-plans/:id/deadline-requests', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const { requested_end_date, reason } = req.body || {};
+    const requestedEndDate = typeof requested_end_date === 'string' ? requested_end_date.slice(0, 10) : null;
+    if (!isValidDateOnly(requestedEndDate)) return res.status(400).json({ error: 'requested_end_date (YYYY-MM-DD) is required' });
+    if (typeof reason !== 'string' || !reason.trim()) return res.status(400).json({ error: 'reason is required' });
+    if (reason.length > 2000) return res.status(400).json({ error: 'reason must be at most 2000 characters' });
+
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+    if (access.goal.user_id !== req.user.sub) return res.status(403).json({ message: 'Forbidden (only the plan owner can request a deadline change)' });
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const plan = await tx.q1(
+          `select id, goal_id, start_date, end_date, request_deadline_date, deadline_change_count from action_plans where id = ? and deleted_at is null limit 1 for update`,
+          [id]
+        );
+        if (!plan) return { status: 404, message: 'Action plan not found' };
+        return submitDeadlineChange(tx, plan, { requestedEndDate, reason: reason.trim(), requestedBy: req.user.sub });
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.status(201).json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /action-plans/:id/deadline-requests (full history, newest first)
+  router.get('/action-plans/:id/deadline-requests', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const rows = await q(
+        `
+          select dr.*, u.name as requested_by_name, d.name as decided_by_name
+          from action_plan_deadline_requests dr
+          left join users u on u.id = dr.requested_by
+          left join users d on d.id = dr.decided_by
+          where dr.action_plan_id = ?
+          order by dr.created_at desc
+        `,
+        [id]
+      );
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/action-plans/:actionPlanId/weekly-reports', authenticate, async (req, res) => {
+    const { actionPlanId } = req.params;
+    const access = await assertCanAccessActionPlan(db, req, actionPlanId);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const plan = await q1(`select id, goal_id, status from action_plans where id = ? limit 1`, [actionPlanId]);
+      if (!plan) return res.status(404).json({ message: 'Action plan not found' });
+
+    if (!isLeaderUser(req)) {
+        const goal = await q1(`select id, status from goals where id = ? limit 1`, [plan.goal_id]);
+        if (!goal) return res.status(404).json({ message: 'Goal not found' });
+      const planStatus = plan.status || 'Not Started';
+        const canReport = goal.status === 'In Progress' && (planStatus === 'In Progress' || planStatus === 'Blocked');
+      if (!canReport) {
+        return res.status(409).json({
+          message: 'Weekly reports can only be added when goal is In Progress and action plan is In Progress/Blocked',
+        });
+      }
+    }
+
+      const v = validateBody(weeklyReportSchema, req.body ?? {}, { mode: 'create', role: requestRole(req) });
+      if (!v.ok) return sendValidationError(res, v.errors);
+
+      const weeklyReport = { ...v.value, action_plan_id: actionPlanId, goal_id: plan.goal_id };
+      if (!weeklyReport.id) weeklyReport.id = crypto.randomUUID();
+      const ins = buildInsert('weekly_reports', weeklyReport);
+      await q(ins.sql, ins.params);
+      const data = hydrateRow(await q1(`select * from weekly_reports where id = ? limit 1`, [weeklyReport.id]));
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/weekly-reports/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessWeeklyReport(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const data = hydrateRow(await q1(`select * from weekly_reports where id = ? limit 1`, [id]));
+      if (!data) return res.status(404).json({ message: 'Weekly report not found' });
+      setEtag(res, data);
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.put('/weekly-reports/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessWeeklyReport(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    if (!isLeaderUser(req) && typeof req.body?.lead_feedback !== 'undefined') {
+      return res.status(403).json({ message: 'Forbidden (leader feedback is leader-only)' });
+    }
+
+    const v = validateBody(weeklyReportSchema, req.body ?? {}, { mode: 'update', role: requestRole(req) });
+    if (!v.ok) return sendValidationError(res, v.errors);
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const report = await tx.q1(`select * from weekly_reports where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!report) return { status: 404, message: 'Weekly report not found' };
+        if (!matchesIfMatch(req, report)) return { stale: hydrateRow(report) };
+        const upd = buildVersionedUpdate('weekly_reports', v.value, 'where id = ?', [id]);
+        await tx.q(upd.sql, upd.params);
+        return { data: hydrateRow(await tx.q1(`select * from weekly_reports where id = ? limit 1`, [id])) };
+      });
+
+      if (out.stale) return sendPreconditionFailed(res, out.stale);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.delete('/weekly-reports/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessWeeklyReport(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      await withTransaction((tx) => softDeleteWeeklyReport(tx, id, { deletedBy: req.user.sub }));
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.delete('/goals/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.sub;
+    try {
+      const out = await withTransaction(async (tx) => {
+        const goal = await tx.q1(`select id, user_id, is_locked from goals where id = ? and deleted_at is null limit 1 for update`, [id]);
+        if (!goal) return { status: 404, message: 'Goal not found' };
+        if (goal.user_id !== userId) return { status: 403, message: 'Forbidden' };
+        if (goal.is_locked) return { status: 423, message: 'Goal is locked for review' };
+        await softDeleteGoal(tx, id, { deletedBy: userId });
+        return {};
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ message: 'Goal deleted successfully', restore_days: RESTORE_RETENTION_DAYS });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /goals/:id/restore (owner, or a leader of the owner's team, within RESTORE_RETENTION_DAYS)
+  router.post('/goals/:id/restore', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessGoal(db, req, id, { includeDeleted: true });
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const out = await withTransaction(async (tx) => {
+        const goal = await tx.q1(`select id, deleted_at from goals where id = ? limit 1 for update`, [id]);
+        if (!goal) return { status: 404, message: 'Goal not found' };
+        if (!goal.deleted_at) return { status: 409, message: 'Goal is not deleted' };
+        if (restorableUntil(goal.deleted_at).getTime() < Date.now()) {
+          return { status: 410, message: `Goal was deleted more than ${RESTORE_RETENTION_DAYS} days ago and can no longer be restored` };
+        }
+        await restoreGoal(tx, id);
+        return { data: hydrateRow(await tx.q1(`select * from goals where id = ? limit 1`, [id])) };
+      });
+
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /goals/:id/carry-over (owner, or a leader of the owner's team): continue an unfinished goal in year+1
+  router.post('/goals/:id/carry-over', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const access = await assertCanAccessGoal(db, req, id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    try {
+      const out = await withTransaction((tx) => carryOverGoal(tx, id));
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      setEtag(res, out.data.goal);
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
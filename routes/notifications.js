@@ -0,0 +1,306 @@
+import express from 'express';
+import crypto from 'node:crypto';
+import { verifyCognito, requireLeader } from '../middleware/verifyCognito.js';
+import { buildInsert, buildUpdate, hydrateRow, hydrateRows } from '../lib/sql.js';
+import { getLeaderTeamScope } from '../lib/access.js';
+import { NOTIFICATION_TYPES } from '../lib/notifications.js';
+import { CHANNEL_KINDS, retryDeadLetter } from '../lib/delivery.js';
+import { webhookTargetProblem } from '../lib/transports.js';
+import { parseListParams, finishPage } from '../lib/pagination.js';
+
+const PREFERENCE_CHANNELS = ['in_app', 'email'];
+const NOTIFICATION_LIST = {
+  sorts: { created_at: { sql: 'created_at', field: 'created_at' } },
+  defaultSort: '-created_at',
+  tieBreaker: { sql: 'id', field: 'id' },
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validates a channel create/update body. Returns { value } or { error }.
+function parseChannelBody(body, { mode, kind }) {
+  const value = {};
+  if (mode === 'create') {
+    if (!CHANNEL_KINDS.includes(body.kind)) return { error: `kind must be one of: ${CHANNEL_KINDS.join(', ')}` };
+    value.kind = body.kind;
+  } else if (typeof body.kind !== 'undefined') {
+    return { error: 'kind cannot be changed' };
+  }
+  const channelKind = value.kind || kind;
+
+  if (typeof body.target !== 'undefined' || (mode === 'create' && channelKind === 'webhook')) {
+    const target = typeof body.target === 'string' ? body.target.trim() : body.target;
+    if (channelKind === 'webhook') {
+      const problem = typeof target === 'string' ? webhookTargetProblem(target) : 'target must be an http(s) URL for webhook channels';
+      if (problem) return { error: problem };
+    }
+    if (channelKind === 'email' && target !== null && !(typeof target === 'string' && EMAIL_RE.test(target))) return { error: 'target must be an email address or null' };
+    if (typeof target === 'string' && target.length > 2048) return { error: 'target must be at most 2048 characters' };
+    value.target = target ?? null;
+  }
+  if (typeof body.event_types !== 'undefined') {
+    if (body.event_types !== null && !(Array.isArray(body.event_types) && body.event_types.every((t) => NOTIFICATION_TYPES.includes(t)))) {
+      return { error: `event_types must be null or an array of: ${NOTIFICATION_TYPES.join(', ')}` };
+    }
+    value.event_types = body.event_types;
+  }
+  if (typeof body.enabled !== 'undefined') {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = body.enabled ? 1 : 0;
+  }
+  return { value };
+}
+
+// Secrets are only returned when they are created or rotated.
+function shapeChannel(row, { withSecret = false } = {}) {
+  const { secret, ...rest } = row;
+  return { ...rest, enabled: Boolean(row.enabled), has_secret: Boolean(secret), ...(withSecret ? { secret } : {}) };
+}
+
+// Notification inbox and preferences for the signed-in user (any role), plus the leader's
+// team delivery channels (email/webhook, see lib/delivery.js) and their dead letters.
+export function createNotificationsRouter({ db, authenticate = verifyCognito, transports = {} }) {
+  const router = express.Router();
+  const { q, q1 } = db;
+
+  // GET /notifications?unread=1&limit=50&cursor=<next_cursor>
+  router.get('/notifications', authenticate, async (req, res) => {
+    const userId = req.user.sub;
+    const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+    const page = parseListParams(req.query, NOTIFICATION_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+
+    try {
+      const rows = await q(
+        `
+          select id, type, title, body, entity_type, entity_id, actor_id, payload, read_at, created_at
+          from notifications
+          where user_id = ?
+            ${unreadOnly ? 'and read_at is null' : ''}
+            ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [userId, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counts = await q1(
+        `select count(*) as total, coalesce(sum(case when read_at is null then 1 else 0 end), 0) as unread from notifications where user_id = ?`,
+        [userId]
+      );
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, unreadOnly ? counts?.unread : counts?.total);
+      res.json({
+        data: hydrateRows(pageRows),
+        unread_count: Number(counts?.unread || 0),
+        page: pageMeta,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/notifications/:id/read', authenticate, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const row = await q1(`select id, read_at from notifications where id = ? and user_id = ? limit 1`, [id, req.user.sub]);
+      if (!row) return res.status(404).json({ message: 'Notification not found' });
+      if (!row.read_at) await q(`update notifications set read_at = ? where id = ?`, [new Date().toISOString(), id]);
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/notifications/read-all', authenticate, async (req, res) => {
+    try {
+      const result = await q(`update notifications set read_at = ? where user_id = ? and read_at is null`, [new Date().toISOString(), req.user.sub]);
+      res.json({ success: true, updated: Number(result?.affectedRows || 0) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /notifications/preferences -> one entry per event type; types without a row are enabled.
+  router.get('/notifications/preferences', authenticate, async (req, res) => {
+    try {
+      const rows = await q(`select type, in_app, email from notification_preferences where user_id = ?`, [req.user.sub]);
+      const byType = new Map((rows || []).map((r) => [r.type, r]));
+      const data = NOTIFICATION_TYPES.map((type) => {
+        const row = byType.get(type);
+        return { type, in_app: row ? Boolean(row.in_app) : true, email: row ? Boolean(row.email) : true };
+      });
+      res.json({ data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // PUT /notifications/preferences
+  // Body: { [type]: { in_app?: boolean, email?: boolean } }
+  router.put('/notifications/preferences', authenticate, async (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return res.status(400).json({ error: 'Body must be a JSON object keyed by notification type' });
+
+    const entries = [];
+    for (const [type, pref] of Object.entries(body)) {
+      if (!NOTIFICATION_TYPES.includes(type)) return res.status(400).json({ error: `Unknown notification type "${type}"` });
+      if (!pref || typeof pref !== 'object') return res.status(400).json({ error: `${type} must be an object` });
+      const flags = {};
+      for (const channel of PREFERENCE_CHANNELS) {
+        if (typeof pref[channel] === 'undefined') continue;
+        if (typeof pref[channel] !== 'boolean') return res.status(400).json({ error: `${type}.${channel} must be a boolean` });
+        flags[channel] = pref[channel] ? 1 : 0;
+      }
+      if (Object.keys(flags).length === 0) return res.status(400).json({ error: `${type} must set in_app and/or email` });
+      entries.push([type, flags]);
+    }
+    if (entries.length === 0) return res.status(400).json({ error: 'No preferences provided' });
+
+    try {
+      for (const [type, flags] of entries) {
+        const cols = Object.keys(flags);
+        await q(
+          `
+            insert into notification_preferences (user_id, type, ${cols.join(', ')})
+            values (?, ?, ${cols.map(() => '?').join(', ')})
+            on duplicate key update ${cols.map((c) => `${c} = values(${c})`).join(', ')}
+          `,
+          [req.user.sub, type, ...cols.map((c) => flags[c])]
+        );
+      }
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // --- Leader: team delivery channels ---
+
+  router.get('/leader/notification-channels', authenticate, requireLeader, async (req, res) => {
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+    try {
+      const rows = hydrateRows(await q(`select * from team_notification_channels where team_id = ? order by created_at asc`, [scope.teamId]));
+      res.json({ data: rows.map((r) => shapeChannel(r)) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /leader/notification-channels
+  // Body: { kind: 'email' | 'webhook', target?: string | null, event_types?: string[] | null, enabled?: boolean }
+  // Webhook channels get a generated signing secret, returned in this response only.
+  router.post('/leader/notification-channels', authenticate, requireLeader, async (req, res) => {
+    const parsed = parseChannelBody(req.body || {}, { mode: 'create' });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const channel = {
+        id: crypto.randomUUID(),
+        team_id: scope.teamId,
+        ...parsed.value,
+        secret: parsed.value.kind === 'webhook' ? crypto.randomBytes(32).toString('hex') : null,
+        created_by: req.user.sub,
+      };
+      const ins = buildInsert('team_notification_channels', channel);
+      await q(ins.sql, ins.params);
+      const data = hydrateRow(await q1(`select * from team_notification_channels where id = ? limit 1`, [channel.id]));
+      res.status(201).json({ data: shapeChannel(data, { withSecret: true }) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // PUT /leader/notification-channels/:id
+  // Body: { target?, event_types?, enabled?, rotate_secret?: true }
+  router.put('/leader/notification-channels/:id', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const { rotate_secret, ...rest } = req.body || {};
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const existing = await q1(`select id, team_id, kind from team_notification_channels where id = ? limit 1`, [id]);
+      if (!existing || existing.team_id !== scope.teamId) return res.status(404).json({ message: 'Channel not found' });
+
+      const parsed = parseChannelBody(rest, { mode: 'update', kind: existing.kind });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const updates = { ...parsed.value };
+      if (rotate_secret === true) {
+        if (existing.kind !== 'webhook') return res.status(400).json({ error: 'Only webhook channels have a secret' });
+        updates.secret = crypto.randomBytes(32).toString('hex');
+      }
+      if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'No updatable fields provided' });
+
+      const upd = buildUpdate('team_notification_channels', updates, 'where id = ?', [id]);
+      await q(upd.sql, upd.params);
+      const data = hydrateRow(await q1(`select * from team_notification_channels where id = ? limit 1`, [id]));
+      res.json({ data: shapeChannel(data, { withSecret: Boolean(updates.secret) }) });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.delete('/leader/notification-channels/:id', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const result = await q(`delete from team_notification_channels where id = ? and team_id = ?`, [id, scope.teamId]);
+      if (!result?.affectedRows) return res.status(404).json({ message: 'Channel not found' });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /leader/notification-dead-letters?resolved=1
+  router.get('/leader/notification-dead-letters', authenticate, requireLeader, async (req, res) => {
+    const resolved = req.query.resolved === '1' || req.query.resolved === 'true';
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const rows = hydrateRows(
+        await q(
+          `
+            select *
+            from notification_dead_letters
+            where team_id = ?
+              and resolved_at is ${resolved ? 'not null' : 'null'}
+            order by created_at desc
+            limit 200
+          `,
+          [scope.teamId]
+        )
+      );
+      res.json({ data: rows });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/leader/notification-dead-letters/:id/retry', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const deadLetter = hydrateRow(await q1(`select * from notification_dead_letters where id = ? limit 1`, [id]));
+      if (!deadLetter || deadLetter.team_id !== scope.teamId) return res.status(404).json({ message: 'Dead letter not found' });
+      if (deadLetter.resolved_at) return res.status(409).json({ message: 'Dead letter was already delivered' });
+
+      const r = await retryDeadLetter(db, transports, deadLetter);
+      if (!r.ok) return res.status(r.status).json({ message: r.message });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import { verifyCognito } from '../middleware/verifyCognito.js';
+import { deriveRoleFromGroups } from '../lib/roles.js';
+import { getLeaderTeamScope } from '../lib/access.js';
+import { LOG_TIMINGS, nowMs } from '../lib/util.js';
+import { SEARCH_TYPES, parseSearchText, searchRecords, shapeSearchHit } from '../lib/search.js';
+
+// Full-text search, scoped by role: members see their own records, leaders their team, managers the org.
+export function createSearchRouter({ db, authenticate = verifyCognito }) {
+  const router = express.Router();
+
+  // GET /search?q=kubernetes&types=goal,action_plan,weekly_report&year=2025&team_id=<uuid>&limit=20&offset=0
+  // team_id narrows a manager's search to one team; other roles are already scoped.
+  router.get('/search', authenticate, async (req, res) => {
+    const { q: qtext, types, year, team_id, limit, offset } = req.query;
+    const parsed = typeof qtext === 'string' && qtext.trim().length >= 2 ? parseSearchText(qtext) : null;
+    if (!parsed) return res.status(400).json({ error: 'Query param "q" must contain at least one word of 2+ characters' });
+
+    const typeList = typeof types === 'string' && types.trim() ? types.split(',').map((t) => t.trim()) : SEARCH_TYPES;
+    const unknownTypes = typeList.filter((t) => !SEARCH_TYPES.includes(t));
+    if (unknownTypes.length) return res.status(400).json({ error: `Unknown types: ${unknownTypes.join(', ')} (expected ${SEARCH_TYPES.join(', ')})` });
+
+    const targetYear = typeof year !== 'undefined' && `${year}`.trim() !== '' ? Number(year) : null;
+    if (targetYear !== null && !Number.isInteger(targetYear)) return res.status(400).json({ error: 'Query param "year" must be a number' });
+    const pageLimit = Math.max(1, Math.min(100, Math.trunc(Number(limit || 20)) || 20));
+    const pageOffset = Math.max(0, Math.trunc(Number(offset || 0)) || 0);
+
+    const role = deriveRoleFromGroups(req.user?.['cognito:groups']);
+    const requestedTeam = typeof team_id === 'string' && team_id.trim() ? team_id.trim() : null;
+    let scope;
+    if (role === 'manager') {
+      scope = { teamId: requestedTeam };
+    } else if (role === 'leader') {
+      const teamScope = await getLeaderTeamScope(db, req);
+      if (!teamScope.ok) return res.status(teamScope.status).json({ message: teamScope.message });
+      if (requestedTeam && requestedTeam !== teamScope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+      scope = { teamId: teamScope.teamId };
+    } else {
+      scope = { userId: req.user.sub };
+    }
+
+    const t0 = LOG_TIMINGS ? nowMs() : 0;
+    try {
+      const { total, rows } = await searchRecords(db, { query: parsed.query, scope, types: typeList, year: targetYear, limit: pageLimit, offset: pageOffset });
+
+      if (LOG_TIMINGS) {
+        const ms = nowMs() - t0;
+        console.log('[DB]', `GET /search mysql (${ms.toFixed(1)}ms) role=${role} hits=${total} limit=${pageLimit} offset=${pageOffset}`);
+      }
+
+      res.json({
+        data: rows.map((r) => shapeSearchHit(r, parsed.terms)),
+        meta: { q: qtext, role, types: typeList, year: targetYear, total, limit: pageLimit, offset: pageOffset },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,601 @@
+import express from 'express';
+import crypto from 'node:crypto';
+import { verifyCognito, requireLeader } from '../middleware/verifyCognito.js';
+import { buildInsert, normalizeDbValue, hydrateRow, hydrateRows } from '../lib/sql.js';
+import { isLeaderUser } from '../lib/roles.js';
+import { getLeaderTeamScope, assertCanAccessGoal } from '../lib/access.js';
+import { parseListParams, finishPage } from '../lib/pagination.js';
+import { sendValidationError } from '../lib/schemas.js';
+import { parseTemplateBody, createTemplate, reviseTemplate, archiveTemplate, snapshotTemplate } from '../lib/verificationTemplates.js';
+import { REVIEW_RESULTS, scoreReview } from '../lib/rubric.js';
+import { insertRound, resubmitVerification, loadRoundTimeline } from '../lib/verificationRounds.js';
+import { AGGREGATION_POLICIES, assignReviewers, listReviewers, settleRound } from '../lib/verificationReviewers.js';
+
+const REQUEST_LIST = {
+  sorts: {
+    created_at: { sql: 'vr.created_at', field: 'created_at' },
+    updated_at: { sql: 'vr.updated_at', field: 'updated_at' },
+    status: { sql: 'vr.status', field: 'status' },
+    member: { sql: "coalesce(u.name, '')", field: 'member_name', nullAs: '' },
+    goal: { sql: 'g.name', field: 'goal_name' },
+  },
+  defaultSort: '-created_at',
+  tieBreaker: { sql: 'vr.id', field: 'id' },
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+
+// Verifications (member submit, leader review).
+export function createVerificationRouter({ db, authenticate = verifyCognito, events }) {
+  const router = express.Router();
+  const { q, q1, withTransaction } = db;
+
+  // GET /verification-templates?include_archived=1
+  router.get('/verification-templates', authenticate, async (req, res) => {
+    const includeArchived = req.query.include_archived === '1' || req.query.include_archived === 'true';
+    try {
+      const rows = hydrateRows(
+        await q(
+          `
+            select id, name, category, scoring_type, criteria, required_evidence, minimum_bar, current_version, updated_at, archived_at
+            from verification_templates
+            ${includeArchived ? '' : 'where archived_at is null'}
+            order by name asc
+          `,
+          []
+        )
+      );
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/verification-templates', authenticate, requireLeader, async (req, res) => {
+    const leaderId = req.user.sub;
+    const v = parseTemplateBody(req.body, { mode: 'create' });
+    if (!v.ok) return sendValidationError(res, v.errors);
+
+    try {
+      const data = await withTransaction((tx) => createTemplate(tx, v.value, { createdBy: leaderId }));
+      res.json({ data: data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // PUT /verification-templates/:id  Body: any template fields; saved as a new version, earlier versions stay as they were.
+  router.put('/verification-templates/:id', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const v = parseTemplateBody(req.body, { mode: 'update' });
+    if (!v.ok) return sendValidationError(res, v.errors);
+
+    try {
+      const out = await withTransaction((tx) => reviseTemplate(tx, id, v.value, { actorId: req.user.sub }));
+      if (out.errors) return sendValidationError(res, out.errors);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/verification-templates/:id/archive', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const out = await withTransaction((tx) => archiveTemplate(tx, id, { actorId: req.user.sub }));
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      res.json({ data: out.data });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /verification-templates/:id/versions (newest first)
+  router.get('/verification-templates/:id/versions', authenticate, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const template = await q1(`select id from verification_templates where id = ? limit 1`, [id]);
+      if (!template) return res.status(404).json({ message: 'Template not found' });
+      const rows = hydrateRows(await q(`select * from verification_template_versions where template_id = ? order by version desc`, [id]));
+      res.json({ data: rows || [] });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /verification-templates/:id/requests?version=2
+  // The team's verification requests made with this template, with the version each one snapshotted,
+  // plus per-version counts (also team-scoped).
+  router.get('/verification-templates/:id/requests', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const version = typeof req.query.version !== 'undefined' && `${req.query.version}`.trim() !== '' ? Number(req.query.version) : null;
+    if (version !== null && !Number.isInteger(version)) return res.status(400).json({ error: 'Query param "version" must be an integer' });
+
+    const scope = await getLeaderTeamScope(db, req);
+    if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+
+    try {
+      const template = await q1(`select id, current_version from verification_templates where id = ? limit 1`, [id]);
+      if (!template) return res.status(404).json({ message: 'Template not found' });
+
+      const params = [id, scope.teamId];
+      let whereVersion = '';
+      if (version !== null) {
+        whereVersion = 'and vr.template_version = ?';
+        params.push(version);
+      }
+
+      const rows = await q(
+        `
+          select
+            vr.id,
+            vr.template_version,
+            vr.status,
+            vr.created_at,
+            g.id as goal_id,
+            g.name as goal_name,
+            u.id as member_id,
+            u.name as member_name,
+            u.email as member_email
+          from verification_requests vr
+          join goals g on g.id = vr.goal_id
+          join users u on u.id = vr.requester_id
+          where vr.template_id = ?
+            and u.team_id = ?
+            and g.deleted_at is null
+            ${whereVersion}
+          order by vr.created_at desc
+          limit 500
+        `,
+        params
+      );
+      const counts = await q(
+        `
+          select vr.template_version as version, count(*) as requests
+          from verification_requests vr
+          join goals g on g.id = vr.goal_id
+          join users u on u.id = vr.requester_id
+          where vr.template_id = ?
+            and u.team_id = ?
+            and g.deleted_at is null
+          group by vr.template_version
+          order by vr.template_version desc
+        `,
+        [id, scope.teamId]
+      );
+
+      res.json({
+        data: rows || [],
+        versions: (counts || []).map((c) => ({ version: c.version === null ? null : Number(c.version), requests: Number(c.requests || 0) })),
+        current_version: Number(template.current_version || 1),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.post('/verification-requests', authenticate, async (req, res) => {
+    const requesterId = req.user.sub;
+    const { goal_id, action_plan_id, template_id, scope, evidence_links, rubric_snapshot, member_notes } = req.body || {};
+    const templateId = typeof template_id === 'string' && template_id.trim() ? template_id.trim() : null;
+    if (!goal_id || typeof goal_id !== 'string') return res.status(400).json({ error: 'goal_id is required' });
+    if (!scope || typeof scope !== 'string') return res.status(400).json({ error: 'scope is required' });
+
+    const access = await assertCanAccessGoal(db, req, goal_id);
+    if (!access.ok) return res.status(access.status).json({ message: access.message });
+
+    const payload = {
+      id: crypto.randomUUID(),
+      requester_id: requesterId,
+      goal_id,
+      action_plan_id: typeof action_plan_id === 'string' && action_plan_id.trim() ? action_plan_id.trim() : null,
+      template_id: templateId,
+      template_version: null,
+      scope: scope.trim(),
+      evidence_links: Array.isArray(evidence_links) ? evidence_links : [],
+      rubric_snapshot: rubric_snapshot && typeof rubric_snapshot === 'object' ? rubric_snapshot : {},
+      member_notes: typeof member_notes === 'string' ? member_notes : null,
+      status: 'Pending',
+    };
+
+    try {
+      // With a template the snapshot is the template's current version; a client-sent rubric_snapshot only
+      // applies to ad-hoc requests without one.
+      if (templateId) {
+        const snap = await snapshotTemplate(db, templateId);
+        if (snap.status) return res.status(snap.status).json({ message: snap.message });
+        payload.template_version = snap.data.version;
+        payload.rubric_snapshot = snap.data.snapshot;
+      }
+
+      const data = await withTransaction(async (tx) => {
+        const ins = buildInsert('verification_requests', { ...payload, current_round: 1 });
+        await tx.q(ins.sql, ins.params);
+        await insertRound(tx, { requestId: payload.id, round: 1, evidenceLinks: payload.evidence_links, memberNotes: payload.member_notes, submittedBy: requesterId });
+        return hydrateRow(await tx.q1(`select * from verification_requests where id = ? limit 1`, [payload.id]));
+      });
+      events.emit('verification.requested', { verificationRequestId: payload.id, actorId: requesterId });
+      res.json({ data: data || null });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // GET /verification-requests?year=&status=&user_id=&sort=-created_at&limit=50&cursor=<next_cursor>
+  // assigned=1 lists the requests the caller was assigned to review instead (any team).
+  router.get('/verification-requests', authenticate, async (req, res) => {
+    const isLeader = isLeaderUser(req);
+    const me = req.user.sub;
+    const assignedToMe = req.query.assigned === '1' || req.query.assigned === 'true';
+    const { year, status, user_id, team_id } = req.query;
+    const page = parseListParams(req.query, REQUEST_LIST);
+    if (!page.ok) return res.status(400).json({ error: page.error });
+
+    try {
+      let scope = null;
+      if (isLeader && !assignedToMe) {
+        scope = await getLeaderTeamScope(db, req);
+        if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+        if (typeof team_id === 'string' && team_id.trim() && team_id.trim() !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+      }
+
+      const params = [];
+      let where = 'where g.deleted_at is null';
+
+      if (assignedToMe) {
+        where += ' and exists (select 1 from verification_request_reviewers rr where rr.request_id = vr.id and rr.reviewer_id = ?)';
+        params.push(me);
+      } else if (!isLeader) {
+        where += ' and vr.requester_id = ?';
+        params.push(me);
+      } else {
+        where += ' and u.team_id = ?';
+        params.push(scope.teamId);
+        if (typeof user_id === 'string' && user_id.trim()) {
+          where += ' and vr.requester_id = ?';
+          params.push(user_id.trim());
+        }
+      }
+
+      if (typeof year !== 'undefined' && `${year}`.trim() !== '') {
+        where += ' and g.year = ?';
+        params.push(Number(year));
+      }
+      if (typeof status === 'string' && status.trim()) {
+        where += ' and vr.status = ?';
+        params.push(status.trim());
+      }
+
+      const rows = await q(
+        `
+          select
+            vr.id,
+            vr.requester_id,
+            vr.goal_id,
+            vr.action_plan_id,
+            vr.template_id,
+            vr.template_version,
+            vr.scope,
+            vr.evidence_links,
+            vr.status,
+            vr.current_round,
+            vr.final_result,
+            vr.aggregation_policy,
+            vr.created_at,
+            vr.updated_at,
+            g.id as goal_ref_id,
+            g.name as goal_name,
+            g.year as goal_year,
+            g.user_id as goal_user_id,
+            u.id as member_id,
+            u.name as member_name,
+            u.email as member_email,
+            u.team_id as member_team_id,
+            t.name as member_team_name
+          from verification_requests vr
+          join goals g on g.id = vr.goal_id
+          join users u on u.id = vr.requester_id
+          left join teams t on t.id = u.team_id
+          ${where}
+          ${page.afterSql}
+          order by ${page.orderBy}
+          limit ?
+          offset ?
+        `,
+        [...params, ...page.afterParams, page.limit + 1, page.offset]
+      );
+      const counted = await q1(
+        `select count(*) as total from verification_requests vr join goals g on g.id = vr.goal_id join users u on u.id = vr.requester_id ${where}`,
+        params
+      );
+      const { rows: pageRows, page: pageMeta } = finishPage(rows, page, counted?.total);
+
+      const shaped = hydrateRows(pageRows).map((r) => ({
+        id: r.id,
+        requester_id: r.requester_id,
+        goal_id: r.goal_id,
+        action_plan_id: r.action_plan_id,
+        template_id: r.template_id,
+        template_version: r.template_version ?? null,
+        scope: r.scope,
+        evidence_links: r.evidence_links,
+        status: r.status,
+        current_round: Number(r.current_round || 1),
+        final_result: r.final_result ?? null,
+        aggregation_policy: r.aggregation_policy ?? null,
+        created_at: r.created_at,
+        updated_at: r.updated_at,
+        member_name: r.member_name ?? null,
+        member_email: r.member_email ?? null,
+        team_id: r.member_team_id ?? null,
+        team_name: r.member_team_name ?? null,
+        goal: { id: r.goal_ref_id, name: r.goal_name, year: r.goal_year, user_id: r.goal_user_id },
+      }));
+
+      res.json({ data: shaped, page: pageMeta });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  router.get('/verification-requests/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const isLeader = isLeaderUser(req);
+    const me = req.user.sub;
+
+    try {
+      const data = hydrateRow(
+        await q1(
+          `
+            select
+              vr.*,
+              g.id as goal_ref_id,
+              g.name as goal_name,
+              g.year as goal_year,
+              g.user_id as goal_user_id,
+              u.id as member_id,
+              u.name as member_name,
+              u.email as member_email,
+              u.team_id as member_team_id,
+              t.name as member_team_name
+            from verification_requests vr
+            join goals g on g.id = vr.goal_id
+            join users u on u.id = vr.requester_id
+            left join teams t on t.id = u.team_id
+            where vr.id = ?
+              and g.deleted_at is null
+            limit 1
+          `,
+          [id]
+        )
+      );
+      if (!data) return res.status(404).json({ error: 'Not found' });
+
+      const reviewers = await listReviewers(db, data.id);
+      const isAssignedReviewer = reviewers.some((r) => r.reviewer_id === me);
+      if (!isAssignedReviewer) {
+        if (!isLeader && data.requester_id !== me) return res.status(403).json({ message: 'Forbidden' });
+        if (isLeader) {
+          const scope = await getLeaderTeamScope(db, req);
+          if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+          if (data.member_team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+        }
+      }
+
+      const reviews = hydrateRows(await q(`select * from verification_reviews where request_id = ? order by reviewed_at desc`, [data.id]));
+      const shaped = {
+        ...data,
+        verification_reviews: reviews || [],
+        rounds: await loadRoundTimeline(db, data.id),
+        reviewers,
+        member_name: data.member_name ?? null,
+        member_email: data.member_email ?? null,
+        team_id: data.member_team_id ?? null,
+        team_name: data.member_team_name ?? null,
+        goal: { id: data.goal_ref_id, name: data.goal_name, year: data.goal_year, user_id: data.goal_user_id },
+      };
+      delete shaped.goal_ref_id;
+      delete shaped.goal_name;
+      delete shaped.goal_year;
+      delete shaped.goal_user_id;
+      delete shaped.member_id;
+      delete shaped.member_team_id;
+      delete shaped.member_team_name;
+
+      res.json({ data: shaped });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /verification-requests/:id/review  Body: { result: Pass|NeedsWork|Fail, scores: { [criterion id]: number }, leader_feedback?, round? }
+  // Scores are checked against the request's rubric_snapshot; the response carries the computed total and
+  // suggested result next to the review, and the review records whether the leader's result differs from it.
+  // Requests with assigned reviewers take reviews from those reviewers only (lib/verificationReviewers.js);
+  // otherwise a leader of the requester's team reviews. Only a Pending/InReview request takes reviews, and
+  // `round`, when sent, must still be the current round (409 otherwise, e.g. after a concurrent resubmit).
+  router.post('/verification-requests/:id/review', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const leaderId = req.user.sub;
+    const { result, scores, leader_feedback, round } = req.body || {};
+    if (!result || !REVIEW_RESULTS.includes(result)) return res.status(400).json({ error: 'result must be Pass/NeedsWork/Fail' });
+    if (typeof round !== 'undefined' && round !== null && !(Number.isInteger(round) && round >= 1)) {
+      return res.status(400).json({ error: 'round must be a positive integer' });
+    }
+
+    try {
+      const vr = await q1(
+        `
+          select vr.id, vr.requester_id, u.team_id as team_id
+          from verification_requests vr
+          join goals g on g.id = vr.goal_id
+          join users u on u.id = vr.requester_id
+          where vr.id = ?
+            and g.deleted_at is null
+          limit 1
+        `,
+        [id]
+      );
+      if (!vr) return res.status(404).json({ error: 'Not found' });
+
+      const reviewers = await listReviewers(db, vr.id);
+      if (reviewers.length) {
+        if (!reviewers.some((r) => r.reviewer_id === leaderId)) return res.status(403).json({ message: 'Forbidden (not an assigned reviewer)' });
+      } else {
+        if (!isLeaderUser(req)) return res.status(403).json({ message: 'Forbidden' });
+        if (vr.requester_id === leaderId) return res.status(403).json({ message: 'Forbidden (cannot review your own record)' });
+        const scope = await getLeaderTeamScope(db, req);
+        if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+        if (vr.team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+      }
+
+      const out = await withTransaction(async (tx) => {
+        // Serialise concurrent reviews and resubmits on the request row; round, status and rubric are read under the lock.
+        const current = hydrateRow(await tx.q1(`select id, status, current_round, rubric_snapshot from verification_requests where id = ? limit 1 for update`, [vr.id]));
+        if (!current) return { status: 404, message: 'Not found' };
+        const currentRound = Number(current.current_round || 1);
+        if (current.status !== 'Pending' && current.status !== 'InReview') {
+          return { status: 409, message: `Request is ${current.status}; round ${currentRound} no longer takes reviews` };
+        }
+        if (round != null && round !== currentRound) return { status: 409, message: `Round ${round} is closed; the request is in round ${currentRound}` };
+
+        const scoring = scoreReview(current.rubric_snapshot, scores);
+        if (!scoring.ok) return { errors: scoring.errors };
+        const suggested = scoring.scored ? scoring.suggested_result : null;
+
+        const reviewPayload = {
+          request_id: vr.id,
+          round: currentRound,
+          leader_id: leaderId,
+          result,
+          scores: scoring.scores,
+          leader_feedback: typeof leader_feedback === 'string' ? leader_feedback : null,
+          reviewed_at: new Date().toISOString(),
+          computed_total: scoring.scored ? scoring.total : null,
+          suggested_result: suggested,
+          result_overridden: suggested ? Number(suggested !== result) : null,
+          // Authorized above as the requester's team leader (no assigned reviewers); settleRound counts only these.
+          team_leader_review: Number(!reviewers.length),
+        };
+
+        // Upsert by (request_id, round, reviewer): reviewing the current round again replaces the reviewer's own
+        // review, earlier rounds and other reviewers' reviews are kept.
+        await tx.q(
+          `
+            insert into verification_reviews (request_id, round, leader_id, result, scores, leader_feedback, reviewed_at, computed_total, suggested_result, result_overridden, team_leader_review)
+            values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            on duplicate key update
+              leader_id = values(leader_id),
+              result = values(result),
+              scores = values(scores),
+              leader_feedback = values(leader_feedback),
+              reviewed_at = values(reviewed_at),
+              computed_total = values(computed_total),
+              suggested_result = values(suggested_result),
+              result_overridden = values(result_overridden),
+              team_leader_review = values(team_leader_review)
+          `,
+          [
+            reviewPayload.request_id,
+            reviewPayload.round,
+            reviewPayload.leader_id,
+            reviewPayload.result,
+            normalizeDbValue(reviewPayload.scores),
+            reviewPayload.leader_feedback,
+            reviewPayload.reviewed_at,
+            reviewPayload.computed_total,
+            reviewPayload.suggested_result,
+            reviewPayload.result_overridden,
+            reviewPayload.team_leader_review,
+          ]
+        );
+
+        const settled = await settleRound(tx, vr.id);
+        const saved = hydrateRow(
+          await tx.q1(`select * from verification_reviews where request_id = ? and round = ? and leader_id = ? limit 1`, [vr.id, reviewPayload.round, leaderId])
+        );
+        return { review: saved, settled, scoring, feedback: reviewPayload.leader_feedback };
+      });
+      if (out.errors) return sendValidationError(res, out.errors);
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      const { scoring } = out;
+      const suggested = scoring.scored ? scoring.suggested_result : null;
+      if (out.settled.status === 'Reviewed') {
+        const feedback = out.settled.reviewers ? null : out.feedback;
+        events.emit('verification.reviewed', { verificationRequestId: vr.id, actorId: leaderId, result: out.settled.final_result, feedback });
+      }
+      res.json({
+        data: {
+          review: out.review || null,
+          aggregate: out.settled,
+          scoring: scoring.scored
+            ? { total: scoring.total, suggested_result: suggested, agrees: suggested ? suggested === result : null, breakdown: scoring.breakdown }
+            : null,
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // PUT /verification-requests/:id/reviewers  Body: { reviewer_ids: [user id, ...], aggregation_policy?: all_pass|majority|average_score }
+  // Leader of the requester's team only. Replaces the reviewer list; [] goes back to the single team-leader review.
+  router.put('/verification-requests/:id/reviewers', authenticate, requireLeader, async (req, res) => {
+    const { id } = req.params;
+    const { reviewer_ids, aggregation_policy } = req.body || {};
+    if (!Array.isArray(reviewer_ids) || !reviewer_ids.every((r) => typeof r === 'string' && r.trim())) {
+      return res.status(400).json({ error: 'reviewer_ids must be an array of user ids' });
+    }
+    const policy = typeof aggregation_policy === 'undefined' || aggregation_policy === null ? 'majority' : aggregation_policy;
+    if (!AGGREGATION_POLICIES.includes(policy)) return res.status(400).json({ error: `aggregation_policy must be one of ${AGGREGATION_POLICIES.join(', ')}` });
+    const reviewerIds = Array.from(new Set(reviewer_ids.map((r) => r.trim())));
+
+    try {
+      const vr = await q1(
+        `select vr.id, u.team_id from verification_requests vr join goals g on g.id = vr.goal_id join users u on u.id = vr.requester_id where vr.id = ? and g.deleted_at is null limit 1`,
+        [id]
+      );
+      if (!vr) return res.status(404).json({ error: 'Not found' });
+      const scope = await getLeaderTeamScope(db, req);
+      if (!scope.ok) return res.status(scope.status).json({ message: scope.message });
+      if (vr.team_id !== scope.teamId) return res.status(403).json({ message: 'Forbidden (team scope)' });
+
+      const before = new Set((await listReviewers(db, id)).map((r) => r.reviewer_id));
+      const out = await withTransaction((tx) => assignReviewers(tx, id, { reviewerIds, policy, assignedBy: req.user.sub }));
+      if (out.status) return res.status(out.status).json({ message: out.message });
+
+      const added = reviewerIds.filter((r) => !before.has(r));
+      if (added.length) events.emit('verification.reviewers_assigned', { verificationRequestId: id, actorId: req.user.sub, reviewerIds: added });
+      if (out.data.status === 'Reviewed') {
+        events.emit('verification.reviewed', { verificationRequestId: id, actorId: req.user.sub, result: out.data.final_result, feedback: null });
+      }
+      res.json({ data: { reviewers: await listReviewers(db, id), aggregate: out.data } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  // POST /verification-requests/:id/resubmit  Body: { evidence_links?, member_notes? }
+  // Requester only, after a NeedsWork review; opens the next round and puts the request back to Pending.
+  router.post('/verification-requests/:id/resubmit', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const requesterId = req.user.sub;
+    const { evidence_links, member_notes } = req.body || {};
+    if (typeof evidence_links !== 'undefined' && !Array.isArray(evidence_links)) return res.status(400).json({ error: 'evidence_links must be an array' });
+    if (typeof member_notes !== 'undefined' && member_notes !== null && typeof member_notes !== 'string') return res.status(400).json({ error: 'member_notes must be a string' });
+
+    try {
+      const out = await withTransaction((tx) => resubmitVerification(tx, id, { requesterId, evidenceLinks: evidence_links, memberNotes: member_notes }));
+      if (out.status) return res.status(out.status).json({ message: out.message });
+      events.emit('verification.resubmitted', { verificationRequestId: id, actorId: requesterId, round: out.data.round });
+
+      const data = hydrateRow(await q1(`select * from verification_requests where id = ? limit 1`, [id]));
+      res.json({ data: { ...data, rounds: await loadRoundTimeline(db, id) } });
+    } catch (e) {
+      res.status(500).json({ error: e instanceof Error ? e.message : String(e) });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+import net from 'node:net';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Local stand-ins for notification delivery (development only):
+//   - a minimal SMTP server that accepts every message and prints it
+//   - an HTTP receiver that prints webhook POSTs and checks their HMAC signature
+//
+// Usage:
+//   npm run catcher
+//   SMTP_URL=smtp://127.0.0.1:1025 WEBHOOK_ALLOWED_HOSTS=127.0.0.1 npm run goal
+//   then add a team webhook channel pointing at http://127.0.0.1:4010/hook
+//   (loopback targets are refused unless WEBHOOK_ALLOWED_HOSTS lists them, see lib/transports.js)
+//
+// Env: CATCHER_SMTP_PORT (1025), CATCHER_HTTP_PORT (4010),
+//      CATCHER_WEBHOOK_SECRET (the channel secret; without it signatures are printed but not checked).
+
+const SMTP_PORT = Number(process.env.CATCHER_SMTP_PORT || 1025);
+const HTTP_PORT = Number(process.env.CATCHER_HTTP_PORT || 4010);
+const WEBHOOK_SECRET = process.env.CATCHER_WEBHOOK_SECRET || null;
+
+function startSmtp() {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    let dataLines = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 idp-okr catcher ESMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            console.log('[SMTP]', `from=${envelope.from} to=${envelope.to.join(',')}\n${dataLines.join('\n')}\n`);
+            envelope = { from: null, to: [] };
+            dataLines = [];
+            reply('250 OK: queued');
+          } else {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO') {
+          reply('250-idp-okr catcher');
+          reply('250 8BITMIME');
+        } else if (cmd === 'HELO') reply('250 idp-okr catcher');
+        else if (cmd === 'MAIL') {
+          envelope.from = line.slice(line.indexOf(':') + 1).trim();
+          reply('250 OK');
+        } else if (cmd === 'RCPT') {
+          envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+          reply('250 OK');
+        } else if (cmd === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (cmd === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (cmd === 'NOOP') reply('250 OK');
+        else if (cmd === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('502 Command not implemented');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  server.listen(SMTP_PORT, () => console.log('[CATCHER]', `SMTP on 127.0.0.1:${SMTP_PORT}`));
+}
+
+function startHttp() {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const timestamp = req.headers['x-idp-timestamp'];
+      const signature = req.headers['x-idp-signature'];
+      let verdict = 'unchecked';
+      if (WEBHOOK_SECRET) {
+        const expected = `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+        verdict = signature === expected ? 'valid' : 'INVALID';
+      }
+      console.log('[WEBHOOK]', `${req.method} ${req.url} event=${req.headers['x-idp-event']} signature=${verdict}\n${body}\n`);
+      res.writeHead(verdict === 'INVALID' ? 401 : 204);
+      res.end();
+    });
+  });
+  server.listen(HTTP_PORT, () => console.log('[CATCHER]', `webhooks on http://127.0.0.1:${HTTP_PORT}`));
+}
+
+startSmtp();
+startHttp();
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+// Attachment deletes: the uploader or a leader of the owning record's team; assigned reviewers only read.
+
+const TEAMS = { 'leader-1': 'team-1', 'leader-2': 'team-2' };
+const attachment = { id: 'att-1', entity_type: 'verification_request', entity_id: 'vr-1', uploaded_by: 'member-1', storage_key: 'verification_request/vr-1/att-1' };
+
+async function withApp(extra, fn) {
+  const db = createStubDb([
+    ...extra,
+    [/^select \* from attachments where id = \?/, attachment],
+    [/^select vr\.id, vr\.requester_id, vr\.status, u\.team_id as requester_team_id/, { id: 'vr-1', requester_id: 'member-1', status: 'Pending', requester_team_id: 'team-1' }],
+    // leader-2 leads another team and is an assigned reviewer of vr-1.
+    [/^select reviewer_id from verification_request_reviewers where request_id = \? and reviewer_id = \?/, (params) => (params[1] === 'leader-2' ? { reviewer_id: 'leader-2' } : [])],
+    [/^select u\.id, u\.team_id, t\.name as team_name/, (params) => ({ id: params[0], team_id: TEAMS[params[0]] ?? null, team_name: null })],
+    [/^select vr\.requester_id as owner_id/, { owner_id: 'member-1', owner_team_id: 'team-1' }],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+test('an assigned reviewer from another team cannot delete the requester\'s evidence', async () => {
+  await withApp([], async (app, db) => {
+    const r = await app.request('DELETE', '/attachments/att-1', { user: 'leader-2', groups: ['leader'] });
+    assert.equal(r.status, 403);
+    assert.equal(db.writes('attachments').length, 0);
+  });
+});
+
+test('the uploader and the requester\'s team leader can delete', async () => {
+  for (const caller of [{ user: 'member-1' }, { user: 'leader-1', groups: ['leader'] }]) {
+    await withApp([], async (app, db) => {
+      const r = await app.request('DELETE', '/attachments/att-1', caller);
+      assert.equal(r.status, 200);
+      assert.equal(db.writes('attachments').length, 1);
+    });
+  }
+});
+
+test('uploads past the per-record limit answer 409 without recording the file', async () => {
+  await withApp(
+    [
+      [/^select id from verification_requests where id = \? limit 1 for update/, { id: 'vr-1' }],
+      [/^select count\(\*\) as n from attachments/, { n: 1000 }],
+    ],
+    async (app, db) => {
+      const r = await app.request('POST', '/verification-requests/vr-1/attachments?filename=notes.txt', {
+        user: 'member-1',
+        headers: { 'content-type': 'text/plain' },
+        raw: 'evidence',
+      });
+      assert.equal(r.status, 409);
+      assert.equal(db.writes('attachments').length, 0);
+      const locked = db.calls.findIndex((c) => c.sql.startsWith('select id from verification_requests'));
+      const counted = db.calls.findIndex((c) => c.sql.startsWith('select count(*) as n from attachments'));
+      assert.ok(locked >= 0 && locked < counted);
+    }
+  );
+});
+
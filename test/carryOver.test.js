@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+import { carryOverGoal, listRolloverCandidates } from '../lib/carryOver.js';
+
+// Year rollover: the copy in year+1, its re-dated plans, the locked original and the 409 paths.
+
+const goalRow = (over = {}) => ({
+  id: 'goal-1',
+  user_id: 'member-1',
+  name: 'Ship it',
+  year: 2025,
+  status: 'In Progress',
+  progress: 40,
+  time_bound: '2025-12-31',
+  carried_over_to: null,
+  deleted_at: null,
+  ...over,
+});
+
+const plans = [
+  { id: 'plan-1', activity: 'Started last year', start_date: '2025-11-01', end_date: '2025-12-15', status: 'In Progress' },
+  { id: 'plan-2', activity: 'Runs into next year', start_date: '2025-12-01', end_date: '2026-02-01', status: 'Not Started' },
+];
+
+function rolloverDb(goal, { successor = null } = {}) {
+  return createStubDb([
+    [/^select \* from goals where id = \? and deleted_at is null limit 1 for update/, goal],
+    [/^select id from goals where id = \? and deleted_at is null/, successor ?? []],
+    [/^select \* from action_plans where goal_id = \? and deleted_at is null and status <> 'Completed'/, plans],
+  ]);
+}
+
+test('the copy starts on Jan 1 of the next year and its plans drop last year\'s dates', async () => {
+  const db = rolloverDb(goalRow());
+  const out = await carryOverGoal(db, 'goal-1');
+  assert.equal(out.status, undefined);
+
+  const [copy] = db.inserted('goals');
+  assert.equal(copy.year, 2026);
+  assert.equal(copy.start_date, '2026-01-01');
+  assert.equal(copy.time_bound, '2026-12-31');
+  assert.equal(copy.progress, 40);
+  assert.equal(copy.carried_over_from, 'goal-1');
+
+  const copied = db.inserted('action_plans');
+  assert.deepEqual(
+    copied.map((p) => [p.activity, p.start_date, p.end_date ?? null, p.goal_id]),
+    [
+      ['Started last year', '2026-01-01', null, copy.id],
+      ['Runs into next year', '2026-01-01', '2026-02-01', copy.id],
+    ]
+  );
+
+  const [stamp] = db.writes('goals').filter((c) => c.sql.startsWith('update'));
+  assert.match(stamp.sql, /`carried_over_to` = \?.*`is_locked` = \?/);
+  assert.equal(stamp.params[0], copy.id);
+  assert.equal(stamp.params.at(-1), 'goal-1');
+});
+
+test('a time_bound already in the next year is kept', async () => {
+  const db = rolloverDb(goalRow({ time_bound: '2026-06-30' }));
+  await carryOverGoal(db, 'goal-1');
+  assert.equal(db.inserted('goals')[0].time_bound, '2026-06-30');
+});
+
+test('a goal whose copy was deleted can be carried over again', async () => {
+  const db = rolloverDb(goalRow({ carried_over_to: 'goal-old-copy' }));
+  const out = await carryOverGoal(db, 'goal-1');
+  assert.equal(out.status, undefined);
+  assert.equal(db.inserted('goals').length, 1);
+  assert.equal(db.calls.find((c) => c.sql.startsWith('select id from goals')).params[0], 'goal-old-copy');
+});
+
+test('completed, already carried over and missing goals are refused without writes', async () => {
+  const completed = rolloverDb(goalRow({ status: 'Completed' }));
+  assert.equal((await carryOverGoal(completed, 'goal-1')).status, 409);
+  assert.equal(completed.writes().length, 0);
+
+  const carried = rolloverDb(goalRow({ carried_over_to: 'goal-2' }), { successor: { id: 'goal-2' } });
+  const out = await carryOverGoal(carried, 'goal-1');
+  assert.equal(out.status, 409);
+  assert.match(out.message, /goal-2/);
+  assert.equal(carried.writes().length, 0);
+
+  const missing = createStubDb();
+  assert.equal((await carryOverGoal(missing, 'goal-1')).status, 404);
+});
+
+test('POST /goals/:id/carry-over answers 409 for a goal that was already carried over', async () => {
+  const db = createStubDb([
+    [/^select g\.id, g\.user_id, g\.status, g\.is_locked/, { id: 'goal-1', user_id: 'member-1', owner_team_id: 'team-1' }],
+    [/^select \* from goals where id = \? and deleted_at is null limit 1 for update/, goalRow({ carried_over_to: 'goal-2' })],
+    [/^select id from goals where id = \? and deleted_at is null/, { id: 'goal-2' }],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    const r = await app.request('POST', '/goals/goal-1/carry-over', { user: 'member-1' });
+    assert.equal(r.status, 409);
+    assert.equal(db.writes('goals').length, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rollover candidates are the team\'s unfinished goals not carried over to a live copy', async () => {
+  const db = createStubDb();
+  await listRolloverCandidates(db, { teamId: 'team-1', fromYear: 2025, userId: 'member-1' });
+  const [call] = db.calls;
+  assert.deepEqual(call.params, ['team-1', 2025, 'member-1']);
+  assert.match(call.sql, /g\.status <> 'Completed'/);
+  assert.match(call.sql, /g\.carried_over_to is null or not exists \(select 1 from goals s where s\.id = g\.carried_over_to and s\.deleted_at is null\)/);
+});
+
+test('GET /leader/goals skips carried-over originals, like the summary', async () => {
+  const db = createStubDb([[/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }]]);
+  const app = await startTestApp(db);
+  try {
+    const list = await app.request('GET', '/leader/goals?year=2025', { user: 'leader-1', groups: ['leader'] });
+    assert.equal(list.status, 200);
+    const summary = await app.request('GET', '/leader/goals/summary?year=2025', { user: 'leader-1', groups: ['leader'] });
+    assert.equal(summary.status, 200);
+    const goalQueries = db.calls.filter((c) => /from goals g join users u/.test(c.sql));
+    assert.equal(goalQueries.length, 3);
+    for (const c of goalQueries) assert.match(c.sql, /g\.carried_over_to is null/);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { DEFAULT_MAX_DEADLINE_CHANGES, getDeadlineChangeLimit } from '../lib/deadlineRequests.js';
+
+const limitFor = (value) => getDeadlineChangeLimit(createStubDb([[/select t\.max_deadline_changes/, { max_deadline_changes: value }]]), 'goal-1');
+
+test('teams without their own cap use MAX_DEADLINE_CHANGES', async () => {
+  assert.equal(await limitFor(null), DEFAULT_MAX_DEADLINE_CHANGES);
+  assert.equal(await getDeadlineChangeLimit(createStubDb(), 'goal-1'), DEFAULT_MAX_DEADLINE_CHANGES);
+});
+
+test('a team cap, including 0, wins over the default', async () => {
+  assert.equal(await limitFor(5), 5);
+  assert.equal(await limitFor(0), 0);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import ExcelJS from 'exceljs';
+import { sendExport } from '../lib/export.js';
+
+// Formula-looking text: CSV gets the apostrophe guard, XLSX keeps the text as-is in a string cell.
+
+const sheets = [{ name: 'Goals', rows: [{ name: '=SUM(A1:A2)', note: 'plain' }] }];
+
+async function exportBytes(format) {
+  const res = new PassThrough();
+  res.setHeader = () => {};
+  res.status = () => res;
+  const chunks = [];
+  res.on('data', (c) => chunks.push(c));
+  const done = new Promise((resolve) => res.on('end', resolve));
+  await sendExport({ query: {} }, res, format, { filename: 'goals', sheets });
+  res.end();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+test('CSV prefixes formula-looking cells', async () => {
+  const csv = (await exportBytes('csv')).toString('utf8');
+  assert.match(csv, /\r\n'=SUM\(A1:A2\),plain\r\n$/);
+});
+
+test('XLSX writes formula-looking text verbatim as a string cell', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportBytes('xlsx'));
+  const cell = workbook.getWorksheet('Goals').getCell('A2');
+  assert.equal(cell.type, ExcelJS.ValueType.String);
+  assert.equal(cell.value, '=SUM(A1:A2)');
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+import { parseCsvImport, parseJsonImport, validateImport } from '../lib/goalImport.js';
+
+// Bulk goal import: CSV grouping, owner scoping, client-supplied ids and dry runs.
+
+const csv = (...lines) => `${lines.join('\n')}\n`;
+
+const USERS = [
+  { id: 'member-1', email: 'member1@example.com', team_id: 'team-1' },
+  { id: 'member-2', email: 'member2@example.com', team_id: 'team-1' },
+  { id: 'outsider', email: 'outsider@example.com', team_id: 'team-2' },
+];
+
+const usersDb = (extra = []) =>
+  createStubDb([
+    ...extra,
+    [/^select id, email, team_id from users where id in \(\?\)/, (params) => USERS.filter((u) => params[0].includes(u.id))],
+    [/^select id, email, team_id from users where lower\(email\) in \(\?\)/, (params) => USERS.filter((u) => params[0].includes(u.email))],
+  ]);
+
+const MEMBER_CTX = { callerId: 'member-1', isLeader: false, leaderTeamId: null, role: 'member', csv: true };
+const LEADER_CTX = { callerId: 'leader-1', isLeader: true, leaderTeamId: 'team-1', role: 'leader', csv: true };
+
+test('CSV rows group by owner, goal name and year unless goal_ref says otherwise', () => {
+  const out = parseCsvImport(
+    csv(
+      'member_email,goal_name,goal_year,plan_activity',
+      'member1@example.com,Ship it,2026,Write code',
+      'Member1@example.com,Ship it,2026,Write tests',
+      'member1@example.com,Ship it,2027,Maintain',
+      'member2@example.com,Ship it,2026,'
+    )
+  );
+  assert.equal(out.ok, true);
+  assert.deepEqual(out.errors, []);
+  assert.deepEqual(
+    out.entries.map((e) => [e.at, e.owner.email, e.goal.year, e.plans.map((p) => p.plan.activity)]),
+    [
+      ['line 2', 'member1@example.com', '2026', ['Write code', 'Write tests']],
+      ['line 4', 'member1@example.com', '2027', ['Maintain']],
+      ['line 5', 'member2@example.com', '2026', []],
+    ]
+  );
+
+  const byRef = parseCsvImport(csv('goal_ref,goal_name,goal_year,plan_activity', 'a,Ship it,2026,One', 'a,,,Two', 'b,Ship it,2026,Three'));
+  assert.deepEqual(
+    byRef.entries.map((e) => [e.goal.name, e.plans.length]),
+    [
+      ['Ship it', 2],
+      ['Ship it', 1],
+    ]
+  );
+});
+
+test('a goal column that differs between rows of the same goal is reported against the later row', () => {
+  const out = parseCsvImport(csv('goal_ref,goal_name,goal_year,goal_description', 'a,Ship it,2026,First', 'a,Ship it,2026,Second'));
+  assert.equal(out.ok, true);
+  assert.deepEqual(out.errors, [{ at: 'line 3', field: 'goal_description', message: 'differs from line 2 for the same goal' }]);
+});
+
+test('unknown columns and empty files reject the whole CSV', () => {
+  assert.deepEqual(parseCsvImport(csv('goal_name,goal_colour', 'Ship it,blue')).errors, [{ at: 'line 1', field: 'goal_colour', message: 'is not a known column' }]);
+  assert.equal(parseCsvImport(csv('goal_name,goal_year')).ok, false);
+  assert.equal(parseJsonImport({ goals: [] }).ok, false);
+});
+
+test('members import only their own goals; leaders only for their team', async () => {
+  const entries = parseJsonImport({
+    goals: [
+      { name: 'Mine', year: 2026 },
+      { name: 'Own by email', year: 2026, member_email: 'MEMBER1@example.com' },
+      { name: 'Teammate', year: 2026, member_email: 'member2@example.com' },
+      { name: 'Other team', year: 2026, user_id: 'outsider' },
+      { name: 'Nobody', year: 2026, member_email: 'ghost@example.com' },
+    ],
+  }).entries;
+
+  const asMember = await validateImport(usersDb(), entries, { ...MEMBER_CTX, csv: false });
+  assert.deepEqual(
+    asMember.entries.map((e) => [e.goal.name, e.ownerId]),
+    [
+      ['Mine', 'member-1'],
+      ['Own by email', 'member-1'],
+    ]
+  );
+  assert.deepEqual(
+    asMember.errors.map((e) => [e.at, e.message]),
+    [
+      ['goals[2]', 'members can only import their own goals'],
+      ['goals[3]', 'members can only import their own goals'],
+      ['goals[4]', 'does not match a known user'],
+    ]
+  );
+
+  const asLeader = await validateImport(usersDb(), entries, { ...LEADER_CTX, csv: false });
+  assert.deepEqual(
+    asLeader.entries.map((e) => e.ownerId),
+    ['leader-1', 'member-1', 'member-2']
+  );
+  assert.deepEqual(
+    asLeader.errors.map((e) => [e.at, e.field, e.message]),
+    [
+      ['goals[3]', 'user_id', 'is not a member of your team'],
+      ['goals[4]', 'member_email', 'does not match a known user'],
+    ]
+  );
+});
+
+test('client-supplied ids must be unique in the file and unused in the database', async () => {
+  const taken = '11111111-1111-4111-8111-111111111111';
+  const dup = '22222222-2222-4222-8222-222222222222';
+  const { entries } = parseCsvImport(
+    csv(
+      'goal_ref,goal_id,goal_name,goal_year,plan_id,plan_activity',
+      `a,${taken},One,2026,${dup},Plan A`,
+      `b,,Two,2026,${dup},Plan B`
+    )
+  );
+  const db = usersDb([[/^select id from goals where id in \(\?\)/, [{ id: taken }]]]);
+  const out = await validateImport(db, entries, MEMBER_CTX);
+  assert.deepEqual(out.errors, [
+    { at: 'line 2', field: 'goal_id', message: 'already exists' },
+    { at: 'line 3', field: 'plan_id', message: 'duplicates line 2' },
+  ]);
+});
+
+test('field errors point at the CSV column and line they came from', async () => {
+  const { entries } = parseCsvImport(csv('goal_name,goal_year,plan_activity,plan_end_date', 'Ship it,1999,Write code,someday'));
+  const out = await validateImport(usersDb(), entries, MEMBER_CTX);
+  assert.deepEqual(
+    out.errors.map((e) => [e.at, e.field]),
+    [
+      ['line 2', 'goal_year'],
+      ['line 2', 'plan_end_date'],
+    ]
+  );
+});
+
+test('POST /import/goals: a dry run never writes, a real run inserts, an invalid run inserts nothing', async () => {
+  const db = usersDb();
+  const app = await startTestApp(db);
+  const post = (query, body) => app.request('POST', `/import/goals${query}`, { user: 'member-1', headers: { 'content-type': 'text/csv' }, raw: body });
+  try {
+    const valid = csv('goal_name,goal_year,plan_activity', 'Ship it,2026,Write code', 'Ship it,2026,Write tests');
+
+    const dry = await post('?dry_run=1', valid);
+    assert.equal(dry.status, 200);
+    assert.deepEqual([dry.body.data.dry_run, dry.body.data.valid, dry.body.data.goals, dry.body.data.action_plans], [true, true, 1, 2]);
+    const dryInvalid = await post('?dry_run=true', csv('goal_name,goal_year', 'Ship it,nope'));
+    assert.equal(dryInvalid.status, 200);
+    assert.equal(dryInvalid.body.data.valid, false);
+    assert.equal(db.writes().length, 0);
+
+    const invalid = await post('', csv('goal_name,goal_year', 'Ship it,nope'));
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.message, 'Validation failed');
+    assert.equal(db.writes().length, 0);
+
+    const real = await post('', valid);
+    assert.equal(real.status, 200);
+    const [goal] = db.inserted('goals');
+    assert.deepEqual([goal.name, goal.year, goal.user_id], ['Ship it', 2026, 'member-1']);
+    assert.deepEqual(
+      db.inserted('action_plans').map((p) => [p.activity, p.goal_id]),
+      [
+        ['Write code', goal.id],
+        ['Write tests', goal.id],
+      ]
+    );
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planGoalTransition } from '../lib/goalLifecycle.js';
+
+const pending = { id: 'goal-1', user_id: 'owner-1', status: 'Not started', review_status: 'Pending' };
+
+test('a leader approves another member\'s pending goal', () => {
+  const t = planGoalTransition(pending, 'approve', 'leader', 'leader-1');
+  assert.equal(t.ok, true);
+  assert.deepEqual(t.patch, { review_status: 'Approved', is_locked: 1, status: 'In Progress' });
+});
+
+test('the owner cannot approve or reject their own goal, even as a leader', () => {
+  for (const action of ['approve', 'reject']) {
+    const t = planGoalTransition(pending, action, 'leader', 'owner-1');
+    assert.equal(t.ok, false);
+    assert.equal(t.status, 403);
+  }
+});
+
+test('approve and reject need a known actor', () => {
+  assert.equal(planGoalTransition(pending, 'approve', 'leader').status, 403);
+});
+
+test('owner actions stay with the owner', () => {
+  assert.equal(planGoalTransition({ ...pending, review_status: null }, 'request', 'owner', 'owner-1').ok, true);
+  assert.equal(planGoalTransition(pending, 'cancel', 'leader', 'leader-1').status, 403);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+// Review locks (423) on goals and action plans, and the weekly-report gating (409).
+
+const MEMBER = { user: 'member-1' };
+const LEADER = { user: 'leader-1', groups: ['leader'] };
+
+const goalRow = (over = {}) => ({ id: 'goal-1', user_id: 'member-1', status: 'Not started', is_locked: 0, review_status: null, deleted_at: null, owner_team_id: 'team-1', version: 1, ...over });
+const planAccessRow = { id: 'plan-1', goal_id: 'goal-1', user_id: 'member-1', owner_team_id: 'team-1' };
+
+async function withApp(handlers, fn) {
+  const db = createStubDb(handlers);
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+test('PUT /goals/:id answers 423 while the goal is locked for review', async () => {
+  await withApp([[/^select \* from goals where id = \? and deleted_at is null limit 1 for update/, goalRow({ is_locked: 1, review_status: 'Pending' })]], async (app, db) => {
+    const r = await app.request('PUT', '/goals/goal-1', { ...MEMBER, body: { progress: 10 } });
+    assert.equal(r.status, 423);
+    assert.equal(r.body.message, 'Goal is locked for review');
+    assert.equal(db.writes('goals').length, 0);
+  });
+});
+
+test('PUT /goals/:id on an approved, locked goal only accepts status/progress', async () => {
+  const locked = goalRow({ is_locked: 1, review_status: 'Approved', status: 'In Progress' });
+  await withApp([[/^select \* from goals where id = \?/, locked]], async (app, db) => {
+    const renamed = await app.request('PUT', '/goals/goal-1', { ...MEMBER, body: { name: 'Renamed' } });
+    assert.equal(renamed.status, 423);
+    assert.equal(db.writes('goals').length, 0);
+
+    const progressed = await app.request('PUT', '/goals/goal-1', { ...MEMBER, body: { progress: 40 } });
+    assert.equal(progressed.status, 200);
+    assert.equal(db.writes('goals').length, 1);
+  });
+});
+
+test('POST /goals/:goalId/action-plans answers 423 on a locked goal and 409 once it has started', async () => {
+  let goal = goalRow({ is_locked: 1, review_status: 'Pending' });
+  await withApp([[/^select g\.id, g\.user_id, g\.status, g\.is_locked/, () => goal]], async (app, db) => {
+    const locked = await app.request('POST', '/goals/goal-1/action-plans', { ...MEMBER, body: { activity: 'Write tests' } });
+    assert.equal(locked.status, 423);
+
+    goal = goalRow({ status: 'In Progress' });
+    const started = await app.request('POST', '/goals/goal-1/action-plans', { ...MEMBER, body: { activity: 'Write tests' } });
+    assert.equal(started.status, 409);
+    assert.equal(db.writes('action_plans').length, 0);
+  });
+});
+
+test('DELETE /action-plans/:id answers 423 for a member while the plan is locked, leaders may still delete', async () => {
+  await withApp(
+    [
+      [/from action_plans ap left join goals g/, { ...planAccessRow, owner_team_id: 'team-1' }],
+      [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+      [/^select id, is_locked from action_plans/, { id: 'plan-1', is_locked: 1 }],
+    ],
+    async (app, db) => {
+      const member = await app.request('DELETE', '/action-plans/plan-1', MEMBER);
+      assert.equal(member.status, 423);
+      assert.equal(db.writes('action_plans').length, 0);
+
+      const leader = await app.request('DELETE', '/action-plans/plan-1', LEADER);
+      assert.equal(leader.status, 200);
+    }
+  );
+});
+
+test('PUT /action-plans/:id answers 423 for anything but a deadline change while pending review', async () => {
+  const plan = { id: 'plan-1', goal_id: 'goal-1', is_locked: 1, review_status: 'Pending', status: 'Not Started', start_date: '2026-01-01', end_date: '2026-03-01', request_deadline_date: null, deadline_change_count: 0 };
+  await withApp(
+    [
+      [/from action_plans ap left join goals g/, planAccessRow],
+      [/^select \* from action_plans where id = \? and deleted_at is null limit 1 for update/, plan],
+    ],
+    async (app, db) => {
+      const r = await app.request('PUT', '/action-plans/plan-1', { ...MEMBER, body: { activity: 'Changed' } });
+      assert.equal(r.status, 423);
+
+      const statusChange = await app.request('PUT', '/action-plans/plan-1', { ...MEMBER, body: { status: 'In Progress' } });
+      assert.equal(statusChange.status, 423);
+      assert.equal(db.writes('action_plans').length, 0);
+    }
+  );
+});
+
+test('PUT /action-plans/:id checks the review state of the row it locks', async () => {
+  // Review was requested after any earlier read: only the locked row knows.
+  let plan = { id: 'plan-1', goal_id: 'goal-1', is_locked: 1, review_status: 'Pending', status: 'Not Started', end_date: '2026-03-01', request_deadline_date: null, version: 2 };
+  await withApp(
+    [
+      [/from action_plans ap left join goals g/, planAccessRow],
+      [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+      [/^select \* from action_plans where id = \? and deleted_at is null limit 1 for update/, () => plan],
+    ],
+    async (app, db) => {
+      const locked = await app.request('PUT', '/action-plans/plan-1', { ...MEMBER, body: { activity: 'Changed' } });
+      assert.equal(locked.status, 423);
+
+      plan = { ...plan, is_locked: 0 };
+      const statusChange = await app.request('PUT', '/action-plans/plan-1', { ...MEMBER, body: { status: 'In Progress' } });
+      assert.equal(statusChange.status, 409);
+      assert.equal(db.writes('action_plans').length, 0);
+
+      const leader = await app.request('PUT', '/action-plans/plan-1', { ...LEADER, body: { activity: 'Changed' } });
+      assert.equal(leader.status, 200);
+      assert.equal(db.writes('action_plans').length, 1);
+    }
+  );
+});
+
+test('POST weekly reports is gated on an In Progress goal and an In Progress/Blocked plan (409)', async () => {
+  const state = { goal: 'Not started', plan: 'In Progress' };
+  await withApp(
+    [
+      [/from action_plans ap left join goals g/, planAccessRow],
+      [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+      [/^select id, goal_id, status from action_plans/, () => ({ id: 'plan-1', goal_id: 'goal-1', status: state.plan })],
+      [/^select id, status from goals/, () => ({ id: 'goal-1', status: state.goal })],
+      [/^select \* from weekly_reports where id = \?/, (params) => ({ id: params[0], action_plan_id: 'plan-1', goal_id: 'goal-1', date: '2026-01-05' })],
+    ],
+    async (app, db) => {
+      const body = { date: '2026-01-05', work_done: 'Progress' };
+
+      const goalNotStarted = await app.request('POST', '/action-plans/plan-1/weekly-reports', { ...MEMBER, body });
+      assert.equal(goalNotStarted.status, 409);
+
+      state.goal = 'In Progress';
+      state.plan = 'Not Started';
+      const planNotStarted = await app.request('POST', '/action-plans/plan-1/weekly-reports', { ...MEMBER, body });
+      assert.equal(planNotStarted.status, 409);
+      assert.equal(db.writes('weekly_reports').length, 0);
+
+      state.plan = 'Blocked';
+      const blocked = await app.request('POST', '/action-plans/plan-1/weekly-reports', { ...MEMBER, body });
+      assert.equal(blocked.status, 200);
+      assert.equal(db.writes('weekly_reports').length, 1);
+
+      state.goal = 'Not started';
+      state.plan = 'Not Started';
+      const leader = await app.request('POST', '/action-plans/plan-1/weekly-reports', { ...LEADER, body });
+      assert.equal(leader.status, 200);
+    }
+  );
+});
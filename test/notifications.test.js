@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+import { buildNotification } from '../lib/notifications.js';
+import { getLeaderTeamScope } from '../lib/access.js';
+
+// Team-leader notifications go to the Cognito leader group (users.is_leader), whatever users.role says.
+
+const USERS = [
+  { id: 'member-1', team_id: 'team-1', role: 'member', is_leader: 0 },
+  { id: 'leader-1', team_id: 'team-1', role: 'manager', is_leader: 1 },
+  { id: 'leader-2', team_id: 'team-1', role: 'member', is_leader: 1 },
+  { id: 'leader-3', team_id: 'team-2', role: 'leader', is_leader: 1 },
+];
+
+// Answers the team-leader lookup from USERS, honouring whichever leader predicate the query uses.
+const teamLeaders = (params, sql) =>
+  USERS.filter((u) => u.team_id === params[0] && (!sql.includes('is_leader = 1') || u.is_leader === 1) && (!sql.includes("role = 'leader'") || u.role === 'leader'));
+
+test('review requests reach team leaders whose stored role is manager or member', async () => {
+  const db = createStubDb([
+    [/^select g\.id, g\.name, u\.name as owner_name/, { id: 'goal-1', name: 'Ship it', owner_name: 'Member One', owner_email: null, team_id: 'team-1' }],
+    [/^select id from users where team_id = \?/, teamLeaders],
+  ]);
+  const msg = await buildNotification(db, 'goal.review_requested', { goalId: 'goal-1', actorId: 'member-1' });
+  assert.deepEqual(msg.recipients.sort(), ['leader-1', 'leader-2']);
+});
+
+test('verification requests reach the requester\'s team leaders', async () => {
+  const db = createStubDb([
+    [/from verification_requests vr join goals g/, { id: 'vr-1', goal_name: 'Ship it', requester_name: 'Member One', requester_email: null, team_id: 'team-1' }],
+    [/^select id from users where team_id = \?/, teamLeaders],
+  ]);
+  const msg = await buildNotification(db, 'verification.requested', { verificationRequestId: 'vr-1', actorId: 'member-1' });
+  assert.deepEqual(msg.recipients.sort(), ['leader-1', 'leader-2']);
+});
+
+test('/auth/ensure-user records leader group membership alongside the derived role', async () => {
+  const db = createStubDb();
+  const app = await startTestApp(db);
+  try {
+    const r = await app.request('POST', '/auth/ensure-user', { user: 'leader-1', groups: ['manager', 'leader'], body: { name: 'Leader One' } });
+    assert.equal(r.status, 200);
+    const [insert] = db.writes('users');
+    assert.deepEqual(insert.params.slice(4), ['manager', 1]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the leader team-scope check marks leaders synced without ensure-user', async () => {
+  const db = createStubDb([[/^select u\.id, u\.team_id, t\.name as team_name, u\.is_leader/, { id: 'leader-2', team_id: 'team-1', is_leader: 0, team_name: 'Team 1' }]]);
+  const scope = await getLeaderTeamScope(db, { user: { sub: 'leader-2', 'cognito:groups': ['leader'] } });
+  assert.equal(scope.ok, true);
+  assert.deepEqual(db.writes('users').map((c) => c.params), [['leader-2']]);
+
+  const member = createStubDb([[/^select u\.id, u\.team_id, t\.name as team_name, u\.is_leader/, { id: 'member-1', team_id: 'team-1', is_leader: 0, team_name: 'Team 1' }]]);
+  await getLeaderTeamScope(member, { user: { sub: 'member-1', 'cognito:groups': [] } });
+  assert.equal(member.writes('users').length, 0);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { finishPage, parseListParams } from '../lib/pagination.js';
+
+// Keyset pagination (lib/pagination.js): cursor round-trips, the keyset condition and tie-breaking.
+
+const SPEC = {
+  sorts: {
+    created_at: { sql: 'g.created_at', field: 'created_at' },
+    name: { sql: 'g.name', field: 'name' },
+    progress: { sql: 'coalesce(g.progress, -1)', field: 'progress', nullAs: -1 },
+  },
+  defaultSort: '-created_at',
+  tieBreaker: { sql: 'g.id', field: 'id' },
+  defaultLimit: 2,
+  maxLimit: 10,
+};
+
+test('the keyset condition compares key by key, descending keys with <, the tie-breaker with >', () => {
+  const first = parseListParams({ sort: '-progress,name' }, SPEC);
+  assert.equal(first.orderBy, 'coalesce(g.progress, -1) desc, g.name asc, g.id asc');
+  assert.equal(first.afterSql, '');
+
+  const { page } = finishPage(
+    [
+      { id: 'a', progress: 50, name: 'Alpha' },
+      { id: 'b', progress: null, name: 'Beta' },
+      { id: 'c', progress: null, name: 'Gamma' },
+    ],
+    first,
+    3
+  );
+  const next = parseListParams({ cursor: page.next_cursor }, SPEC);
+  assert.equal(next.sort, '-progress,name');
+  assert.equal(next.afterSql, 'and ((coalesce(g.progress, -1) < ?) or (coalesce(g.progress, -1) = ? and g.name > ?) or (coalesce(g.progress, -1) = ? and g.name = ? and g.id > ?))');
+  // A null progress resumes as its coalesce() value.
+  assert.deepEqual(next.afterParams, [-1, -1, 'Beta', -1, 'Beta', 'b']);
+});
+
+test('cursors round-trip dates and remember their sort', () => {
+  const created = new Date('2026-03-01T10:00:00.000Z');
+  const first = parseListParams({ limit: '1' }, SPEC);
+  const { page } = finishPage(
+    [
+      { id: 'a', created_at: created },
+      { id: 'b', created_at: created },
+    ],
+    first,
+    2
+  );
+  assert.equal(page.has_more, true);
+  assert.equal(page.returned, 1);
+
+  const next = parseListParams({ cursor: page.next_cursor, limit: '1' }, SPEC);
+  assert.equal(next.ok, true);
+  assert.equal(next.sort, '-created_at');
+  assert.deepEqual(next.afterParams, [created, created, 'a']);
+  assert.ok(next.afterParams[0] instanceof Date);
+  assert.equal(next.offset, 0);
+
+  assert.deepEqual(parseListParams({ cursor: page.next_cursor, sort: 'name' }, SPEC), { ok: false, error: 'cursor was issued for a different sort' });
+  assert.deepEqual(parseListParams({ cursor: 'not-a-cursor' }, SPEC), { ok: false, error: 'cursor is invalid' });
+  const truncated = Buffer.from(JSON.stringify({ s: '-created_at', v: ['2026-03-01'] })).toString('base64url');
+  assert.deepEqual(parseListParams({ cursor: truncated }, SPEC), { ok: false, error: 'cursor is invalid' });
+});
+
+test('the last page has no cursor', () => {
+  const page = parseListParams({}, SPEC);
+  const out = finishPage([{ id: 'a', created_at: '2026-01-01' }], page, 1);
+  assert.deepEqual(out.page, { limit: 2, offset: 0, sort: '-created_at', total: 1, returned: 1, has_more: false, next_cursor: null });
+});
+
+// Stand-in for the database: order by the page's columns and apply its keyset condition to the cursor values.
+function query(rows, page) {
+  const valueOf = (row, c) => row[c.field] ?? c.nullAs ?? null;
+  const compare = (a, b) => {
+    for (const c of page.columns) {
+      const x = valueOf(a, c);
+      const y = valueOf(b, c);
+      if (x !== y) return (x < y ? -1 : 1) * (c.desc ? -1 : 1);
+    }
+    return 0;
+  };
+  const sorted = [...rows].sort(compare);
+  if (!page.afterSql) return sorted.slice(page.offset, page.offset + page.limit + 1);
+  // afterParams end with the full cursor tuple (the last "or" branch compares every column).
+  const cursor = page.afterParams.slice(-page.columns.length);
+  const cursorRow = Object.fromEntries(page.columns.map((c, i) => [c.field, cursor[i]]));
+  return sorted.filter((r) => compare(r, cursorRow) > 0).slice(0, page.limit + 1);
+}
+
+test('paging through equal sort keys returns every row exactly once, in tie-breaker order', () => {
+  const rows = ['e', 'b', 'd', 'a', 'c'].map((id) => ({ id, name: 'Same', progress: id < 'c' ? null : 10 }));
+  const seen = [];
+  let cursor;
+  for (let i = 0; i < 10; i++) {
+    const page = parseListParams({ sort: '-progress,name', cursor }, SPEC);
+    assert.equal(page.ok, true);
+    const out = finishPage(query(rows, page), page, rows.length);
+    seen.push(...out.rows.map((r) => r.id));
+    cursor = out.page.next_cursor;
+    if (!cursor) break;
+  }
+  assert.deepEqual(seen, ['c', 'd', 'e', 'a', 'b']);
+});
+
+test('limit and offset fall back to the defaults and stay in range', () => {
+  assert.equal(parseListParams({ limit: 'abc' }, SPEC).limit, 2);
+  assert.equal(parseListParams({ limit: '500' }, SPEC).limit, 10);
+  assert.equal(parseListParams({ offset: '-4' }, SPEC).offset, 0);
+  assert.deepEqual(parseListParams({ sort: 'colour' }, SPEC), { ok: false, error: 'Unknown sort key "colour" (allowed: created_at, name, progress)' });
+  assert.deepEqual(parseListParams({ sort: 'name,-name' }, SPEC), { ok: false, error: 'sort key "name" is repeated' });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { runTeamReminder } from '../lib/reminders.js';
+
+// Slot claims: a fresh slot is inserted, a stale 'Running' slot is taken over, anything else is left alone.
+
+const team = { id: 'team-1', reminder_cron: '0 15 * * 5', reminder_timezone: 'UTC' };
+const slot = new Date('2026-01-09T15:00:00.000Z');
+const events = { emit() {} };
+
+function stub({ inserted, takenOver }) {
+  return createStubDb([
+    [/^insert ignore into weekly_report_reminder_runs/, { affectedRows: inserted ? 1 : 0 }],
+    [/^update weekly_report_reminder_runs set claim_token = \?/, { affectedRows: takenOver ? 1 : 0 }],
+    [/^select id, attempts from weekly_report_reminder_runs/, { id: 'run-1', attempts: inserted ? 1 : 2 }],
+  ]);
+}
+
+test('a new slot is claimed and finished with its claim token', async () => {
+  const db = stub({ inserted: true });
+  const r = await runTeamReminder(db, events, team, slot);
+  assert.deepEqual(r, { runId: 'run-1', attempts: 1, plansMissing: 0, membersNotified: 0 });
+  const token = db.calls[0].params[6];
+  const finish = db.calls.find((c) => c.sql.startsWith('update weekly_report_reminder_runs set status'));
+  assert.deepEqual(finish.params.slice(-2), ['run-1', token]);
+});
+
+test('a stale Running slot is taken over, and the takeover is only conditional on status and age', async () => {
+  const db = stub({ inserted: false, takenOver: true });
+  const r = await runTeamReminder(db, events, team, slot);
+  assert.equal(r.attempts, 2);
+  const takeover = db.calls.find((c) => c.sql.startsWith('update weekly_report_reminder_runs set claim_token'));
+  assert.match(takeover.sql, /status = 'Running' and started_at < \?/);
+});
+
+test('a slot that is running elsewhere or already finished is skipped', async () => {
+  const db = stub({ inserted: false, takenOver: false });
+  assert.equal(await runTeamReminder(db, events, team, slot), null);
+  assert.equal(db.calls.filter((c) => c.sql.startsWith('update weekly_report_reminder_runs set status')).length, 0);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rubricProblem, scoreReview } from '../lib/rubric.js';
+
+// Rubric scoring (lib/rubric.js): weighted totals, the minimum bar and score validation.
+
+const rubric = (over = {}) => ({
+  scoring_type: 'rubric',
+  criteria: [
+    { id: 'impact', weight: 3 },
+    { id: 'quality', weight: 1 },
+  ],
+  minimum_bar: { pass: 75, needs_work: 40 },
+  ...over,
+});
+
+test('the total weighs each criterion\'s position on its scale', () => {
+  const out = scoreReview(rubric(), { impact: 5, quality: 1 });
+  assert.equal(out.ok, true);
+  assert.equal(out.scored, true);
+  // impact 4/4 * 3, quality 0/4 * 1 -> 3/4
+  assert.equal(out.total, 75);
+  assert.equal(out.suggested_result, 'Pass');
+  assert.deepEqual(
+    out.breakdown.map((b) => [b.id, b.score, b.weight]),
+    [
+      ['impact', 5, 3],
+      ['quality', 1, 1],
+    ]
+  );
+});
+
+test('below pass is NeedsWork, below needs_work is Fail', () => {
+  assert.equal(scoreReview(rubric(), { impact: 4, quality: 3 }).suggested_result, 'NeedsWork');
+  assert.equal(scoreReview(rubric(), { impact: 2, quality: 2 }).suggested_result, 'Fail');
+  // Without needs_work anything short of Pass is NeedsWork.
+  assert.equal(scoreReview(rubric({ minimum_bar: { pass: 75 } }), { impact: 1, quality: 1 }).suggested_result, 'NeedsWork');
+});
+
+test('a per-criterion minimum caps the result at NeedsWork', () => {
+  const bar = { pass: 70, criteria: { quality: 3 } };
+  const out = scoreReview(rubric({ minimum_bar: bar }), { impact: 5, quality: 2 });
+  assert.ok(out.total >= 70);
+  assert.equal(out.suggested_result, 'NeedsWork');
+  assert.equal(scoreReview(rubric({ minimum_bar: bar }), { impact: 5, quality: 3 }).suggested_result, 'Pass');
+});
+
+test('a rubric without a pass bar is scored but suggests nothing', () => {
+  const out = scoreReview(rubric({ minimum_bar: null }), { impact: 3, quality: 3 });
+  assert.equal(out.total, 50);
+  assert.equal(out.suggested_result, null);
+});
+
+test('pass_fail takes booleans and passes only at 100 by default', () => {
+  const snapshot = { scoring_type: 'pass_fail', criteria: ['demo', 'docs'] };
+  const passed = scoreReview(snapshot, { demo: true, docs: 1 });
+  assert.deepEqual(passed.scores, { demo: 1, docs: 1 });
+  assert.equal(passed.total, 100);
+  assert.equal(passed.suggested_result, 'Pass');
+
+  const failedOne = scoreReview(snapshot, { demo: true, docs: false });
+  assert.equal(failedOne.total, 50);
+  assert.equal(failedOne.suggested_result, 'NeedsWork');
+
+  assert.deepEqual(scoreReview(snapshot, { demo: 'yes', docs: 1 }).errors, [{ field: 'scores.demo', message: 'must be a number between 0 and 1' }]);
+});
+
+test('unknown, missing and out-of-range scores are validation errors', () => {
+  const out = scoreReview(rubric(), { impact: 6, extra: 3 });
+  assert.equal(out.ok, false);
+  assert.deepEqual(
+    out.errors.map((e) => e.field),
+    ['scores.extra', 'scores.impact', 'scores.quality']
+  );
+});
+
+test('optional criteria may be left out and do not count towards the total', () => {
+  const snapshot = rubric({ criteria: [{ id: 'impact', weight: 3 }, { id: 'quality', required: false }] });
+  const out = scoreReview(snapshot, { impact: 5 });
+  assert.equal(out.ok, true);
+  assert.equal(out.total, 100);
+  assert.deepEqual(out.scores, { impact: 5 });
+});
+
+test('rubrics that cannot be scored keep the scores as sent', () => {
+  assert.deepEqual(scoreReview({ scoring_type: 'rubric', criteria: [] }, { anything: 'goes' }), { ok: true, scored: false, scores: { anything: 'goes' } });
+  assert.deepEqual(scoreReview({ scoring_type: 'checklist', criteria: ['a'] }, { a: 1 }), { ok: true, scored: false, scores: { a: 1 } });
+  assert.equal(scoreReview(null, null).scored, false);
+});
+
+test('rubricProblem flags scorable rubrics with duplicate ids or an empty scale', () => {
+  assert.equal(rubricProblem(rubric()), null);
+  assert.equal(rubricProblem({ scoring_type: 'checklist', criteria: [{}] }), null);
+  assert.match(rubricProblem({ criteria: ['a', 'a'] }), /unique "id"/);
+  assert.match(rubricProblem({ criteria: [{ id: 'a', min: 3, max: 3 }] }), /min < max/);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+test('GET /search falls back to the default page for non-numeric limit/offset', async () => {
+  const db = createStubDb([[/^select count\(\*\) as total/, { total: 0 }]]);
+  const app = await startTestApp(db);
+  try {
+    const r = await app.request('GET', '/search?q=kubernetes&limit=abc&offset=x', { user: 'member-1' });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.meta.limit, 20);
+    assert.equal(r.body.meta.offset, 0);
+    const page = db.calls.find((c) => / limit \? offset \?$/.test(c.sql));
+    assert.deepEqual(page.params.slice(-2), [20, 0]);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,49 @@
+// Container-less stand-in for the db handle from createDb() in db.js.
+//
+// Queries are matched (whitespace-collapsed) against `handlers`, a list of [RegExp, rowsOrFn] pairs; the first
+// match answers. A function gets (params, sql) and may return rows, a single row or nothing. Unmatched selects
+// return no rows, unmatched writes an OK result. Every query is recorded in `calls` so tests can assert what
+// was (not) written. withTransaction runs fn against the same handlers; `inserted(table)` reads buildInsert()
+// inserts back as row objects.
+
+const WRITE = /^(insert|update|delete)\b/i;
+
+export function createStubDb(handlers = []) {
+  const calls = [];
+
+  async function q(sqlText, params = []) {
+    const sql = sqlText.replace(/\s+/g, ' ').trim();
+    calls.push({ sql, params });
+    for (const [pattern, answer] of handlers) {
+      if (!pattern.test(sql)) continue;
+      const out = typeof answer === 'function' ? answer(params, sql) : answer;
+      if (Array.isArray(out)) return out.map((r) => ({ ...r }));
+      if (out && typeof out === 'object') return WRITE.test(sql) ? out : [{ ...out }];
+      return WRITE.test(sql) ? { affectedRows: 1 } : [];
+    }
+    return WRITE.test(sql) ? { affectedRows: 1 } : [];
+  }
+
+  async function q1(sqlText, params = []) {
+    const rows = await q(sqlText, params);
+    return Array.isArray(rows) ? rows[0] || null : null;
+  }
+
+  return {
+    q,
+    q1,
+    calls,
+    async withTransaction(fn) {
+      return fn({ q, q1 });
+    },
+    inserted(table) {
+      return calls
+        .map((c) => c.sql.match(/^insert into `?(\w+)`? \(([^)]*)\) values/))
+        .map((m, i) => m && m[1] === table && Object.fromEntries(m[2].split(',').map((col, j) => [col.trim().replace(/`/g, ''), calls[i].params[j]])))
+        .filter(Boolean);
+    },
+    writes(table) {
+      return calls.filter((c) => WRITE.test(c.sql) && (!table || new RegExp(`^\\w+ (into |from )?\`?${table}\\b`).test(c.sql)));
+    },
+  };
+}
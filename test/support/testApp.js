@@ -0,0 +1,52 @@
+import { EventEmitter } from 'node:events';
+import os from 'node:os';
+import path from 'node:path';
+import { createApp } from '../../app.js';
+import { createLocalStorage } from '../../lib/storage.js';
+
+// Stubbed authenticate: the caller is whoever the test says, via X-Test-User / X-Test-Groups.
+function testAuthenticate(req, res, next) {
+  const sub = req.get('x-test-user');
+  if (!sub) return res.status(401).json({ message: 'Missing test user' });
+  const groups = (req.get('x-test-groups') || '').split(',').map((g) => g.trim()).filter(Boolean);
+  req.user = { sub, 'cognito:groups': groups };
+  next();
+}
+
+/**
+ * Start createApp() on an ephemeral port with the given db handle.
+ * @returns {Promise<{ events: EventEmitter, request: Function, close: Function }>}
+ */
+export async function startTestApp(db) {
+  const events = new EventEmitter();
+  const storage = createLocalStorage({ root: path.join(os.tmpdir(), `idp-okr-test-${process.pid}`) });
+  const app = createApp({ db, authenticate: testAuthenticate, events, transports: {}, storage });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // `body` is sent as JSON; `raw` is sent as-is with whatever Content-Type `headers` carries.
+  async function request(method, url, { user, groups = [], body, raw, headers = {} } = {}) {
+    const h = { ...headers };
+    if (user) h['x-test-user'] = user;
+    if (groups.length) h['x-test-groups'] = groups.join(',');
+    if (typeof body !== 'undefined') h['content-type'] = 'application/json';
+    const payload = typeof raw !== 'undefined' ? raw : typeof body !== 'undefined' ? JSON.stringify(body) : undefined;
+    const r = await fetch(`${base}${url}`, { method, headers: h, body: payload });
+    const text = await r.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: r.status, body: json, text };
+  }
+
+  return {
+    events,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
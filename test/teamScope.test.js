@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+// Leaders act on their own team's records only, and never review their own goals or plans.
+
+const TEAMS = { 'leader-1': 'team-1', 'leader-2': 'team-2' };
+const OWN_TEAM_LEADER = { user: 'leader-1', groups: ['leader'] };
+const OTHER_TEAM_LEADER = { user: 'leader-2', groups: ['leader'] };
+
+function handlers({ ownerId = 'member-1', ownerTeamId = 'team-1' } = {}) {
+  const goal = { id: 'goal-1', user_id: ownerId, status: 'Not started', is_locked: 1, review_status: 'Pending', deleted_at: null, owner_team_id: ownerTeamId, version: 1 };
+  return [
+    [/^select u\.id, u\.team_id, t\.name as team_name/, (params) => ({ id: params[0], team_id: TEAMS[params[0]] ?? null, team_name: null })],
+    [/^select g\.id, g\.user_id, g\.status, g\.is_locked/, goal],
+    [/^select \* from goals where id = \?/, goal],
+    [/from action_plans ap left join goals g/, { id: 'plan-1', goal_id: 'goal-1', user_id: ownerId, owner_team_id: ownerTeamId }],
+    [/^select \* from action_plans where id = \? and deleted_at is null limit 1 for update/, { id: 'plan-1', goal_id: 'goal-1', review_status: 'Pending', is_locked: 1, version: 1 }],
+    [/^select id, email, name from users/, (params) => ({ id: params[0], email: `${params[0]}@example.com`, name: params[0] })],
+  ];
+}
+
+async function withApp(options, fn) {
+  const db = createStubDb(handlers(options));
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+const WRITES = [
+  ['PUT', '/leader/goals/goal-1', { name: 'Renamed by another team' }, 'goals'],
+  ['PUT', '/leader/goals/goal-1/review', { status: 'Approved' }, 'goals'],
+  ['PUT', '/leader/action-plans/plan-1/review', { status: 'Approved' }, 'action_plans'],
+];
+
+for (const [method, url, body, table] of WRITES) {
+  test(`${method} ${url} is rejected for a leader of another team`, async () => {
+    await withApp({}, async (app, db) => {
+      const r = await app.request(method, url, { ...OTHER_TEAM_LEADER, body });
+      assert.equal(r.status, 403);
+      assert.equal(r.body.message, 'Forbidden (team scope)');
+      assert.equal(db.writes(table).length, 0);
+    });
+  });
+
+  test(`${method} ${url} is allowed for the owner's team leader`, async () => {
+    await withApp({}, async (app, db) => {
+      const r = await app.request(method, url, { ...OWN_TEAM_LEADER, body });
+      assert.equal(r.status, 200);
+      assert.equal(db.writes(table).length, 1);
+    });
+  });
+}
+
+for (const [method, url, body, table] of WRITES.filter(([, url]) => url.endsWith('/review'))) {
+  test(`${method} ${url} is rejected when the leader owns the record`, async () => {
+    await withApp({ ownerId: 'leader-1', ownerTeamId: 'team-1' }, async (app, db) => {
+      const r = await app.request(method, url, { ...OWN_TEAM_LEADER, body });
+      assert.equal(r.status, 403);
+      assert.equal(r.body.message, 'Forbidden (cannot review your own record)');
+      assert.equal(db.writes(table).length, 0);
+    });
+  });
+}
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+import { RESTORE_RETENTION_DAYS } from '../lib/trash.js';
+
+// Soft delete and restore: deleted rows leave the lists, children go and come back with their goal, and
+// restores are refused once RESTORE_RETENTION_DAYS have passed.
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(Date.now() - n * DAY).toISOString();
+
+// In-memory goals/action_plans/weekly_reports answering the queries the delete, restore and list routes run.
+function trashDb(tables) {
+  const goal = (id) => tables.goals.find((g) => g.id === id) || [];
+  const live = (rows) => rows.filter((r) => !r.deleted_at);
+  return createStubDb([
+    [/^select id, user_id, is_locked from goals where id = \? and deleted_at is null/, ([id]) => live(tables.goals).find((g) => g.id === id) || []],
+    [
+      /^update `(\w+)` set `deleted_at` = \?, `deleted_by` = \?, `version` = `version` \+ 1 where (\w+) = \?( and deleted_at is null)?$/,
+      (params, sql) => {
+        const [, table, col, liveOnly] = sql.match(/^update `(\w+)` set .* where (\w+) = \?( and deleted_at is null)?$/);
+        for (const r of tables[table]) {
+          if (r[col] === params[2] && (!liveOnly || !r.deleted_at)) Object.assign(r, { deleted_at: params[0], deleted_by: params[1] });
+        }
+      },
+    ],
+    [/^select g\.id, g\.user_id, g\.status, g\.is_locked, g\.review_status, g\.deleted_at, u\.team_id as owner_team_id/, ([id]) => ({ ...goal(id), owner_team_id: 'team-1' })],
+    [/^select id, deleted_at from goals where id = \? limit 1 for update/, ([id]) => goal(id)],
+    [
+      /^update (weekly_reports|action_plans) c join goals g on g\.id = c\.goal_id set c\.deleted_at = null/,
+      ([id], sql) => {
+        const g = goal(id);
+        for (const r of tables[sql.split(' ')[1]]) if (r.goal_id === id && r.deleted_at === g.deleted_at) Object.assign(r, { deleted_at: null, deleted_by: null });
+      },
+    ],
+    [/^select \* from goals where id = \? limit 1/, ([id]) => goal(id)],
+    [/^select \* from goals where user_id = \? and deleted_at is null/, ([userId]) => live(tables.goals).filter((g) => g.user_id === userId)],
+    [/^select \* from goals where user_id = \? and year = \? and deleted_at is null/, ([userId, year]) => live(tables.goals).filter((g) => g.user_id === userId && g.year === year)],
+    [/^select \* from action_plans where goal_id in \(\?\) and deleted_at is null/, ([ids]) => live(tables.action_plans).filter((p) => ids.includes(p.goal_id))],
+    [
+      /^select ap\.id, ap\.goal_id, g\.user_id, u\.team_id as owner_team_id from action_plans ap/,
+      ([id]) => {
+        const p = live(tables.action_plans).find((x) => x.id === id);
+        if (!p) return [];
+        const g = live(tables.goals).find((x) => x.id === p.goal_id);
+        return { id: p.id, goal_id: p.goal_id, user_id: g?.user_id ?? null, owner_team_id: g ? 'team-1' : null };
+      },
+    ],
+  ]);
+}
+
+const freshTables = () => ({
+  goals: [{ id: 'goal-1', user_id: 'member-1', year: 2026, is_locked: 0, deleted_at: null, deleted_by: null }],
+  action_plans: [
+    { id: 'plan-1', goal_id: 'goal-1', deleted_at: null },
+    // Deleted on its own before the goal: restoring the goal leaves it in the trash.
+    { id: 'plan-0', goal_id: 'goal-1', deleted_at: daysAgo(2), deleted_by: 'member-1' },
+  ],
+  weekly_reports: [{ id: 'report-1', goal_id: 'goal-1', action_plan_id: 'plan-1', deleted_at: null }],
+});
+
+async function withApp(tables, fn) {
+  const db = trashDb(tables);
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+const MEMBER = { user: 'member-1' };
+
+test('a deleted goal and its children leave the lists and come back on restore', async () => {
+  const tables = freshTables();
+  await withApp(tables, async (app) => {
+    const del = await app.request('DELETE', '/goals/goal-1', MEMBER);
+    assert.equal(del.status, 200);
+    assert.equal(del.body.restore_days, RESTORE_RETENTION_DAYS);
+    assert.ok(tables.action_plans[0].deleted_at);
+    assert.equal(tables.weekly_reports[0].deleted_at, tables.goals[0].deleted_at);
+
+    assert.deepEqual((await app.request('GET', '/goals', MEMBER)).body.data, []);
+    assert.deepEqual((await app.request('GET', '/action-plans?year=2026', MEMBER)).body.data, []);
+
+    const restored = await app.request('POST', '/goals/goal-1/restore', MEMBER);
+    assert.equal(restored.status, 200);
+    assert.deepEqual(
+      (await app.request('GET', '/action-plans?year=2026', MEMBER)).body.data.map((g) => [g.id, g.action_plans.map((p) => p.id)]),
+      [['goal-1', ['plan-1']]]
+    );
+    assert.equal(tables.weekly_reports[0].deleted_at, null);
+    assert.ok(tables.action_plans[1].deleted_at, 'plan deleted on its own stays deleted');
+  });
+});
+
+test('children of a deleted goal cannot be reached on their own', async () => {
+  const tables = freshTables();
+  tables.goals[0].deleted_at = daysAgo(1);
+  tables.action_plans[0].deleted_at = tables.goals[0].deleted_at;
+  // A plan the goal delete did not touch (e.g. written concurrently) is still unreachable while the goal is gone.
+  tables.action_plans.push({ id: 'plan-2', goal_id: 'goal-1', deleted_at: null });
+  await withApp(tables, async (app) => {
+    const r = await app.request('GET', '/action-plans/plan-2', MEMBER);
+    assert.equal(r.status, 404);
+    assert.equal(r.body.message, 'Goal not found');
+    assert.equal((await app.request('GET', '/action-plans/plan-1', MEMBER)).status, 404);
+  });
+});
+
+test('restores are refused after RESTORE_RETENTION_DAYS and for goals that are not deleted', async () => {
+  const tables = freshTables();
+  await withApp(tables, async (app) => {
+    tables.goals[0].deleted_at = daysAgo(RESTORE_RETENTION_DAYS + 1);
+    const expired = await app.request('POST', '/goals/goal-1/restore', MEMBER);
+    assert.equal(expired.status, 410);
+    assert.ok(tables.goals[0].deleted_at);
+
+    tables.goals[0].deleted_at = daysAgo(RESTORE_RETENTION_DAYS - 1);
+    assert.equal((await app.request('POST', '/goals/goal-1/restore', MEMBER)).status, 200);
+    assert.equal(tables.goals[0].deleted_at, null);
+
+    assert.equal((await app.request('POST', '/goals/goal-1/restore', MEMBER)).status, 409);
+  });
+});
+
+test('GET /leader/trash only lists goals inside the restore window', async () => {
+  const db = createStubDb([
+    [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+    [/^select g\.id, g\.name, g\.year/, [{ id: 'goal-1', deleted_at: daysAgo(1), action_plans_count: '2' }]],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    const before = Date.now();
+    const r = await app.request('GET', '/leader/trash', { user: 'leader-1', groups: ['leader'] });
+    assert.equal(r.status, 200);
+    const [row] = r.body.data;
+    assert.equal(row.action_plans_count, 2);
+    assert.equal(new Date(row.restorable_until).getTime(), new Date(row.deleted_at).getTime() + RESTORE_RETENTION_DAYS * DAY);
+
+    const [list, count] = db.calls.filter((c) => /g\.deleted_at >= \?/.test(c.sql));
+    for (const call of [list, count]) {
+      assert.equal(call.params[0], 'team-1');
+      const cutoff = new Date(call.params[1]).getTime();
+      assert.ok(Math.abs(cutoff - (before - RESTORE_RETENTION_DAYS * DAY)) < 5000);
+    }
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+// POST /verification-requests/:id/review reads the request's round and status under the row lock.
+
+const LEADER = { user: 'leader-1', groups: ['leader'] };
+
+async function withRequest(locked, fn) {
+  const db = createStubDb([
+    [/^select vr\.id, vr\.requester_id, u\.team_id as team_id/, { id: 'vr-1', requester_id: 'member-1', team_id: 'team-1' }],
+    [/from verification_request_reviewers rr/, []],
+    [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+    [/^select id, status, current_round, rubric_snapshot from verification_requests .* for update$/, locked],
+    [/^select id, status, current_round, aggregation_policy, rubric_snapshot/, { ...locked, aggregation_policy: null }],
+    [/^select reviewer_id from verification_request_reviewers/, []],
+    [/^select r\.leader_id, r\.result, r\.scores/, { leader_id: 'leader-1', result: 'Pass', scores: '{}' }],
+    [/^select \* from verification_reviews/, (params) => ({ request_id: params[0], round: params[1], leader_id: params[2], result: 'Pass' })],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+const reviewInserts = (db) => db.calls.filter((c) => c.sql.startsWith('insert into verification_reviews'));
+
+test('a review is filed against the round read under the lock', async () => {
+  await withRequest({ id: 'vr-1', status: 'Pending', current_round: 2, rubric_snapshot: null }, async (app, db) => {
+    const r = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Pass' } });
+    assert.equal(r.status, 200);
+    assert.equal(reviewInserts(db).length, 1);
+    assert.equal(reviewInserts(db)[0].params[1], 2);
+    assert.equal(r.body.data.aggregate.status, 'Reviewed');
+  });
+});
+
+test('a review for a closed round answers 409', async () => {
+  await withRequest({ id: 'vr-1', status: 'Pending', current_round: 2, rubric_snapshot: null }, async (app, db) => {
+    const r = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Pass', round: 1 } });
+    assert.equal(r.status, 409);
+    assert.equal(reviewInserts(db).length, 0);
+  });
+});
+
+test('a request that is no longer Pending/InReview answers 409', async () => {
+  await withRequest({ id: 'vr-1', status: 'Reviewed', current_round: 1, rubric_snapshot: null }, async (app, db) => {
+    const r = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Fail' } });
+    assert.equal(r.status, 409);
+    assert.equal(reviewInserts(db).length, 0);
+  });
+});
+
+test('a result that differs from the rubric\'s suggestion is recorded as an override', async () => {
+  const snapshot = JSON.stringify({ scoring_type: 'rubric', criteria: ['impact'], minimum_bar: { pass: 75 } });
+  await withRequest({ id: 'vr-1', status: 'Pending', current_round: 1, rubric_snapshot: snapshot }, async (app, db) => {
+    const overridden = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Pass', scores: { impact: 3 } } });
+    assert.equal(overridden.status, 200);
+    assert.equal(overridden.body.data.scoring.agrees, false);
+    const [, , , result, , , , total, suggested, flag] = reviewInserts(db)[0].params;
+    assert.deepEqual([result, total, suggested, flag], ['Pass', 50, 'NeedsWork', 1]);
+
+    const agreed = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'NeedsWork', scores: { impact: 3 } } });
+    assert.equal(agreed.status, 200);
+    assert.equal(reviewInserts(db)[1].params[9], 0);
+
+    const invalid = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Pass', scores: { impact: 9 } } });
+    assert.equal(invalid.status, 400);
+    assert.equal(reviewInserts(db).length, 2);
+  });
+});
+
+test('without a pass bar nothing is suggested, so nothing is an override', async () => {
+  const snapshot = JSON.stringify({ scoring_type: 'rubric', criteria: ['impact'] });
+  await withRequest({ id: 'vr-1', status: 'Pending', current_round: 1, rubric_snapshot: snapshot }, async (app, db) => {
+    const r = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Fail', scores: { impact: 5 } } });
+    assert.equal(r.status, 200);
+    assert.deepEqual(reviewInserts(db)[0].params.slice(7, 10), [100, null, null]);
+  });
+});
+
+// Single review: users.role is whatever the last sync stored ('manager' for manager+leader users, 'member' for
+// others), so settleRound must count the review the route authorized, not filter on the stored role.
+test('a single review by a team leader whose stored role is not leader settles the round', async () => {
+  const users = { 'member-1': { team_id: 'team-1', role: 'member' }, 'leader-1': { team_id: 'team-1', role: 'manager' }, 'peer-1': { team_id: 'team-1', role: 'member' } };
+  // peer-1 reviewed this round while still assigned; switching back to the single review drops that vote.
+  const stored = [{ leader_id: 'peer-1', round: 1, result: 'Fail', scores: '{}', team_leader_review: 0 }];
+  const singleReviews = (params, sql) =>
+    stored.filter(
+      (r) =>
+        r.round === params[1] &&
+        r.leader_id !== 'member-1' &&
+        users[r.leader_id].team_id === users['member-1'].team_id &&
+        (!sql.includes("l.role = 'leader'") || users[r.leader_id].role === 'leader') &&
+        (!sql.includes('r.team_leader_review = 1') || r.team_leader_review === 1)
+    );
+  const db = createStubDb([
+    [/^select vr\.id, vr\.requester_id, u\.team_id as team_id/, { id: 'vr-1', requester_id: 'member-1', team_id: 'team-1' }],
+    [/from verification_request_reviewers rr/, []],
+    [/^select u\.id, u\.team_id, t\.name as team_name/, { id: 'leader-1', team_id: 'team-1', team_name: 'Team 1' }],
+    [/^select id, status, current_round, rubric_snapshot from verification_requests .* for update$/, { id: 'vr-1', status: 'Pending', current_round: 1, rubric_snapshot: null }],
+    [/^select id, status, current_round, aggregation_policy, rubric_snapshot/, { id: 'vr-1', status: 'Pending', current_round: 1, aggregation_policy: null, rubric_snapshot: null }],
+    [/^select reviewer_id from verification_request_reviewers/, []],
+    [/^insert into verification_reviews/, (params) => void stored.push({ leader_id: params[2], round: params[1], result: params[3], scores: params[4], team_leader_review: params[10] })],
+    [/^select r\.leader_id, r\.result, r\.scores from verification_reviews r join/, singleReviews],
+    [/^select \* from verification_reviews/, (params) => ({ request_id: params[0], round: params[1], leader_id: params[2], result: 'Pass' })],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    const r = await app.request('POST', '/verification-requests/vr-1/review', { ...LEADER, body: { result: 'Pass' } });
+    assert.equal(r.status, 200);
+    assert.equal(reviewInserts(db)[0].params[10], 1);
+    assert.equal(r.body.data.aggregate.status, 'Reviewed');
+    assert.equal(r.body.data.aggregate.final_result, 'Pass');
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+import { loadRoundTimeline, resubmitVerification } from '../lib/verificationRounds.js';
+import { settleRound } from '../lib/verificationReviewers.js';
+
+// Resubmission rounds: opening the next round, assigned reviewers across rounds and the round timeline.
+
+const needsWork = (over = {}) => ({
+  id: 'vr-1',
+  requester_id: 'member-1',
+  status: 'Reviewed',
+  current_round: 1,
+  final_result: 'NeedsWork',
+  evidence_links: JSON.stringify(['https://example.com/round-1']),
+  ...over,
+});
+
+const lockedRequest = (row) => createStubDb([[/^select vr\.id, vr\.requester_id, vr\.status, vr\.current_round, vr\.final_result/, row]]);
+
+test('resubmitting a NeedsWork request opens the next round with the previous evidence', async () => {
+  const db = lockedRequest(needsWork());
+  const out = await resubmitVerification(db, 'vr-1', { requesterId: 'member-1', memberNotes: 'Fixed the gaps' });
+  assert.deepEqual(out, { data: { round: 2 } });
+
+  const [round] = db.inserted('verification_request_rounds');
+  assert.equal(round.round, 2);
+  assert.equal(round.evidence_links, JSON.stringify(['https://example.com/round-1']));
+  assert.equal(round.member_notes, 'Fixed the gaps');
+  assert.equal(round.submitted_by, 'member-1');
+
+  const [reopen] = db.writes('verification_requests');
+  assert.match(reopen.sql, /^update `verification_requests` set `current_round` = \?, `status` = \?, `final_result` = \?/);
+  assert.deepEqual(reopen.params.slice(0, 3), [2, 'Pending', null]);
+});
+
+test('new evidence replaces the previous round\'s links', async () => {
+  const db = lockedRequest(needsWork({ current_round: 2 }));
+  await resubmitVerification(db, 'vr-1', { requesterId: 'member-1', evidenceLinks: ['https://example.com/round-3'] });
+  const [round] = db.inserted('verification_request_rounds');
+  assert.equal(round.round, 3);
+  assert.equal(round.evidence_links, JSON.stringify(['https://example.com/round-3']));
+});
+
+test('only the requester can resubmit, and only after a NeedsWork result', async () => {
+  for (const [row, requesterId, status] of [
+    [needsWork(), 'member-2', 403],
+    [needsWork({ final_result: 'Pass' }), 'member-1', 409],
+    [needsWork({ status: 'InReview', final_result: null }), 'member-1', 409],
+    [null, 'member-1', 404],
+  ]) {
+    const db = lockedRequest(row ?? []);
+    assert.equal((await resubmitVerification(db, 'vr-1', { requesterId })).status, status);
+    assert.equal(db.writes().length, 0);
+  }
+});
+
+test('assigned reviewers carry over: the new round waits for all of them again', async () => {
+  const reviews = [
+    { leader_id: 'reviewer-1', round: 1, result: 'NeedsWork', scores: '{}' },
+    { leader_id: 'reviewer-2', round: 1, result: 'NeedsWork', scores: '{}' },
+    { leader_id: 'reviewer-1', round: 2, result: 'Pass', scores: '{}' },
+  ];
+  let round = 2;
+  const db = createStubDb([
+    [/^select id, status, current_round, aggregation_policy, rubric_snapshot/, () => ({ id: 'vr-1', status: 'Pending', current_round: round, aggregation_policy: 'all_pass', rubric_snapshot: null })],
+    [/^select reviewer_id from verification_request_reviewers/, [{ reviewer_id: 'reviewer-1' }, { reviewer_id: 'reviewer-2' }]],
+    [/and leader_id in \(\?\)/, (params) => reviews.filter((r) => r.round === params[1] && params[2].includes(r.leader_id))],
+  ]);
+
+  const partial = await settleRound(db, 'vr-1');
+  assert.deepEqual([partial.status, partial.reviewers, partial.reviewed], ['InReview', 2, 1]);
+
+  reviews.push({ leader_id: 'reviewer-2', round: 2, result: 'Pass', scores: '{}' });
+  const settled = await settleRound(db, 'vr-1');
+  assert.deepEqual([settled.status, settled.final_result, settled.policy], ['Reviewed', 'Pass', 'all_pass']);
+
+  round = 3;
+  assert.equal((await settleRound(db, 'vr-1')).status, 'Pending');
+});
+
+test('the timeline lists rounds oldest first, each with its own reviews newest first', async () => {
+  const db = createStubDb([
+    [
+      /^select \* from verification_request_rounds where request_id = \? order by round asc/,
+      [
+        { round: 1, evidence_links: '["https://example.com/1"]', member_notes: null, submitted_by: 'member-1', submitted_at: '2026-01-01' },
+        { round: 2, evidence_links: '["https://example.com/2"]', member_notes: 'Second try', submitted_by: 'member-1', submitted_at: '2026-02-01' },
+        { round: 3, evidence_links: null, member_notes: null, submitted_by: 'member-1', submitted_at: '2026-03-01' },
+      ],
+    ],
+    [
+      /^select \* from verification_reviews where request_id = \? order by round asc, reviewed_at desc/,
+      [
+        { round: 1, leader_id: 'leader-1', result: 'NeedsWork', reviewed_at: '2026-01-10' },
+        { round: 2, leader_id: 'leader-1', result: 'NeedsWork', reviewed_at: '2026-02-12' },
+        { round: 2, leader_id: 'leader-2', result: 'Pass', reviewed_at: '2026-02-11' },
+      ],
+    ],
+  ]);
+  const timeline = await loadRoundTimeline(db, 'vr-1');
+  assert.deepEqual(
+    timeline.map((r) => [r.round, r.evidence_links, r.member_notes, r.reviews.map((v) => v.leader_id)]),
+    [
+      [1, ['https://example.com/1'], null, ['leader-1']],
+      [2, ['https://example.com/2'], 'Second try', ['leader-1', 'leader-2']],
+      [3, [], null, []],
+    ]
+  );
+});
+
+test('POST /verification-requests/:id/resubmit announces the new round', async () => {
+  const db = createStubDb([[/^select vr\.id, vr\.requester_id, vr\.status, vr\.current_round, vr\.final_result/, needsWork()]]);
+  const app = await startTestApp(db);
+  const emitted = [];
+  app.events.on('verification.resubmitted', (e) => emitted.push(e));
+  try {
+    const r = await app.request('POST', '/verification-requests/vr-1/resubmit', { user: 'member-1', body: { member_notes: 'Again' } });
+    assert.equal(r.status, 200);
+    assert.deepEqual(emitted, [{ verificationRequestId: 'vr-1', actorId: 'member-1', round: 2 }]);
+
+    const bad = await app.request('POST', '/verification-requests/vr-1/resubmit', { user: 'member-1', body: { evidence_links: 'not-a-list' } });
+    assert.equal(bad.status, 400);
+    assert.equal(db.inserted('verification_request_rounds').length, 1);
+  } finally {
+    await app.close();
+  }
+});
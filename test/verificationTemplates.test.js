@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubDb } from './support/stubDb.js';
+import { startTestApp } from './support/testApp.js';
+
+// Verification template versions: edits add a version, archived templates are frozen, requests snapshot the
+// server's current version, and rubric problems answer with the usual validation errors.
+
+const LEADER = { user: 'leader-1', groups: ['leader'] };
+
+const templateRow = (over = {}) => ({
+  id: 'tpl-1',
+  name: 'Code review',
+  category: null,
+  scoring_type: 'rubric',
+  criteria: JSON.stringify([{ id: 'impact', weight: 2 }, 'quality']),
+  required_evidence: '[]',
+  minimum_bar: JSON.stringify({ pass: 75 }),
+  current_version: 2,
+  archived_at: null,
+  ...over,
+});
+
+async function withApp(template, fn) {
+  const db = createStubDb([
+    [/^select \* from verification_templates where id = \? limit 1 for update/, () => template],
+    [/^select t\.archived_at, v\.\* from verification_templates t join verification_template_versions v/, () => ({ ...template, template_id: template.id, version: template.current_version })],
+    [/^select id, archived_at from verification_templates where id = \? limit 1 for update/, () => template],
+    [/^select \* from verification_templates where id = \? limit 1/, () => template],
+    [/^select g\.id, g\.user_id, g\.status, g\.is_locked, g\.review_status, g\.deleted_at, u\.team_id/, { id: 'goal-1', user_id: 'member-1', owner_team_id: 'team-1', deleted_at: null }],
+  ]);
+  const app = await startTestApp(db);
+  try {
+    await fn(app, db);
+  } finally {
+    await app.close();
+  }
+}
+
+test('an edit is saved as the next version, merged over the current one', async () => {
+  await withApp(templateRow(), async (app, db) => {
+    const r = await app.request('PUT', '/verification-templates/tpl-1', { ...LEADER, body: { name: 'Code review v3' } });
+    assert.equal(r.status, 200);
+
+    const [version] = db.inserted('verification_template_versions');
+    assert.equal(version.template_id, 'tpl-1');
+    assert.equal(version.version, 3);
+    assert.equal(version.name, 'Code review v3');
+    assert.equal(version.criteria, templateRow().criteria);
+    assert.equal(version.created_by, 'leader-1');
+
+    // Earlier versions are never rewritten; only the template's mirror of the current version moves.
+    assert.equal(db.writes('verification_template_versions').length, 1);
+    const [mirror] = db.writes('verification_templates');
+    assert.match(mirror.sql, /`current_version` = \?/);
+    assert.ok(mirror.params.includes(3));
+  });
+});
+
+test('a rubric that cannot be scored answers with validation errors on create and on edit', async () => {
+  await withApp(templateRow(), async (app, db) => {
+    const created = await app.request('POST', '/verification-templates', { ...LEADER, body: { name: 'Broken', criteria: ['a', 'a'] } });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.message, 'Validation failed');
+    assert.deepEqual(
+      created.body.errors.map((e) => e.field),
+      ['criteria']
+    );
+
+    const edited = await app.request('PUT', '/verification-templates/tpl-1', { ...LEADER, body: { criteria: [{ id: 'impact', min: 5, max: 1 }] } });
+    assert.equal(edited.status, 400);
+    assert.deepEqual(edited.body, { message: 'Validation failed', errors: [{ field: 'criteria', message: created.body.errors[0].message }] });
+
+    assert.equal(db.writes().length, 0);
+  });
+});
+
+test('an edit is checked against the merged version, not just the sent fields', async () => {
+  await withApp(templateRow({ criteria: JSON.stringify([{ id: 'impact', min: 2 }]) }), async (app, db) => {
+    // min 2 fits the 1-5 rubric scale but not pass_fail's 0-1.
+    const rescaled = await app.request('PUT', '/verification-templates/tpl-1', { ...LEADER, body: { scoring_type: 'pass_fail' } });
+    assert.equal(rescaled.status, 400);
+    assert.equal(rescaled.body.errors[0].field, 'criteria');
+    assert.equal(db.writes().length, 0);
+
+    const withCriteria = await app.request('PUT', '/verification-templates/tpl-1', { ...LEADER, body: { scoring_type: 'pass_fail', criteria: ['impact'] } });
+    assert.equal(withCriteria.status, 200);
+    assert.equal(db.inserted('verification_template_versions')[0].scoring_type, 'pass_fail');
+  });
+});
+
+test('archived templates take no edits and no new requests', async () => {
+  await withApp(templateRow({ archived_at: '2026-01-01T00:00:00.000Z' }), async (app, db) => {
+    const edit = await app.request('PUT', '/verification-templates/tpl-1', { ...LEADER, body: { name: 'Again' } });
+    assert.equal(edit.status, 409);
+
+    const archive = await app.request('POST', '/verification-templates/tpl-1/archive', LEADER);
+    assert.equal(archive.status, 409);
+
+    const request = await app.request('POST', '/verification-requests', { user: 'member-1', body: { goal_id: 'goal-1', scope: 'Q1', template_id: 'tpl-1' } });
+    assert.equal(request.status, 409);
+    assert.equal(db.writes().length, 0);
+  });
+});
+
+test('a request made with a template snapshots the server\'s current version, not the client\'s rubric', async () => {
+  await withApp(templateRow(), async (app, db) => {
+    const r = await app.request('POST', '/verification-requests', {
+      user: 'member-1',
+      body: { goal_id: 'goal-1', scope: 'Q1', template_id: 'tpl-1', rubric_snapshot: { criteria: ['anything'], minimum_bar: { pass: 0 } } },
+    });
+    assert.equal(r.status, 200);
+    const [request] = db.inserted('verification_requests');
+    assert.equal(request.template_version, 2);
+    assert.deepEqual(JSON.parse(request.rubric_snapshot), {
+      template_id: 'tpl-1',
+      version: 2,
+      name: 'Code review',
+      category: null,
+      scoring_type: 'rubric',
+      criteria: [{ id: 'impact', weight: 2 }, 'quality'],
+      required_evidence: [],
+      minimum_bar: { pass: 75 },
+    });
+
+    const adHoc = await app.request('POST', '/verification-requests', { user: 'member-1', body: { goal_id: 'goal-1', scope: 'Q1', rubric_snapshot: { criteria: ['own'] } } });
+    assert.equal(adHoc.status, 200);
+    assert.deepEqual(JSON.parse(db.inserted('verification_requests')[1].rubric_snapshot), { criteria: ['own'] });
+  });
+});